@@ -0,0 +1,119 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as path from 'path';
+
+import {CLS} from '../src/cls/base';
+import {BUILD_DIRECTORY} from './utils';
+
+interface CLSConstructor {
+  new (defaultContext: string): CLS<string>;
+}
+
+/* The number of simulated requests run for each mechanism. */
+const NUM_REQUESTS = 20000;
+/* The number of simulated requests in flight at a time. */
+const CONCURRENCY = 100;
+
+/**
+ * Loads a CLS implementation from the compiled package.
+ */
+function loadCLS(file: string, className: string): CLSConstructor {
+  return require(path.resolve(BUILD_DIRECTORY, 'src', 'cls', file))[className];
+}
+
+/**
+ * Simulates the asynchronous work done to serve a request, and returns the
+ * number of continuations in which the context didn't match the expected one.
+ */
+async function simulateRequest(
+  cls: CLS<string>,
+  expected: string
+): Promise<number> {
+  let mismatches = 0;
+  const check = () => {
+    if (cls.getContext() !== expected) {
+      mismatches++;
+    }
+  };
+  await new Promise<void>(resolve => process.nextTick(resolve));
+  check();
+  await Promise.resolve();
+  check();
+  await new Promise<void>(resolve => setImmediate(resolve));
+  check();
+  await new Promise<void>(resolve => setTimeout(resolve, 0));
+  check();
+  return mismatches;
+}
+
+/**
+ * Runs simulated requests with the given CLS implementation, and prints how
+ * long they took and how many continuations lost their context.
+ */
+async function benchmark(name: string, clazz: CLSConstructor) {
+  const cls = new clazz('default');
+  cls.enable();
+  const start = process.hrtime();
+  let mismatches = 0;
+  for (let i = 0; i < NUM_REQUESTS; i += CONCURRENCY) {
+    const requests: Array<Promise<number>> = [];
+    for (let j = i; j < i + CONCURRENCY; j++) {
+      const context = `request-${j}`;
+      requests.push(
+        cls.runWithContext(() => simulateRequest(cls, context), context)
+      );
+    }
+    for (const result of await Promise.all(requests)) {
+      mismatches += result;
+    }
+  }
+  const [seconds, nanos] = process.hrtime(start);
+  cls.disable();
+  const millis = seconds * 1e3 + nanos / 1e6;
+  console.log(
+    [
+      name.padEnd(20),
+      `${Math.round((NUM_REQUESTS / millis) * 1e3)} requests/s`.padEnd(20),
+      `${mismatches} lost contexts`,
+    ].join('')
+  );
+}
+
+/**
+ * Compares the overhead of the available CLS mechanisms. The package must be
+ * compiled first.
+ */
+export async function benchmarkCls() {
+  await benchmark('none', loadCLS('null', 'NullCLS'));
+  const {isAsyncLocalStorageSupported} = require(path.resolve(
+    BUILD_DIRECTORY,
+    'src',
+    'cls',
+    'async-local-storage'
+  ));
+  if (isAsyncLocalStorageSupported()) {
+    await benchmark(
+      'async-local-storage',
+      loadCLS('async-local-storage', 'AsyncLocalStorageCLS')
+    );
+  }
+  await benchmark('async-hooks', loadCLS('async-hooks', 'AsyncHooksCLS'));
+  // continuation-local-storage patches core modules when it is loaded, so this
+  // mechanism must be benchmarked last.
+  await benchmark(
+    'async-listener',
+    loadCLS('async-listener', 'AsyncListenerCLS')
+  );
+}
@@ -22,6 +22,7 @@
 
 const [, , ...steps] = process.argv;
 const {TRACE_TEST_EXCLUDE_INTEGRATION} = process.env;
+import {benchmarkCls} from './benchmark-cls';
 import {getPluginTypes} from './get-plugin-types';
 import {initTestFixtures} from './init-test-fixtures';
 import {runTests} from './run-tests';
@@ -59,6 +60,9 @@ async function run(steps: string[]) {
       continue;
     } else {
       switch (step) {
+        case 'benchmark-cls':
+          await benchmarkCls();
+          break;
         case 'get-plugin-types':
           await getPluginTypes();
           break;
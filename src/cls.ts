@@ -16,6 +16,7 @@ import {EventEmitter} from 'events';
 
 import {AsyncHooksCLS} from './cls/async-hooks';
 import {AsyncListenerCLS} from './cls/async-listener';
+import {AsyncLocalStorageCLS} from './cls/async-local-storage';
 import {CLS, Func} from './cls/base';
 import {NullCLS} from './cls/null';
 import {SingularCLS} from './cls/singular';
@@ -32,6 +33,13 @@ export interface RealRootContext {
   readonly type: SpanType.ROOT;
 }
 
+export interface RealChildContext {
+  readonly span: TraceSpan;
+  readonly trace: Trace;
+  readonly type: SpanType.CHILD;
+  readonly root: (RootSpan & RealRootContext) | null;
+}
+
 export interface PhantomRootContext {
   readonly type: SpanType.UNCORRELATED | SpanType.UNSAMPLED | SpanType.DISABLED;
 }
@@ -39,14 +47,16 @@ export interface PhantomRootContext {
 /**
  * This type represents the minimal information to store in continuation-local
  * storage for a request. We store either a root span corresponding to the
+ * request, the innermost child span that is currently active within that
  * request, or a sentinel value (UNCORRELATED_SPAN or UNTRACED_SPAN) that tells
  * us that the request is not being traced (with the exact sentinel value
  * specifying whether this is on purpose or by accident, respectively).
  *
- * When we store an actual root span, the only information we need is its
- * current trace/span fields.
+ * When we store an actual root or child span, the only information we need is
+ * its current trace/span fields (and for child spans, the root span).
  */
-export type RootContext = RootSpan & (RealRootContext | PhantomRootContext);
+export type RootContext = RootSpan &
+  (RealRootContext | RealChildContext | PhantomRootContext);
 
 /**
  * An enumeration of the possible mechanisms for supporting context propagation
@@ -63,6 +73,11 @@ export enum TraceCLSMechanism {
    * Note that continuation-local-storage should be loaded as the first module.
    */
   ASYNC_LISTENER = 'async-listener',
+  /**
+   * Use the AsyncLocalStorageCLS class to propagate root span context.
+   * Only available in Node 12.17+ and 13.10+.
+   */
+  ASYNC_LOCAL_STORAGE = 'async-local-storage',
   /**
    * Do not use any special mechanism to propagate root span context.
    * Only a single root span can be open at a time.
@@ -119,6 +134,10 @@ export class TraceCLS implements CLS<RootContext> {
         this.CLSClass = AsyncListenerCLS;
         this.rootSpanStackOffset = 8;
         break;
+      case TraceCLSMechanism.ASYNC_LOCAL_STORAGE:
+        this.CLSClass = AsyncLocalStorageCLS;
+        this.rootSpanStackOffset = 5;
+        break;
       case TraceCLSMechanism.SINGULAR:
         this.CLSClass = SingularCLS;
         this.rootSpanStackOffset = 4;
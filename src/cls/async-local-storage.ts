@@ -0,0 +1,133 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This file calls require('async_hooks') in the AsyncLocalStorageCLS
+// constructor, rather than upon module load.
+import * as asyncHooksModule from 'async_hooks';
+import {EventEmitter} from 'events';
+import * as shimmer from 'shimmer';
+
+import {CLS, Func} from './base';
+
+type AsyncHooksModule = typeof asyncHooksModule;
+
+// A list of well-known EventEmitter methods that add event listeners.
+const EVENT_EMITTER_METHODS: Array<keyof EventEmitter> = [
+  'addListener',
+  'on',
+  'once',
+  'prependListener',
+  'prependOnceListener',
+];
+// A symbol used to check if a method has been wrapped for context.
+const WRAPPED = Symbol(
+  '@google-cloud/trace-agent:AsyncLocalStorageCLS:WRAPPED'
+);
+
+type ContextWrapped<T> = T & {[WRAPPED]?: boolean};
+
+/**
+ * Returns whether AsyncLocalStorage is available in this version of Node.
+ */
+export function isAsyncLocalStorageSupported(): boolean {
+  return !!(require('async_hooks') as AsyncHooksModule).AsyncLocalStorage;
+}
+
+/**
+ * An implementation of continuation-local storage on top of the
+ * AsyncLocalStorage class of the async_hooks module. Unlike AsyncHooksCLS, it
+ * doesn't need to track every AsyncResource, as Node itself propagates the
+ * stored context.
+ */
+export class AsyncLocalStorageCLS<Context extends {}> implements CLS<Context> {
+  /** The store that holds the current context. */
+  private storage: asyncHooksModule.AsyncLocalStorage<Context>;
+  /** Whether this instance is enabled. */
+  private enabled = false;
+
+  constructor(private readonly defaultContext: Context) {
+    const ah = require('async_hooks') as AsyncHooksModule;
+    this.storage = new ah.AsyncLocalStorage<Context>();
+  }
+
+  isEnabled(): boolean {
+    return this.enabled;
+  }
+
+  enable(): void {
+    this.enabled = true;
+  }
+
+  disable(): void {
+    // Discard the context stored in all current and future continuations.
+    this.storage.disable();
+    this.enabled = false;
+  }
+
+  getContext(): Context {
+    const context = this.storage.getStore();
+    return context === undefined ? this.defaultContext : context;
+  }
+
+  runWithContext<T>(fn: Func<T>, value: Context): T {
+    return this.storage.run(value, fn);
+  }
+
+  bindWithCurrentContext<T>(fn: Func<T>): Func<T> {
+    // Return if we have already wrapped the function.
+    if ((fn as ContextWrapped<Func<T>>)[WRAPPED]) {
+      return fn;
+    }
+    // Capture the current context.
+    const boundContext = this.storage.getStore();
+    // Return if there is no current context to bind.
+    if (boundContext === undefined) {
+      return fn;
+    }
+    // eslint-disable-next-line @typescript-eslint/no-this-alias
+    const that = this;
+    const contextWrapper: ContextWrapped<Func<T>> = function (this: {}) {
+      return that.runWithContext(
+        // eslint-disable-next-line prefer-rest-params
+        () => fn.apply(this, arguments) as T,
+        boundContext
+      );
+    };
+    // Prevent re-wrapping.
+    contextWrapper[WRAPPED] = true;
+    // Explicitly inherit the original function's length, because it is
+    // otherwise zero-ed out.
+    Object.defineProperty(contextWrapper, 'length', {
+      enumerable: false,
+      configurable: true,
+      writable: false,
+      value: fn.length,
+    });
+    return contextWrapper;
+  }
+
+  patchEmitterToPropagateContext(ee: EventEmitter): void {
+    // eslint-disable-next-line @typescript-eslint/no-this-alias
+    const that = this;
+    EVENT_EMITTER_METHODS.forEach(method => {
+      if (ee[method]) {
+        shimmer.wrap(ee, method, oldMethod => {
+          return function (this: {}, event: string, cb: Func<void>) {
+            return oldMethod.call(this, event, that.bindWithCurrentContext(cb));
+          };
+        });
+      }
+    });
+  }
+}
@@ -14,6 +14,9 @@
 
 import * as path from 'path';
 
+import {AgentStats} from './stats';
+import {Trace} from './trace';
+
 const pluginDirectory = path.join(
   path.resolve(__dirname, '..'),
   'src',
@@ -23,12 +26,15 @@ const pluginDirectory = path.join(
 export type CLSMechanism =
   | 'async-hooks'
   | 'async-listener'
+  | 'async-local-storage'
   | 'auto'
   | 'none'
   | 'singular';
 
 export type ContextHeaderBehavior = 'default' | 'ignore' | 'require';
 
+export type PropagationFormat = 'b3' | 'cloud-trace' | 'multi' | 'w3c';
+
 export interface RequestDetails {
   /**
    * The request timestamp.
@@ -46,6 +52,11 @@ export interface RequestDetails {
    * The parsed trace context, if it exists.
    */
   traceContext: {traceId: string; spanId: string; options: number} | null;
+  /**
+   * The ID of the trace that would be created for this request. This is the
+   * trace ID in the incoming trace context, if it exists.
+   */
+  traceId?: string;
   /**
    * The original options object used to create the root span that corresponds
    * to this request.
@@ -53,6 +64,42 @@ export interface RequestDetails {
   options: {};
 }
 
+/**
+ * A rule that decides how requests matching it are sampled. A request matches
+ * a rule if it matches every criterion that the rule specifies. Exactly one
+ * of `ratio` and `maxTracesPerSecond` must be specified.
+ */
+export interface SamplingRule {
+  /**
+   * URLs that partially match this regex, or are exact matches of this
+   * string, match the rule.
+   */
+  url?: string | RegExp;
+  /**
+   * Requests with this method match the rule. Matching is not
+   * case-sensitive.
+   */
+  method?: string;
+  /**
+   * Requests whose root span name (before rootSpanNameOverride is applied)
+   * partially matches this regex, or exactly matches this string, match the
+   * rule.
+   */
+  name?: string | RegExp;
+  /**
+   * The fraction of matching requests to trace, between 0 and 1. The decision
+   * is derived from the trace ID, so that all services that use the same
+   * ratio make the same decision for a given trace.
+   */
+  ratio?: number;
+  /**
+   * An upper bound on the number of matching requests to trace each second.
+   * If set to 0, no matching requests are traced. Each rule has its own
+   * limit.
+   */
+  maxTracesPerSecond?: number;
+}
+
 export interface TracePolicy {
   shouldTrace: (requestDetails: RequestDetails) => boolean;
 }
@@ -68,6 +115,7 @@ export interface OpenCensusPropagation {
     traceId: string;
     spanId: string;
     options?: number;
+    traceState?: string;
   } | null;
   inject: (
     setHeader: SetHeaderFunction,
@@ -75,9 +123,19 @@ export interface OpenCensusPropagation {
       traceId: string;
       spanId: string;
       options?: number;
+      traceState?: string;
     }
   ) => void;
 }
+export interface SpanExporter {
+  export: (traces: Trace[]) => Promise<void>;
+}
+
+/**
+ * The name of the built-in exporter that publishes traces to the Stackdriver
+ * Trace API.
+ */
+export type CloudTraceExporterName = 'cloud-trace';
 
 /**
  * Available configuration options. All fields are optional. See the
@@ -116,6 +174,18 @@ export interface Config {
    */
   rootSpanNameOverride?: string | ((name: string) => string);
 
+  /**
+   * If true, root spans for incoming requests are renamed to
+   * `METHOD /route/template` (for example, `GET /users/:id`) once the web
+   * framework's router resolves the route that matched the request, so that
+   * requests for different resources on the same route share a span name.
+   * Requests that don't match a route keep their path as the span name.
+   * Custom routers can supply the route template with
+   * `Tracer#setRootSpanRoute`. Names derived from routes are not passed
+   * through rootSpanNameOverride.
+   */
+  rootSpanNameFromRoute?: boolean;
+
   /**
    * The trace context propagation mechanism to use. The following options are
    * available:
@@ -124,8 +194,12 @@ export interface Config {
    *   Node binary version requirements are not met.
    * - 'async-listener' uses an implementation of CLS on top of the
    *   `continuation-local-storage` module.
-   * - 'auto' behaves like 'async-hooks' on Node 8+, and 'async-listener'
-   *   otherwise.
+   * - 'async-local-storage' uses an implementation of CLS on top of the
+   *   `AsyncLocalStorage` class of the Node core `async_hooks` module, which
+   *   has lower overhead than 'async-hooks'. This option should only be used
+   *   in Node 12.17+ and 13.10+.
+   * - 'auto' behaves like 'async-local-storage' if `AsyncLocalStorage` is
+   *   available, and 'async-hooks' otherwise.
    * - 'none' disables CLS completely.
    * - 'singular' allows one root span to exist at a time. This option is meant
    *   to be used internally by Google Cloud Functions, or in any other
@@ -159,6 +233,44 @@ export interface Config {
    */
   maximumLabelValueSize?: number;
 
+  /**
+   * Settings for removing sensitive data from span labels before they are
+   * recorded. When enabled, the values of labels whose keys contain any of
+   * 'password', 'passwd', 'secret', 'token', 'authorization', 'cookie',
+   * 'api_key', 'apikey' or 'api-key' (case-insensitive) are redacted, as are
+   * the values of such keys wherever they appear inside label values, for
+   * example as JSON fields or URL query string parameters. Email addresses,
+   * card numbers, bearer tokens and user information in URLs are redacted
+   * too.
+   */
+  redaction?: {
+    /**
+     * Whether redaction is enabled. Disabled by default.
+     */
+    enabled?: boolean;
+    /**
+     * Additional case-insensitive substrings of key names whose values
+     * should be redacted.
+     */
+    denyKeys?: string[];
+    /**
+     * Additional patterns whose matches in label values should be redacted.
+     * Strings are converted to regular expressions.
+     */
+    valuePatterns?: Array<string | RegExp>;
+    /**
+     * Whether string and numeric literals in the SQL statements recorded in
+     * 'query' and 'sql' labels are replaced with '?'. Enabled by default.
+     */
+    scrubSql?: boolean;
+    /**
+     * If specified, a function that is called with the key and value of each
+     * label after the other redaction steps. Its return value is recorded as
+     * the label's value.
+     */
+    redact?: (key: string, value: string) => string;
+  };
+
   /**
    * A list of trace plugins to load. Each field's key in this object is the
    * name of the module to trace, and its value is the require-friendly path
@@ -170,6 +282,36 @@ export interface Config {
    */
   plugins?: {[pluginName: string]: string};
 
+  /**
+   * If true, plugins for winston, bunyan and pino are loaded in addition to
+   * `plugins`. They add the fields returned by
+   * `Tracer#getCurrentLogCorrelationFields` to every log record written in a
+   * traced context, which lets Cloud Logging show log entries alongside the
+   * trace of the request that wrote them. Fields that a record already has
+   * are kept. These plugins can be overridden in `plugins` as with any other
+   * plugin.
+   */
+  logCorrelation?: boolean;
+
+  /**
+   * If true, plugins for worker_threads and child_process are loaded in
+   * addition to `plugins`. They carry the current trace context into worker
+   * threads created with `new Worker` and child processes created with
+   * `child_process.fork`, as well as into messages sent to them with
+   * `Worker#postMessage` and `ChildProcess#send`. In a worker thread or child
+   * process, root spans that are started without incoming trace context
+   * continue the trace of the span in which the thread or process was
+   * created, and listeners of messages from the parent thread or process
+   * (added with `parentPort.on('message')` or `process.on('message')`) run in a
+   * root span that continues the trace of the span in which the message was
+   * sent. The Trace Agent must also be started, with this option set, in the
+   * worker thread or child process; otherwise, messages sent in a traced
+   * context are received wrapped in an object that carries the trace context.
+   * Preloading the Trace Agent with `--require` starts it in both, as they
+   * inherit the `execArgv` of their parent.
+   */
+  workerContextPropagation?: boolean;
+
   /**
    * The max number of frames to include on traces; pass a value of 0 to
    * disable stack frame limits.
@@ -204,6 +346,63 @@ export interface Config {
    */
   samplingRate?: number;
 
+  /**
+   * An ordered list of sampling rules. A request is sampled according to the
+   * first rule that it matches; requests that don't match any rule are
+   * sampled according to `samplingRate`. Requests that match ignoreUrls or
+   * ignoreMethods are never traced, as if they matched rules with
+   * `maxTracesPerSecond` set to 0 that came before all other rules.
+   * For example, the following rules trace every checkout request, at most
+   * one request for static assets every 10 seconds, and a quarter of all GET
+   * requests:
+   *   [
+   *     {url: '^/checkout', ratio: 1},
+   *     {url: '^/static/', maxTracesPerSecond: 0.1},
+   *     {method: 'GET', ratio: 0.25},
+   *   ]
+   */
+  samplingRules?: SamplingRule[];
+
+  /**
+   * Settings for tail-based sampling. When enabled, requests that the trace
+   * policy chooses not to trace are recorded anyway, and the decision to keep
+   * or drop each trace is made when its root span ends. Traces that the trace
+   * policy chooses to trace are always kept. Downstream services are still
+   * told that the trace isn't sampled.
+   */
+  tailSampling?: {
+    /**
+     * Whether tail-based sampling is enabled. Disabled by default.
+     */
+    enabled?: boolean;
+    /**
+     * Traces whose root span takes at least this many milliseconds are kept.
+     */
+    latencyThresholdMillis?: number;
+    /**
+     * Whether traces are kept if any of their spans has an HTTP status code
+     * label of 500 or more, or an error name label.
+     */
+    keepErrors?: boolean;
+    /**
+     * If specified, traces for which this function returns true are kept.
+     */
+    shouldKeep?: (trace: Trace) => boolean;
+    /**
+     * The maximum number of unsampled traces that may be recorded at once.
+     * Requests beyond this limit aren't recorded. Each of these traces is also
+     * subject to spansPerTraceHardLimit.
+     */
+    maxPendingTraces?: number;
+    /**
+     * Unsampled traces whose root span hasn't ended after this many
+     * milliseconds no longer count towards maxPendingTraces. This keeps root
+     * spans that never end, such as those of aborted requests, from using up
+     * the limit.
+     */
+    pendingTraceTimeoutMillis?: number;
+  };
+
   /**
    * Specifies whether to trace based on the 'traced' bit specified on incoming
    * trace context headers. The following options are available:
@@ -222,19 +421,136 @@ export interface Config {
   /**
    * For advanced usage only.
    * If specified, overrides the built-in trace policy object.
-   * Note that if any of ignoreUrls, ignoreMethods, samplingRate, or
-   * contextHeaderBehavior is specified, an error will be thrown when start()
-   * is called.
+   * Note that if any of ignoreUrls, ignoreMethods, samplingRate,
+   * samplingRules, or contextHeaderBehavior is specified, an error will be
+   * thrown when start() is called.
    */
   tracePolicy?: TracePolicy;
 
+  /**
+   * The built-in trace context header format to use. The following options
+   * are available:
+   * - 'cloud-trace' reads and writes the 'x-cloud-trace-context' header.
+   * - 'w3c' reads and writes the W3C Trace Context 'traceparent' and
+   *   'tracestate' headers.
+   * - 'b3' reads the B3 (Zipkin) 'X-B3-TraceId', 'X-B3-SpanId',
+   *   'X-B3-Sampled' and 'X-B3-Flags' headers, as well as the single 'b3'
+   *   header, and writes the former. 64-bit trace IDs are padded to 128 bits.
+   * - 'multi' reads trace context from either of the above formats (preferring
+   *   'traceparent' if both are present), and writes both of them.
+   * Plugins for RPC frameworks that use metadata instead of headers, such as
+   * gRPC, will also write trace context in this format alongside their own.
+   * The 'cloud-trace' format is used by default if this configuration option
+   * is not explicitly set.
+   */
+  propagationFormat?: PropagationFormat;
+
   /**
    * If specified, the Trace Agent will use this context header propagation
-   * implementation instead of @opencensus/propagation-stackdriver, the default
-   * trace context header format.
+   * implementation instead of the one selected by propagationFormat.
+   * Note that if propagationFormat is also specified, an error will be thrown
+   * when start() is called.
    */
   propagation?: OpenCensusPropagation;
 
+  /**
+   * The destinations for captured traces. Each entry is either 'cloud-trace',
+   * which publishes traces to the Stackdriver Trace API, or an object with an
+   * `export` method that is periodically passed a batch of finished traces
+   * and returns a Promise that rejects if they couldn't be sent. Every batch
+   * is passed to all exporters. Besides 'cloud-trace', the following exporters
+   * are built in:
+   * - NdjsonExporter writes each trace as a line of JSON to a file, or to
+   *   stdout.
+   * - HttpJsonExporter POSTs batches of traces as JSON to a given URL.
+   * - CloudTraceV2Exporter publishes traces to the Cloud Trace API v2, which
+   *   represents span kinds, statuses, events and stack traces as structured
+   *   fields rather than labels. It can be used in place of 'cloud-trace'.
+   * - OtlpHttpExporter sends traces to an OpenTelemetry Collector with the
+   *   OTLP/HTTP protocol, using either the protobuf or JSON encoding.
+   * If 'cloud-trace' isn't among the exporters, the Trace Agent will not be
+   * disabled when it can't determine a project ID.
+   * Only 'cloud-trace' is used by default.
+   */
+  exporters?: Array<SpanExporter | CloudTraceExporterName>;
+
+  /**
+   * If specified, this function will be called every `statsIntervalSeconds`
+   * seconds with a snapshot of the Trace Agent's self-telemetry, as returned
+   * by `getStats()` on the object returned by `start()`.
+   */
+  onStats?: (stats: AgentStats) => void;
+
+  /**
+   * The interval at which `onStats` is called, in seconds.
+   */
+  statsIntervalSeconds?: number;
+
+  /**
+   * Settings for a page that shows recent tracing activity, for debugging.
+   * When enabled, the page lists the most recently published traces, the
+   * traces whose root span hasn't ended yet, latency and error counts for
+   * published spans by name, recent sampling decisions, and the modules that
+   * plugins were applied to. It can be served on a port of the loopback
+   * interface, or mounted on an existing server with the exported
+   * `debugPageHandler(req, res)` function. It is only served to requests
+   * from the loopback interface, and as JSON when the request has the query
+   * parameter `format=json`. Requests are checked by the address that they
+   * are received from, so when the handler is mounted on a server behind a
+   * reverse proxy on the same host, every request that the proxy forwards is
+   * served. Use `port` instead in that case.
+   */
+  debugPage?: {
+    /**
+     * Whether the debug page is enabled. Disabled by default. Spans are
+     * shown as they are recorded, so consider enabling `redaction` if labels
+     * may contain sensitive data.
+     */
+    enabled?: boolean;
+    /**
+     * If greater than 0, the page is served on this port of the loopback
+     * interface (127.0.0.1). Otherwise, it is only served by
+     * `debugPageHandler`.
+     */
+    port?: number;
+    /**
+     * The number of most recently published traces to show.
+     */
+    maxRecentTraces?: number;
+    /**
+     * The number of most recent sampling decisions to show.
+     */
+    maxRecentSamplingDecisions?: number;
+    /**
+     * The maximum number of distinct span names for which latency and error
+     * counts are kept. Spans with other names are counted under the span name
+     * `__overflow__`.
+     */
+    maxSpanNames?: number;
+  };
+
+  /**
+   * Settings for request rate, error and duration metrics derived from ended
+   * spans. Metrics are aggregated from all root and child spans, including
+   * those of traces that aren't sampled, by span name, span kind and status
+   * class (the class of the HTTP status code, such as `2xx`, or otherwise
+   * `ok` or `error`). They are served in the Prometheus text exposition
+   * format by the exported `spanMetricsHandler(req, res)` function, which can
+   * be mounted on an existing server.
+   */
+  spanMetrics?: {
+    /**
+     * Whether span metrics are enabled. Disabled by default.
+     */
+    enabled?: boolean;
+    /**
+     * The maximum number of distinct span names for which metrics are kept.
+     * Spans with other names are counted under the span name `__overflow__`,
+     * which bounds the number of exported series.
+     */
+    maxSpanNames?: number;
+  };
+
   /**
    * Buffer the captured traces for `flushDelaySeconds` seconds before
    * publishing to the Stackdriver Trace API, unless the buffer fills up first.
@@ -249,6 +565,48 @@ export interface Config {
    */
   bufferSize?: number;
 
+  /**
+   * The maximum number of times that a batch of traces is sent to the
+   * Stackdriver Trace API. Batches that fail because of network errors or
+   * 429 and 5xx responses are retried with exponential backoff and jitter,
+   * honoring any Retry-After response header. Set this to 1 to disable
+   * retries.
+   */
+  maxPublishAttempts?: number;
+
+  /**
+   * The maximum number of spans in batches that are waiting to be retried.
+   * When this limit or `retryBufferBytes` would be exceeded, the oldest
+   * batches waiting to be retried are dropped.
+   */
+  retryBufferSize?: number;
+
+  /**
+   * The maximum size, in bytes, of the serialized batches that are waiting to
+   * be retried. Also see `retryBufferSize`.
+   */
+  retryBufferBytes?: number;
+
+  /**
+   * When `onUncaughtException` is `flushAndExit`, the maximum number of
+   * seconds to wait for traces to be published (including retries) before
+   * terminating the application. This is also the maximum amount of time
+   * that the `flush` and `shutdown` methods of the Trace Agent, and
+   * `flushOnExit`, wait for.
+   */
+  flushTimeoutSeconds?: number;
+
+  /**
+   * If true, the Trace Agent shuts down as its `shutdown` method does when the
+   * process receives SIGTERM, or when its event loop empties. Buffered traces
+   * are published before the process exits, waiting at most
+   * `flushTimeoutSeconds` seconds. Once the Trace Agent has shut down on
+   * SIGTERM, the signal is raised again, unless other listeners for it were
+   * added by the application, in which case those are left to terminate the
+   * process.
+   */
+  flushOnExit?: boolean;
+
   /**
    * Specifies the behavior of the trace agent in the case of an uncaught
    * exception. Possible values are:
@@ -265,9 +623,11 @@ export interface Config {
    *            responsible for terminating the application.
    *   `flushAndExit`: Handle the uncaught exception, make a best effort attempt
    *            to publish the traces to the API, and then terminate the
-   *            application after a delay. Note that the presence of other
-   *            uncaught exception handlers may choose to terminate the
-   *            application before the buffer has been flushed to the network.
+   *            application once publishing is done, or after
+   *            `flushTimeoutSeconds` seconds have elapsed. Note that the
+   *            presence of other uncaught exception handlers may choose to
+   *            terminate the application before the buffer has been flushed
+   *            to the network.
    */
   onUncaughtException?: string;
 
@@ -306,6 +666,25 @@ export interface Config {
   };
 }
 
+/**
+ * Plugins that are loaded in addition to those in `plugins` if
+ * `logCorrelation` is true.
+ */
+export const logCorrelationPlugins = {
+  bunyan: path.join(pluginDirectory, 'plugin-bunyan.js'),
+  pino: path.join(pluginDirectory, 'plugin-pino.js'),
+  winston: path.join(pluginDirectory, 'plugin-winston.js'),
+};
+
+/**
+ * Plugins that are loaded in addition to those in `plugins` if
+ * `workerContextPropagation` is true.
+ */
+export const workerContextPropagationPlugins = {
+  child_process: path.join(pluginDirectory, 'plugin-child-process.js'),
+  worker_threads: path.join(pluginDirectory, 'plugin-worker-threads.js'),
+};
+
 /**
  * Default configuration. For fields with primitive values, any user-provided
  * value will override the corresponding default value.
@@ -318,21 +697,31 @@ export const defaultConfig = {
   enabled: true,
   enhancedDatabaseReporting: false,
   rootSpanNameOverride: (name: string) => name,
+  rootSpanNameFromRoute: false,
   clsMechanism: 'auto' as CLSMechanism,
   spansPerTraceSoftLimit: 200,
   spansPerTraceHardLimit: 1000,
   maximumLabelValueSize: 512,
+  redaction: {
+    enabled: false,
+    denyKeys: [] as string[],
+    valuePatterns: [] as Array<string | RegExp>,
+    scrubSql: true,
+  },
   plugins: {
     // enable all by default
     bluebird: path.join(pluginDirectory, 'plugin-bluebird.js'),
     connect: path.join(pluginDirectory, 'plugin-connect.js'),
     express: path.join(pluginDirectory, 'plugin-express.js'),
+    fastify: path.join(pluginDirectory, 'plugin-fastify.js'),
     'generic-pool': path.join(pluginDirectory, 'plugin-generic-pool.js'),
     grpc: path.join(pluginDirectory, 'plugin-grpc.js'),
+    '@grpc/grpc-js': path.join(pluginDirectory, 'plugin-grpc-js.js'),
     hapi: path.join(pluginDirectory, 'plugin-hapi.js'),
     '@hapi/hapi': path.join(pluginDirectory, 'plugin-hapi.js'),
     http: path.join(pluginDirectory, 'plugin-http.js'),
     http2: path.join(pluginDirectory, 'plugin-http2.js'),
+    ioredis: path.join(pluginDirectory, 'plugin-ioredis.js'),
     koa: path.join(pluginDirectory, 'plugin-koa.js'),
     mongodb: path.join(pluginDirectory, 'plugin-mongodb.js'),
     'mongodb-core': path.join(pluginDirectory, 'plugin-mongodb-core.js'),
@@ -342,14 +731,44 @@ export const defaultConfig = {
     pg: path.join(pluginDirectory, 'plugin-pg.js'),
     redis: path.join(pluginDirectory, 'plugin-redis.js'),
     restify: path.join(pluginDirectory, 'plugin-restify.js'),
+    undici: path.join(pluginDirectory, 'plugin-undici.js'),
   },
+  logCorrelation: false,
+  workerContextPropagation: false,
   stackTraceLimit: 10,
   flushDelaySeconds: 30,
   ignoreUrls: ['/_ah/health'],
   ignoreMethods: [],
   samplingRate: 10,
+  samplingRules: [] as SamplingRule[],
+  tailSampling: {
+    enabled: false,
+    latencyThresholdMillis: 1000,
+    keepErrors: true,
+    maxPendingTraces: 1000,
+    pendingTraceTimeoutMillis: 60000,
+  },
   contextHeaderBehavior: 'default',
+  propagationFormat: 'cloud-trace' as PropagationFormat,
   bufferSize: 1000,
+  maxPublishAttempts: 5,
+  retryBufferSize: 5000,
+  retryBufferBytes: 8 * 1024 * 1024,
+  flushTimeoutSeconds: 10,
+  flushOnExit: false,
+  statsIntervalSeconds: 60,
+  debugPage: {
+    enabled: false,
+    port: 0,
+    maxRecentTraces: 50,
+    maxRecentSamplingDecisions: 100,
+    maxSpanNames: 200,
+  },
+  spanMetrics: {
+    enabled: false,
+    maxSpanNames: 200,
+  },
+  exporters: ['cloud-trace'] as Array<SpanExporter | CloudTraceExporterName>,
   onUncaughtException: 'ignore',
   serviceContext: {},
 };
@@ -20,6 +20,18 @@ export const Constants = {
   /** The metadata key under which trace context is stored as a binary value. */
   TRACE_CONTEXT_GRPC_METADATA_NAME: 'grpc-trace-bin',
 
+  /**
+   * The environment variable under which trace context is passed to worker
+   * threads and child processes, serialized as a base64 string.
+   */
+  TRACE_CONTEXT_ENV_NAME: 'GCLOUD_TRACE_PARENT_CONTEXT',
+
+  /**
+   * The property under which trace context is attached to messages sent to
+   * worker threads and child processes, serialized as a base64 string.
+   */
+  TRACE_CONTEXT_MESSAGE_KEY: '@google-cloud/trace-agent:traceContext',
+
   /** Header that carries trace context across Google infrastructure. */
   TRACE_CONTEXT_HEADER_NAME: 'x-cloud-trace-context',
 
@@ -79,3 +91,18 @@ export enum SpanType {
    */
   CHILD = 'CHILD',
 }
+
+/**
+ * An enumeration of the possible status codes of a span.
+ */
+export enum SpanStatusCode {
+  /**
+   * The operation represented by the span completed successfully.
+   */
+  OK = 'OK',
+
+  /**
+   * The operation represented by the span failed.
+   */
+  ERROR = 'ERROR',
+}
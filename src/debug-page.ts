@@ -0,0 +1,492 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as http from 'http';
+import {URL} from 'url';
+
+import {Logger} from './logger';
+import {OVERFLOW_SPAN_NAME} from './span-metrics';
+import {hasError} from './tail-sampling';
+import {Trace, TraceSpan} from './trace';
+
+/**
+ * Options for enabling the debug page.
+ */
+export interface DebugPageConfig {
+  /**
+   * If greater than 0, the page is served on this port of the loopback
+   * interface. Otherwise, it is only served by debugPageHandler.
+   */
+  port: number;
+  /**
+   * The number of most recently published traces to show.
+   */
+  maxRecentTraces: number;
+  /**
+   * The number of most recent sampling decisions to show.
+   */
+  maxRecentSamplingDecisions: number;
+  /**
+   * The maximum number of distinct span names for which statistics are kept.
+   * Spans with other names are counted under OVERFLOW_SPAN_NAME.
+   */
+  maxSpanNames: number;
+}
+
+/**
+ * The sampling decision made for a request passed to runInRootSpan.
+ */
+export interface SamplingDecision {
+  time: string;
+  name: string;
+  url: string;
+  method: string;
+  traceId: string;
+  /** Whether the trace policy chose to trace the request. */
+  sampled: boolean;
+  /** Whether the request was recorded anyway for tail-based sampling. */
+  tailSampled: boolean;
+}
+
+/**
+ * A module file that was patched by a plugin.
+ */
+export interface AppliedPlugin {
+  moduleName: string;
+  version: string;
+  /** The module-internal file that was patched, or '' for the main file. */
+  file: string;
+  /** The path to the plugin. */
+  pluginPath: string;
+}
+
+/**
+ * Latency and error counts for the published spans with a given name.
+ */
+export interface SpanNameStats {
+  count: number;
+  errors: number;
+  /**
+   * The number of spans in each latency bucket. The i-th bucket counts spans
+   * that took less than latencyBucketBoundsMillis[i] milliseconds (and at
+   * least as long as the previous bound); the last bucket counts the rest.
+   */
+  latencyBuckets: number[];
+}
+
+/**
+ * The data shown on the debug page.
+ */
+export interface DebugPageSnapshot {
+  /** The most recently published traces, newest first. */
+  recentTraces: Trace[];
+  /** Traces whose root span hasn't ended yet, oldest first. */
+  activeTraces: Trace[];
+  latencyBucketBoundsMillis: number[];
+  spanNameStats: {[spanName: string]: SpanNameStats};
+  /** The most recent sampling decisions, newest first. */
+  samplingDecisions: SamplingDecision[];
+  appliedPlugins: AppliedPlugin[];
+}
+
+/**
+ * A root span that hasn't necessarily ended.
+ */
+interface RootContext {
+  readonly trace: Trace;
+  readonly span: TraceSpan;
+}
+
+/* Upper bounds of the latency buckets, in milliseconds. */
+const LATENCY_BUCKET_BOUNDS_MILLIS = [1, 10, 100, 1000, 10000, 100000];
+/* The maximum number of unended root spans that are tracked. */
+const MAX_ACTIVE_ROOT_SPANS = 1000;
+/* How often root spans that have ended stop being tracked. */
+const PRUNE_INTERVAL_MILLIS = 5000;
+
+function getLatencyMillis(span: TraceSpan): number {
+  const end = span.endTime ? Date.parse(span.endTime) : Date.now();
+  return end - Date.parse(span.startTime);
+}
+
+function isLoopback(address?: string): boolean {
+  return (
+    !!address &&
+    (address === '::1' ||
+      address.startsWith('127.') ||
+      address.startsWith('::ffff:127.'))
+  );
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderTable(headers: string[], rows: string[][]): string {
+  if (rows.length === 0) {
+    return '<p>None.</p>';
+  }
+  const renderRow = (cells: string[], tag: string) =>
+    `<tr>${cells.map(cell => `<${tag}>${cell}</${tag}>`).join('')}</tr>`;
+  return `<table>${renderRow(headers, 'th')}${rows
+    .map(row => renderRow(row, 'td'))
+    .join('')}</table>`;
+}
+
+function renderTraces(traces: Trace[]): string {
+  const rows: string[][] = [];
+  traces.forEach(trace => {
+    // Indent each span by its depth in the trace.
+    const depths = new Map<string, number>();
+    const getDepth = (span: TraceSpan): number => {
+      if (!depths.has(span.spanId)) {
+        depths.set(span.spanId, 0);
+        const parent = trace.spans.find(s => s.spanId === span.parentSpanId);
+        depths.set(span.spanId, parent ? getDepth(parent) + 1 : 0);
+      }
+      return depths.get(span.spanId)!;
+    };
+    trace.spans.forEach(span => {
+      rows.push([
+        escapeHtml(trace.traceId),
+        '&nbsp;&nbsp;'.repeat(getDepth(span)) + escapeHtml(span.name),
+        escapeHtml(span.kind),
+        escapeHtml(span.startTime),
+        span.endTime
+          ? `${getLatencyMillis(span)}`
+          : `${getLatencyMillis(span)} (running)`,
+        hasError(span) ? 'yes' : '',
+      ]);
+    });
+  });
+  return renderTable(
+    ['Trace ID', 'Span', 'Kind', 'Start', 'Latency (ms)', 'Error'],
+    rows
+  );
+}
+
+function renderHtml(snapshot: DebugPageSnapshot): string {
+  const bounds = snapshot.latencyBucketBoundsMillis;
+  const bucketNames = bounds
+    .map(bound => `&lt;${bound}ms`)
+    .concat(`&ge;${bounds[bounds.length - 1]}ms`);
+  const sections = [
+    '<h2>Active traces</h2>',
+    renderTraces(snapshot.activeTraces),
+    '<h2>Recently published traces</h2>',
+    renderTraces(snapshot.recentTraces),
+    '<h2>Published spans by name</h2>',
+    renderTable(
+      ['Span', 'Count', 'Errors'].concat(bucketNames),
+      Object.keys(snapshot.spanNameStats)
+        .sort()
+        .map(name => {
+          const stats = snapshot.spanNameStats[name];
+          return [escapeHtml(name), `${stats.count}`, `${stats.errors}`].concat(
+            stats.latencyBuckets.map(count => `${count}`)
+          );
+        })
+    ),
+    '<h2>Recent sampling decisions</h2>',
+    renderTable(
+      ['Time', 'Name', 'Method', 'URL', 'Trace ID', 'Decision'],
+      snapshot.samplingDecisions.map(decision => [
+        escapeHtml(decision.time),
+        escapeHtml(decision.name),
+        escapeHtml(decision.method),
+        escapeHtml(decision.url),
+        escapeHtml(decision.traceId),
+        decision.sampled
+          ? 'sampled'
+          : decision.tailSampled
+          ? 'recorded for tail-based sampling'
+          : 'not sampled',
+      ])
+    ),
+    '<h2>Applied plugins</h2>',
+    renderTable(
+      ['Module', 'Version', 'File', 'Plugin'],
+      snapshot.appliedPlugins.map(plugin => [
+        escapeHtml(plugin.moduleName),
+        escapeHtml(plugin.version),
+        escapeHtml(plugin.file),
+        escapeHtml(plugin.pluginPath),
+      ])
+    ),
+  ];
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8"><title>Trace Agent</title>',
+    '<style>table{border-collapse:collapse}',
+    'th,td{border:1px solid #ccc;padding:2px 6px;text-align:left}</style>',
+    '</head><body><h1>Trace Agent</h1>',
+    '<p><a href="?format=json">View as JSON</a></p>',
+    ...sections,
+    '</body></html>',
+  ].join('\n');
+}
+
+/**
+ * Records recent tracing activity, and serves it as an HTML or JSON page for
+ * debugging. Nothing is recorded unless the page is enabled. A single
+ * instance is shared by the whole Trace Agent.
+ */
+export class DebugPage {
+  private config: DebugPageConfig | null = null;
+  private logger: Logger | null = null;
+  private server: http.Server | null = null;
+  private pruneTimer: NodeJS.Timer | null = null;
+  private recentTraces: Trace[] = [];
+  private activeRootSpans = new Set<RootContext>();
+  private spanNameStats = new Map<string, SpanNameStats>();
+  private samplingDecisions: SamplingDecision[] = [];
+  private appliedPlugins = new Map<string, AppliedPlugin>();
+
+  /**
+   * Starts recording, and serves the page if a port is specified.
+   * @param config Options for the page.
+   * @param logger A logger.
+   */
+  enable(config: DebugPageConfig, logger: Logger) {
+    this.disable();
+    this.config = config;
+    this.logger = logger;
+    // Ended root spans are pruned periodically rather than as new ones are
+    // recorded, which would take time proportional to the number tracked.
+    this.pruneTimer = global
+      .setInterval(() => this.pruneActiveRootSpans(), PRUNE_INTERVAL_MILLIS)
+      .unref();
+    if (config.port > 0) {
+      // http is required lazily, so that loading this module doesn't load
+      // modules that do I/O.
+      const server = (require('http') as typeof http).createServer((req, res) =>
+        this.handleRequest(req, res)
+      );
+      server.on('error', err => {
+        logger.error(
+          `DebugPage#enable: Unable to serve the debug page: ${err.message}`
+        );
+      });
+      server.listen(config.port, '127.0.0.1', () => {
+        logger.info(
+          `DebugPage#enable: Serving the debug page at http://127.0.0.1:${config.port}/`
+        );
+      });
+      server.unref();
+      this.server = server;
+    }
+  }
+
+  /**
+   * Stops recording and serving the page, and discards what was recorded.
+   */
+  disable() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    this.config = null;
+    this.logger = null;
+    this.recentTraces = [];
+    this.activeRootSpans.clear();
+    this.spanNameStats.clear();
+    this.samplingDecisions = [];
+    this.appliedPlugins.clear();
+  }
+
+  isEnabled(): boolean {
+    return !!this.config;
+  }
+
+  recordSamplingDecision(decision: SamplingDecision) {
+    if (!this.config) {
+      return;
+    }
+    this.samplingDecisions.unshift(decision);
+    this.samplingDecisions.length = Math.min(
+      this.samplingDecisions.length,
+      this.config.maxRecentSamplingDecisions
+    );
+  }
+
+  /**
+   * Tracks a root span until it ends.
+   * @param rootSpan A root span that was just created.
+   */
+  recordRootSpan(rootSpan: RootContext) {
+    if (!this.config) {
+      return;
+    }
+    if (this.activeRootSpans.size < MAX_ACTIVE_ROOT_SPANS) {
+      this.activeRootSpans.add(rootSpan);
+    }
+  }
+
+  /**
+   * Records a trace that was handed over to be published.
+   * @param trace A trace containing only ended spans.
+   */
+  recordTrace(trace: Trace) {
+    if (!this.config) {
+      return;
+    }
+    this.recentTraces.unshift(trace);
+    this.recentTraces.length = Math.min(
+      this.recentTraces.length,
+      this.config.maxRecentTraces
+    );
+    trace.spans.forEach(span => {
+      let name = span.name;
+      if (
+        !this.spanNameStats.has(name) &&
+        this.spanNameStats.size >= this.config!.maxSpanNames
+      ) {
+        name = OVERFLOW_SPAN_NAME;
+      }
+      let stats = this.spanNameStats.get(name);
+      if (!stats) {
+        stats = {
+          count: 0,
+          errors: 0,
+          latencyBuckets: new Array(
+            LATENCY_BUCKET_BOUNDS_MILLIS.length + 1
+          ).fill(0),
+        };
+        this.spanNameStats.set(name, stats);
+      }
+      stats.count++;
+      if (hasError(span)) {
+        stats.errors++;
+      }
+      const latency = getLatencyMillis(span);
+      const bucket = LATENCY_BUCKET_BOUNDS_MILLIS.findIndex(
+        bound => latency < bound
+      );
+      stats.latencyBuckets[
+        bucket === -1 ? LATENCY_BUCKET_BOUNDS_MILLIS.length : bucket
+      ]++;
+    });
+  }
+
+  recordAppliedPlugin(plugin: AppliedPlugin) {
+    if (!this.config) {
+      return;
+    }
+    const key = [
+      plugin.moduleName,
+      plugin.version,
+      plugin.file,
+      plugin.pluginPath,
+    ].join('\0');
+    this.appliedPlugins.set(key, plugin);
+  }
+
+  /**
+   * Returns the data shown on the page.
+   */
+  getSnapshot(): DebugPageSnapshot {
+    this.pruneActiveRootSpans();
+    const spanNameStats: {[spanName: string]: SpanNameStats} = {};
+    this.spanNameStats.forEach((stats, name) => {
+      spanNameStats[name] = Object.assign({}, stats, {
+        latencyBuckets: stats.latencyBuckets.slice(),
+      });
+    });
+    return {
+      recentTraces: this.recentTraces.slice(),
+      activeTraces: Array.from(this.activeRootSpans).map(rootSpan => ({
+        projectId: rootSpan.trace.projectId,
+        traceId: rootSpan.trace.traceId,
+        spans: rootSpan.trace.spans.slice(),
+      })),
+      latencyBucketBoundsMillis: LATENCY_BUCKET_BOUNDS_MILLIS.slice(),
+      spanNameStats,
+      samplingDecisions: this.samplingDecisions.slice(),
+      appliedPlugins: Array.from(this.appliedPlugins.values()),
+    };
+  }
+
+  /**
+   * Serves the page as HTML, or as JSON if the request has the query
+   * parameter format=json. Requests that don't come from the loopback
+   * interface are rejected. This is decided by the address of the socket, so
+   * requests forwarded by a reverse proxy on the same host are served.
+   */
+  handleRequest(req: http.IncomingMessage, res: http.ServerResponse) {
+    if (!this.config) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    if (!isLoopback(req.socket.remoteAddress)) {
+      this.logger!.warn(
+        `DebugPage#handleRequest: Rejected request from ${req.socket.remoteAddress}.`
+      );
+      res.statusCode = 403;
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.statusCode = 405;
+      res.setHeader('allow', 'GET, HEAD');
+      res.end();
+      return;
+    }
+    const snapshot = this.getSnapshot();
+    const format = new URL(req.url || '/', 'http://localhost').searchParams.get(
+      'format'
+    );
+    res.setHeader('cache-control', 'no-store');
+    if (format === 'json') {
+      res.setHeader('content-type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify(snapshot, null, 2));
+    } else {
+      res.setHeader('content-type', 'text/html; charset=utf-8');
+      res.end(renderHtml(snapshot));
+    }
+  }
+
+  private pruneActiveRootSpans() {
+    this.activeRootSpans.forEach(rootSpan => {
+      if (rootSpan.span.endTime) {
+        this.activeRootSpans.delete(rootSpan);
+      }
+    });
+  }
+}
+
+export const debugPage = new DebugPage();
+
+/**
+ * A request handler that serves the debug page, for mounting on an existing
+ * server. It responds with 404 unless the Trace Agent was started with the
+ * debug page enabled, and with 403 to requests that don't come from the
+ * loopback interface. Don't mount it on a server behind a reverse proxy on
+ * the same host, as the requests that the proxy forwards come from the
+ * loopback interface.
+ */
+export function debugPageHandler(
+  req: http.IncomingMessage,
+  res: http.ServerResponse
+) {
+  debugPage.handleRequest(req, res);
+}
@@ -0,0 +1,226 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Module customization hooks that let plugins be applied to modules imported
+ * by ES modules. They are registered by ./register, and run on a separate
+ * thread from the application, so this file must not import the rest of the
+ * Trace Agent.
+ *
+ * Modules imported from ES modules don't pass through require, so the require
+ * hook set up by the plugin loader never sees them. Instead, each imported
+ * module that plugins may be applied to is replaced with a generated module
+ * that loads it with require, so that the require hook applies plugins to it
+ * (and determines its version) exactly as it would for a CommonJS
+ * application, and then re-exports it. Packages that are themselves ES
+ * modules can't be required, so plugins aren't applied to them.
+ */
+
+import {parse as parseCommonJs} from 'cjs-module-lexer';
+import * as fs from 'fs';
+// These hooks are only registered on versions of Node that support them.
+// eslint-disable-next-line node/no-unsupported-features/node-builtins
+import {createRequire} from 'module';
+import * as path from 'path';
+import {fileURLToPath, URL} from 'url';
+
+/**
+ * The data passed to the hooks when they are registered.
+ */
+export interface EsmLoaderData {
+  // The names of packages and core modules that plugins may be applied to.
+  modules: string[];
+}
+
+// The subset of the types of module customization hooks used by this file.
+interface LoadContext {
+  format?: string | null;
+}
+interface LoadResult {
+  format: string;
+  source?: unknown;
+  shortCircuit?: boolean;
+}
+type NextLoad = (url: string, context?: LoadContext) => Promise<LoadResult>;
+
+/* The query parameter that marks URLs of modules generated by this file. */
+const LOADER_PARAM = 'trace-agent';
+/* Matches export names that can be written without quotes. */
+const IDENTIFIER_NAME = /^[A-Za-z_$][\w$]*$/;
+
+let hookedModules = new Set<string>();
+
+/**
+ * Returns the name of the package that contains the given file, or null if
+ * it isn't in a node_modules directory.
+ */
+function getPackageName(filename: string): string | null {
+  const segments = filename.split(path.sep);
+  const index = segments.lastIndexOf('node_modules');
+  if (index === -1 || index + 2 >= segments.length) {
+    return null;
+  }
+  const name = segments[index + 1];
+  return name.startsWith('@') ? `${name}/${segments[index + 2]}` : name;
+}
+
+function markUrl(url: URL, value: string): string {
+  const markedUrl = new URL(url.href);
+  markedUrl.searchParams.set(LOADER_PARAM, value);
+  return markedUrl.href;
+}
+
+/**
+ * Returns the source of a module that exports what requiring the given file
+ * returns.
+ */
+function getRequireSource(filename: string): string {
+  return [
+    "import {createRequire} from 'module';",
+    `export default createRequire(${JSON.stringify(filename)})(${JSON.stringify(
+      filename
+    )});`,
+  ].join('\n');
+}
+
+/**
+ * Returns the names that Node exports from the given CommonJS file when it is
+ * imported, including those of the files that it re-exports.
+ */
+function getCommonJsExportNames(
+  filename: string,
+  visited = new Set<string>()
+): string[] {
+  if (visited.has(filename)) {
+    return [];
+  }
+  visited.add(filename);
+  let parsed;
+  try {
+    parsed = parseCommonJs(fs.readFileSync(filename, 'utf8'));
+  } catch (err) {
+    return [];
+  }
+  const names = parsed.exports.slice();
+  const localRequire = createRequire(filename);
+  parsed.reexports.forEach(request => {
+    let resolved;
+    try {
+      resolved = localRequire.resolve(request);
+    } catch (err) {
+      return;
+    }
+    // Re-exported core modules aren't files.
+    if (path.isAbsolute(resolved)) {
+      names.push(...getCommonJsExportNames(resolved, visited));
+    }
+  });
+  return names;
+}
+
+/**
+ * Returns the lines of a module that export the variable named exported as
+ * the default export, and its properties with the given names as named
+ * exports.
+ */
+function getExportLines(names: string[]): string[] {
+  const lines = ['export default exported;'];
+  Array.from(new Set(names))
+    .filter(name => name !== 'default' && IDENTIFIER_NAME.test(name))
+    .forEach((name, i) => {
+      lines.push(
+        `const export${i} = exported[${JSON.stringify(name)}];`,
+        `export {export${i} as ${name}};`
+      );
+    });
+  return lines;
+}
+
+/**
+ * Returns the source of a module that replaces a CommonJS module. Its default
+ * export is what requiring the module returns. Its other exports are read
+ * from that value, so that they reflect patches applied to the exports object
+ * and modules replaced by plugins. Their names are found the same way that
+ * Node finds them.
+ */
+function getCommonJsSource(url: URL): string {
+  return [
+    `import exported from ${JSON.stringify(markUrl(url, 'require'))};`,
+    ...getExportLines(getCommonJsExportNames(fileURLToPath(url))),
+  ].join('\n');
+}
+
+/**
+ * Returns the source of a module that replaces a core module. Core modules
+ * can't be imported by a different URL, but their export names are known
+ * here, so they are exported one by one.
+ */
+function getBuiltinSource(name: string): string {
+  return [
+    "import {createRequire} from 'module';",
+    `const exported = createRequire(${JSON.stringify(
+      __filename
+    )})(${JSON.stringify(name)});`,
+    ...getExportLines(Object.keys(require(name))),
+  ].join('\n');
+}
+
+/**
+ * Called when the hooks are registered.
+ */
+export function initialize(data: EsmLoaderData) {
+  hookedModules = new Set(data.modules);
+}
+
+/**
+ * Called to load each imported module. Replaces modules that plugins may be
+ * applied to with generated modules.
+ */
+export async function load(
+  url: string,
+  context: LoadContext,
+  nextLoad: NextLoad
+): Promise<LoadResult> {
+  const parsedUrl = new URL(url);
+  const param = parsedUrl.searchParams.get(LOADER_PARAM);
+  if (param === 'require') {
+    const filename = fileURLToPath(parsedUrl);
+    return {
+      format: 'module',
+      source: getRequireSource(filename),
+      shortCircuit: true,
+    };
+  }
+  const result = await nextLoad(url, context);
+  if (result.format === 'builtin') {
+    const name = url.replace(/^node:/, '');
+    if (hookedModules.has(name)) {
+      return {
+        format: 'module',
+        source: getBuiltinSource(name),
+        shortCircuit: true,
+      };
+    }
+  } else if (result.format === 'commonjs' && parsedUrl.protocol === 'file:') {
+    const name = getPackageName(fileURLToPath(parsedUrl));
+    if (name && hookedModules.has(name)) {
+      return {
+        format: 'module',
+        source: getCommonJsSource(parsedUrl),
+        shortCircuit: true,
+      };
+    }
+  }
+  return result;
+}
@@ -0,0 +1,535 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as fs from 'fs';
+import * as googleAuth from 'google-auth-library';
+import * as http from 'http';
+import * as https from 'https';
+import {URL} from 'url';
+
+import {SpanExporter} from './config';
+import {Constants, SpanStatusCode} from './constants';
+import {
+  encodeExportTraceServiceRequest,
+  toExportTraceServiceRequest,
+} from './otlp';
+import {SpanKind, Trace, TraceSpan} from './trace';
+import {TraceLabels} from './trace-labels';
+import {
+  AttributeValue,
+  Attributes,
+  BatchWriteRequest,
+  SpanKindV2,
+  SpanV2,
+  StackFrameV2,
+  TimeEvent,
+  TruncatableString,
+} from './trace-v2';
+import * as traceWriterModule from './trace-writer';
+import {spanIdToHex, StackFrame} from './util';
+
+/* The scope needed to write traces with the Cloud Trace API v2 */
+const V2_SCOPES = ['https://www.googleapis.com/auth/trace.append'];
+/* The default base URL of the Cloud Trace API v2 */
+const V2_API_ENDPOINT = 'https://cloudtrace.googleapis.com';
+/* The default OTLP/HTTP traces endpoint of an OpenTelemetry Collector */
+const OTLP_DEFAULT_URL = 'http://localhost:4318/v1/traces';
+
+/**
+ * POSTs a request body to an HTTP(S) URL.
+ * @param url The URL to POST to.
+ * @param headers Additional headers to send with the request.
+ * @param contentType The media type of the body.
+ * @param body The request body.
+ * @returns A Promise that rejects if the request failed or the response had
+ * a non-2xx status code.
+ */
+function post(
+  url: URL,
+  headers: http.OutgoingHttpHeaders | undefined,
+  contentType: string,
+  body: string | Buffer
+): Promise<void> {
+  const request = url.protocol === 'https:' ? https.request : http.request;
+  return new Promise((resolve, reject) => {
+    const req = request(
+      url,
+      {
+        method: 'POST',
+        headers: Object.assign({}, headers, {
+          'content-type': contentType,
+          'content-length': Buffer.byteLength(body),
+          // Prevents this request from being traced.
+          [Constants.TRACE_AGENT_REQUEST_HEADER]: 1,
+        }),
+      },
+      res => {
+        // Drain the response so that the socket can be reused.
+        res.resume();
+        const statusCode = res.statusCode || 0;
+        if (statusCode >= 200 && statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(`Received status code ${statusCode} from ${url}`));
+        }
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+export interface NdjsonExporterOptions {
+  /**
+   * The file to append traces to. If not specified, traces are written to
+   * stdout.
+   */
+  path?: string;
+}
+
+/**
+ * An exporter that writes each trace as a single line of JSON, either to a
+ * file or to stdout. It's intended for local development and tests.
+ */
+export class NdjsonExporter implements SpanExporter {
+  constructor(private readonly options: NdjsonExporterOptions = {}) {}
+
+  export(traces: Trace[]): Promise<void> {
+    const lines = traces.map(trace => `${JSON.stringify(trace)}\n`).join('');
+    return new Promise((resolve, reject) => {
+      const cb = (err?: Error | null) => (err ? reject(err) : resolve());
+      if (this.options.path) {
+        fs.appendFile(this.options.path, lines, cb);
+      } else {
+        process.stdout.write(lines, cb);
+      }
+    });
+  }
+}
+
+export interface HttpJsonExporterOptions {
+  /**
+   * The URL to POST traces to.
+   */
+  url: string;
+  /**
+   * Additional headers to send with each request.
+   */
+  headers?: http.OutgoingHttpHeaders;
+}
+
+/**
+ * An exporter that POSTs batches of traces to an HTTP(S) endpoint. The
+ * request body has the same shape as the one sent to the Stackdriver Trace
+ * API: `{"traces": [...]}`.
+ */
+export class HttpJsonExporter implements SpanExporter {
+  private readonly url: URL;
+
+  constructor(private readonly options: HttpJsonExporterOptions) {
+    this.url = new URL(options.url);
+    if (this.url.protocol !== 'http:' && this.url.protocol !== 'https:') {
+      throw new Error(
+        `HttpJsonExporter: URL [${options.url}] must use http or https.`
+      );
+    }
+  }
+
+  export(traces: Trace[]): Promise<void> {
+    return post(
+      this.url,
+      this.options.headers,
+      'application/json',
+      JSON.stringify({traces})
+    );
+  }
+}
+
+/* The maximum size of a span's display name in the Cloud Trace API v2 */
+const V2_DISPLAY_NAME_LIMIT = 128;
+/* The maximum size of an attribute key in the Cloud Trace API v2 */
+const V2_ATTRIBUTE_KEY_LIMIT = 128;
+/* The maximum size of a string attribute value in the Cloud Trace API v2 */
+const V2_ATTRIBUTE_VALUE_LIMIT = 256;
+/* The maximum number of attributes per span in the Cloud Trace API v2 */
+const V2_MAX_ATTRIBUTES = 32;
+/* The maximum number of annotations per span in the Cloud Trace API v2 */
+const V2_MAX_ANNOTATIONS = 32;
+/* google.rpc.Code values for SpanStatusCode members */
+const V2_STATUS_CODES: {[code: string]: number} = {
+  [SpanStatusCode.OK]: 0,
+  [SpanStatusCode.ERROR]: 2, // UNKNOWN
+};
+
+/**
+ * Truncates a string to the given number of bytes, recording how many bytes
+ * were removed.
+ */
+function truncatableString(value: string, limit: number): TruncatableString {
+  const numBytes = Buffer.byteLength(value);
+  if (numBytes <= limit) {
+    return {value};
+  }
+  // Remove a multi-byte character that was cut in half, if any.
+  const truncated = Buffer.from(value)
+    .slice(0, limit)
+    .toString()
+    .replace(/\ufffd$/, '');
+  return {
+    value: truncated,
+    truncatedByteCount: numBytes - Buffer.byteLength(truncated),
+  };
+}
+
+/**
+ * Converts a value to a typed attribute value. Label values are always
+ * strings, so strings that represent integers or booleans are converted to
+ * those types.
+ */
+function toAttributeValue(value: unknown): AttributeValue {
+  if (typeof value === 'boolean' || value === 'true' || value === 'false') {
+    return {boolValue: value === true || value === 'true'};
+  }
+  if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    return {intValue: `${value}`};
+  }
+  if (typeof value === 'string' && /^(0|-?[1-9]\d{0,14})$/.test(value)) {
+    return {intValue: value};
+  }
+  return {
+    stringValue: truncatableString(
+      typeof value === 'string' ? value : JSON.stringify(value),
+      V2_ATTRIBUTE_VALUE_LIMIT
+    ),
+  };
+}
+
+/**
+ * Converts a map of values to attributes, dropping values over the per-span
+ * limit.
+ */
+function toAttributes(values: {[key: string]: unknown}): Attributes {
+  const keys = Object.keys(values);
+  const attributes: Attributes = {attributeMap: {}};
+  keys.slice(0, V2_MAX_ATTRIBUTES).forEach(key => {
+    const k = truncatableString(key, V2_ATTRIBUTE_KEY_LIMIT).value;
+    attributes.attributeMap[k] = toAttributeValue(values[key]);
+  });
+  if (keys.length > V2_MAX_ATTRIBUTES) {
+    attributes.droppedAttributesCount = keys.length - V2_MAX_ATTRIBUTES;
+  }
+  return attributes;
+}
+
+/**
+ * Parses the JSON value of a label, returning null if it isn't valid JSON
+ * (for example, because it was truncated).
+ */
+function parseLabel<T>(value: string): T | null {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Converts a span in the Stackdriver Trace API v1 data model to the Cloud
+ * Trace API v2 data model. Labels that the v1 data model uses to hold the
+ * stack trace, status and events are converted to the corresponding v2
+ * fields.
+ * @param projectId The project that the span belongs to.
+ * @param traceId The ID of the trace that the span belongs to.
+ * @param span The span to convert.
+ * @param childSpanCount The number of children that the span has.
+ */
+function toSpanV2(
+  projectId: string,
+  traceId: string,
+  span: TraceSpan,
+  childSpanCount: number
+): SpanV2 {
+  const spanId = spanIdToHex(span.spanId);
+  const labels = Object.assign({}, span.labels);
+  const result: SpanV2 = {
+    name: `projects/${projectId}/traces/${traceId}/spans/${spanId}`,
+    spanId,
+    displayName: truncatableString(span.name, V2_DISPLAY_NAME_LIMIT),
+    startTime: span.startTime,
+    endTime: span.endTime,
+    attributes: {attributeMap: {}},
+    // Root spans correspond to incoming requests, so their parents (if any)
+    // are in other processes.
+    sameProcessAsParentSpan: span.kind !== SpanKind.RPC_SERVER,
+    childSpanCount,
+    spanKind:
+      span.kind === SpanKind.RPC_SERVER
+        ? SpanKindV2.SERVER
+        : span.kind === SpanKind.RPC_CLIENT
+        ? SpanKindV2.CLIENT
+        : SpanKindV2.INTERNAL,
+  };
+  if (span.parentSpanId && span.parentSpanId !== '0') {
+    result.parentSpanId = spanIdToHex(span.parentSpanId);
+  }
+
+  const stackTrace = parseLabel<{stack_frame: StackFrame[]}>(
+    labels[TraceLabels.STACK_TRACE_DETAILS_KEY] || ''
+  );
+  if (stackTrace && Array.isArray(stackTrace.stack_frame)) {
+    delete labels[TraceLabels.STACK_TRACE_DETAILS_KEY];
+    result.stackTrace = {
+      stackFrames: {
+        frame: stackTrace.stack_frame.map(frame => {
+          const frameV2: StackFrameV2 = {};
+          if (frame.method_name) {
+            frameV2.functionName = truncatableString(
+              frame.method_name,
+              V2_ATTRIBUTE_VALUE_LIMIT
+            );
+          }
+          if (frame.file_name) {
+            frameV2.fileName = truncatableString(
+              frame.file_name,
+              V2_ATTRIBUTE_VALUE_LIMIT
+            );
+          }
+          if (frame.line_number !== undefined) {
+            frameV2.lineNumber = `${frame.line_number}`;
+          }
+          if (frame.column_number !== undefined) {
+            frameV2.columnNumber = `${frame.column_number}`;
+          }
+          return frameV2;
+        }),
+      },
+    };
+  }
+
+  const statusCode = labels[TraceLabels.STATUS_CODE];
+  if (statusCode in V2_STATUS_CODES) {
+    result.status = {code: V2_STATUS_CODES[statusCode]};
+    if (labels[TraceLabels.STATUS_MESSAGE]) {
+      result.status.message = labels[TraceLabels.STATUS_MESSAGE];
+    }
+    delete labels[TraceLabels.STATUS_CODE];
+    delete labels[TraceLabels.STATUS_MESSAGE];
+  }
+
+  const timeEvents: TimeEvent[] = [];
+  for (let i = 0; labels[TraceLabels.EVENT_PREFIX + i] !== undefined; i++) {
+    const key = TraceLabels.EVENT_PREFIX + i;
+    const event = parseLabel<{
+      time: string;
+      name: string;
+      attributes: {[key: string]: unknown};
+    }>(labels[key]);
+    if (!event) {
+      // Keep the event as an attribute if it can't be parsed.
+      continue;
+    }
+    delete labels[key];
+    timeEvents.push({
+      time: event.time,
+      annotation: {
+        description: truncatableString(event.name, V2_ATTRIBUTE_VALUE_LIMIT),
+        attributes: toAttributes(event.attributes),
+      },
+    });
+  }
+  if (timeEvents.length > 0) {
+    result.timeEvents = {timeEvent: timeEvents.slice(0, V2_MAX_ANNOTATIONS)};
+    if (timeEvents.length > V2_MAX_ANNOTATIONS) {
+      result.timeEvents.droppedAnnotationsCount =
+        timeEvents.length - V2_MAX_ANNOTATIONS;
+    }
+  }
+
+  result.attributes = toAttributes(labels);
+  return result;
+}
+
+/**
+ * Converts traces to the body of a Cloud Trace API v2 batchWrite request.
+ * @param projectId The project that the traces belong to.
+ * @param traces The traces to convert.
+ */
+export function toBatchWriteRequest(
+  projectId: string,
+  traces: Trace[]
+): BatchWriteRequest {
+  const spans: SpanV2[] = [];
+  traces.forEach(trace => {
+    const childSpanCounts = new Map<string, number>();
+    trace.spans.forEach(span => {
+      if (span.parentSpanId) {
+        childSpanCounts.set(
+          span.parentSpanId,
+          (childSpanCounts.get(span.parentSpanId) || 0) + 1
+        );
+      }
+    });
+    trace.spans.forEach(span => {
+      spans.push(
+        toSpanV2(
+          projectId,
+          trace.traceId,
+          span,
+          childSpanCounts.get(span.spanId) || 0
+        )
+      );
+    });
+  });
+  return {spans};
+}
+
+export interface CloudTraceV2ExporterOptions {
+  /**
+   * The project to publish traces to. Defaults to the project ID that the
+   * Trace Agent determined.
+   */
+  projectId?: string;
+  /**
+   * The base URL of the Cloud Trace API. This can be set to the URL of a
+   * local stand-in for testing.
+   * Defaults to 'https://cloudtrace.googleapis.com'.
+   */
+  apiEndpoint?: string;
+  /**
+   * Whether to send credentials with requests. This can be set to false when
+   * publishing to a local stand-in. Defaults to true.
+   */
+  authenticate?: boolean;
+  /**
+   * Options for obtaining credentials. Application Default Credentials are
+   * used by default.
+   */
+  authOptions?: googleAuth.GoogleAuthOptions;
+}
+
+/**
+ * An exporter that publishes traces to the batchWrite method of the Cloud
+ * Trace API v2. Unlike 'cloud-trace', which uses the v1 API, it sends typed
+ * attributes, span kinds, statuses, events and stack traces as structured
+ * fields.
+ */
+export class CloudTraceV2Exporter implements SpanExporter {
+  private readonly apiEndpoint: string;
+  private auth: googleAuth.GoogleAuth | null = null;
+
+  constructor(private readonly options: CloudTraceV2ExporterOptions = {}) {
+    this.apiEndpoint = (options.apiEndpoint || V2_API_ENDPOINT).replace(
+      /\/+$/,
+      ''
+    );
+  }
+
+  async export(traces: Trace[]): Promise<void> {
+    const projectId =
+      this.options.projectId || (traces.length > 0 && traces[0].projectId);
+    if (!projectId) {
+      throw new Error('CloudTraceV2Exporter: No project ID is available.');
+    }
+    const url = new URL(
+      `${this.apiEndpoint}/v2/projects/${projectId}/traces:batchWrite`
+    );
+    if (!this.auth && this.options.authenticate !== false) {
+      // Exporters are constructed before the Trace Agent is started, so
+      // modules that do I/O are loaded only once they're needed.
+      this.auth = new (
+        require('google-auth-library') as typeof googleAuth
+      ).GoogleAuth(
+        Object.assign({scopes: V2_SCOPES}, this.options.authOptions)
+      );
+    }
+    const headers = this.auth
+      ? await this.auth.getRequestHeaders(url.href)
+      : undefined;
+    await post(
+      url,
+      headers,
+      'application/json',
+      JSON.stringify(toBatchWriteRequest(projectId, traces))
+    );
+  }
+}
+
+export interface OtlpHttpExporterOptions {
+  /**
+   * The URL to send traces to. Defaults to the traces endpoint of an
+   * OpenTelemetry Collector listening for OTLP/HTTP on localhost:
+   * 'http://localhost:4318/v1/traces'.
+   */
+  url?: string;
+  /**
+   * The encoding of request bodies, which is either 'protobuf' or 'json'.
+   * Defaults to 'protobuf'.
+   */
+  encoding?: 'protobuf' | 'json';
+  /**
+   * Additional headers to send with each request.
+   */
+  headers?: http.OutgoingHttpHeaders;
+}
+
+/**
+ * An exporter that sends traces to an OpenTelemetry Collector (or another
+ * OTLP receiver) with the OTLP/HTTP protocol. The service context and the
+ * default labels that the Trace Agent adds to root spans are sent as resource
+ * attributes.
+ */
+export class OtlpHttpExporter implements SpanExporter {
+  private readonly url: URL;
+  private readonly encoding: 'protobuf' | 'json';
+
+  constructor(private readonly options: OtlpHttpExporterOptions = {}) {
+    this.url = new URL(options.url || OTLP_DEFAULT_URL);
+    if (this.url.protocol !== 'http:' && this.url.protocol !== 'https:') {
+      throw new Error(
+        `OtlpHttpExporter: URL [${options.url}] must use http or https.`
+      );
+    }
+    this.encoding = options.encoding || 'protobuf';
+    if (this.encoding !== 'protobuf' && this.encoding !== 'json') {
+      throw new Error(
+        `OtlpHttpExporter: Encoding [${this.encoding}] must be 'protobuf' or 'json'.`
+      );
+    }
+  }
+
+  export(traces: Trace[]): Promise<void> {
+    // The trace writer module is loaded lazily for the same reason as
+    // google-auth-library in CloudTraceV2Exporter.
+    const traceWriter = (require('./trace-writer') as typeof traceWriterModule)
+      .traceWriter;
+    const writer = traceWriter.exists() ? traceWriter.get() : null;
+    const request = toExportTraceServiceRequest(traces, {
+      serviceContext: writer ? writer.getConfig().serviceContext : {},
+      defaultLabels: writer ? writer.defaultLabels : {},
+    });
+    return this.encoding === 'json'
+      ? post(
+          this.url,
+          this.options.headers,
+          'application/json',
+          JSON.stringify(request)
+        )
+      : post(
+          this.url,
+          this.options.headers,
+          'application/x-protobuf',
+          encodeExportTraceServiceRequest(request)
+        );
+  }
+}
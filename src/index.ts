@@ -16,14 +16,26 @@ const filesLoadedBeforeTrace = Object.keys(require.cache);
 
 // This file's top-level imports must not transitively depend on modules that
 // do I/O, or continuation-local-storage will not work.
-import {Config, defaultConfig} from './config';
+import {
+  Config,
+  defaultConfig,
+  logCorrelationPlugins,
+  workerContextPropagationPlugins,
+} from './config';
 import * as extend from 'extend';
 import * as path from 'path';
 import * as PluginTypes from './plugin-types';
 import {Tracing, TopLevelConfig} from './tracing';
-import {FORCE_NEW, Forceable, lastOf} from './util';
+import {
+  deserializeTraceContext,
+  FORCE_NEW,
+  Forceable,
+  lastOf,
+  TraceContext,
+} from './util';
 import {Constants} from './constants';
 import {TraceCLSMechanism} from './cls';
+import {isAsyncLocalStorageSupported} from './cls/async-local-storage';
 import {StackdriverTracer} from './trace-api';
 import {TraceContextHeaderBehavior} from './tracing-policy';
 
@@ -38,6 +50,14 @@ if (process && process.version) {
 }
 
 export {Config, PluginTypes};
+export {debugPageHandler} from './debug-page';
+export {spanMetricsHandler} from './span-metrics';
+export {
+  CloudTraceV2Exporter,
+  HttpJsonExporter,
+  NdjsonExporter,
+  OtlpHttpExporter,
+} from './exporters';
 
 let traceAgent: StackdriverTracer;
 
@@ -81,6 +101,7 @@ function initConfig(userConfig: Forceable<Config>): TopLevelConfig {
       'ignoreUrls',
       'ignoreMethods',
       'samplingRate',
+      'samplingRules',
       'contextHeaderBehavior',
     ]
       .filter(key => userSetKeys.has(key))
@@ -94,14 +115,28 @@ function initConfig(userConfig: Forceable<Config>): TopLevelConfig {
     }
   }
 
+  if (userSetKeys.has('propagation') && userSetKeys.has('propagationFormat')) {
+    throw new Error(
+      "config.propagation and config.propagationFormat can't be specified at the same time."
+    );
+  }
+
   const getInternalClsMechanism = (clsMechanism: string): TraceCLSMechanism => {
     // If the CLS mechanism is set to auto-determined, decide now
     // what it should be.
     if (clsMechanism === 'auto') {
-      return TraceCLSMechanism.ASYNC_HOOKS;
+      return isAsyncLocalStorageSupported()
+        ? TraceCLSMechanism.ASYNC_LOCAL_STORAGE
+        : TraceCLSMechanism.ASYNC_HOOKS;
     }
     return clsMechanism as TraceCLSMechanism;
   };
+  const getInternalParentTraceContext = (): TraceContext | null => {
+    // Worker threads and child processes receive the trace context of the
+    // span in which they were created from their parent.
+    const value = process.env[Constants.TRACE_CONTEXT_ENV_NAME];
+    return value ? deserializeTraceContext(Buffer.from(value, 'base64')) : null;
+  };
   const getInternalRootSpanNameOverride = (
     rootSpanNameOverride: string | ((name: string) => string)
   ) => {
@@ -124,6 +159,43 @@ function initConfig(userConfig: Forceable<Config>): TopLevelConfig {
       mergedConfig.logLevel,
       Number(process.env.GCLOUD_TRACE_LOGLEVEL)
     ),
+    propagationFormat: mergedConfig.propagationFormat,
+    tailSamplerConfig: mergedConfig.tailSampling.enabled
+      ? {
+          latencyThresholdMillis:
+            mergedConfig.tailSampling.latencyThresholdMillis,
+          keepErrors: mergedConfig.tailSampling.keepErrors,
+          shouldKeep: mergedConfig.tailSampling.shouldKeep,
+          maxPendingTraces: mergedConfig.tailSampling.maxPendingTraces,
+          pendingTraceTimeoutMillis:
+            mergedConfig.tailSampling.pendingTraceTimeoutMillis,
+        }
+      : null,
+    labelRedactorConfig: mergedConfig.redaction.enabled
+      ? {
+          denyKeys: mergedConfig.redaction.denyKeys,
+          valuePatterns: mergedConfig.redaction.valuePatterns,
+          scrubSql: mergedConfig.redaction.scrubSql,
+          redact: mergedConfig.redaction.redact,
+        }
+      : null,
+    debugPageConfig: mergedConfig.debugPage.enabled
+      ? {
+          port: mergedConfig.debugPage.port,
+          maxRecentTraces: mergedConfig.debugPage.maxRecentTraces,
+          maxRecentSamplingDecisions:
+            mergedConfig.debugPage.maxRecentSamplingDecisions,
+          maxSpanNames: mergedConfig.debugPage.maxSpanNames,
+        }
+      : null,
+    spanMetricsConfig: mergedConfig.spanMetrics.enabled
+      ? {maxSpanNames: mergedConfig.spanMetrics.maxSpanNames}
+      : null,
+    statsConfig: {
+      intervalSeconds: mergedConfig.statsIntervalSeconds,
+      onStats: mergedConfig.onStats,
+    },
+    flushOnExit: mergedConfig.flushOnExit,
     clsConfig: {
       [FORCE_NEW]: forceNew,
       mechanism: getInternalClsMechanism(mergedConfig.clsMechanism),
@@ -133,11 +205,16 @@ function initConfig(userConfig: Forceable<Config>): TopLevelConfig {
       onUncaughtException: mergedConfig.onUncaughtException,
       bufferSize: mergedConfig.bufferSize,
       flushDelaySeconds: mergedConfig.flushDelaySeconds,
+      maxPublishAttempts: mergedConfig.maxPublishAttempts,
+      retryBufferSize: mergedConfig.retryBufferSize,
+      retryBufferBytes: mergedConfig.retryBufferBytes,
+      flushTimeoutSeconds: mergedConfig.flushTimeoutSeconds,
       stackTraceLimit: mergedConfig.stackTraceLimit,
       maximumLabelValueSize: Math.min(
         mergedConfig.maximumLabelValueSize,
         Constants.TRACE_SERVICE_LABEL_VALUE_LIMIT
       ),
+      exporters: mergedConfig.exporters,
       serviceContext: {
         service: lastOf<string | undefined>(
           mergedConfig.serviceContext.service,
@@ -169,18 +246,29 @@ function initConfig(userConfig: Forceable<Config>): TopLevelConfig {
     },
     pluginLoaderConfig: {
       [FORCE_NEW]: forceNew,
-      plugins: {...mergedConfig.plugins},
+      plugins: {
+        ...(mergedConfig.logCorrelation ? logCorrelationPlugins : {}),
+        ...(mergedConfig.workerContextPropagation
+          ? workerContextPropagationPlugins
+          : {}),
+        ...mergedConfig.plugins,
+      },
       tracerConfig: {
         enhancedDatabaseReporting: mergedConfig.enhancedDatabaseReporting,
         rootSpanNameOverride: getInternalRootSpanNameOverride(
           mergedConfig.rootSpanNameOverride
         ),
+        rootSpanNameFromRoute: mergedConfig.rootSpanNameFromRoute,
         spansPerTraceHardLimit: mergedConfig.spansPerTraceHardLimit,
         spansPerTraceSoftLimit: mergedConfig.spansPerTraceSoftLimit,
+        parentTraceContext: mergedConfig.workerContextPropagation
+          ? getInternalParentTraceContext()
+          : null,
       },
     },
     tracePolicyConfig: {
       samplingRate: mergedConfig.samplingRate,
+      samplingRules: mergedConfig.samplingRules,
       ignoreMethods: mergedConfig.ignoreMethods,
       ignoreUrls: mergedConfig.ignoreUrls,
       contextHeaderBehavior:
@@ -0,0 +1,389 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {SpanStatusCode} from './constants';
+import {SpanKind, Trace, TraceSpan} from './trace';
+import {TraceLabels} from './trace-labels';
+import {decToHex, spanIdToHex} from './util';
+
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const pjson = require('../../package.json');
+
+// Data model for the OTLP trace export request, in its JSON representation
+// https://github.com/open-telemetry/opentelemetry-proto/blob/main/opentelemetry/proto/trace/v1/trace.proto
+
+export enum OtlpSpanKind {
+  SPAN_KIND_UNSPECIFIED = 0,
+  SPAN_KIND_INTERNAL = 1,
+  SPAN_KIND_SERVER = 2,
+  SPAN_KIND_CLIENT = 3,
+  SPAN_KIND_PRODUCER = 4,
+  SPAN_KIND_CONSUMER = 5,
+}
+
+export enum OtlpStatusCode {
+  STATUS_CODE_UNSET = 0,
+  STATUS_CODE_OK = 1,
+  STATUS_CODE_ERROR = 2,
+}
+
+export type OtlpAnyValue =
+  | {stringValue: string}
+  | {boolValue: boolean}
+  | {intValue: string}
+  | {doubleValue: number};
+
+export interface OtlpKeyValue {
+  key: string;
+  value: OtlpAnyValue;
+}
+
+export interface OtlpEvent {
+  timeUnixNano: string;
+  name: string;
+  attributes: OtlpKeyValue[];
+}
+
+export interface OtlpSpan {
+  // IDs are hexadecimal strings, which is how they're represented in JSON.
+  traceId: string;
+  spanId: string;
+  parentSpanId?: string;
+  name: string;
+  kind: OtlpSpanKind;
+  startTimeUnixNano: string;
+  endTimeUnixNano: string;
+  attributes: OtlpKeyValue[];
+  events: OtlpEvent[];
+  status: {code: OtlpStatusCode; message?: string};
+}
+
+export interface ExportTraceServiceRequest {
+  resourceSpans: Array<{
+    resource: {attributes: OtlpKeyValue[]};
+    scopeSpans: Array<{
+      scope: {name: string; version: string};
+      spans: OtlpSpan[];
+    }>;
+  }>;
+}
+
+/**
+ * Information about the process that spans come from.
+ */
+export interface OtlpResourceInfo {
+  serviceContext: {service?: string; version?: string};
+  /**
+   * The labels that the TraceWriter adds to root spans.
+   */
+  defaultLabels: {[key: string]: string};
+}
+
+/**
+ * The resource attributes that well-known default labels are converted to.
+ * Other default labels are kept under their own keys.
+ */
+const RESOURCE_ATTRIBUTE_KEYS: {[label: string]: string} = {
+  [TraceLabels.GAE_MODULE_NAME]: 'service.name',
+  [TraceLabels.GAE_MODULE_VERSION]: 'service.version',
+  [TraceLabels.GCE_HOSTNAME]: 'host.name',
+  [TraceLabels.GCE_INSTANCE_ID]: 'host.id',
+};
+
+const STATUS_CODES: {[code: string]: OtlpStatusCode} = {
+  [SpanStatusCode.OK]: OtlpStatusCode.STATUS_CODE_OK,
+  [SpanStatusCode.ERROR]: OtlpStatusCode.STATUS_CODE_ERROR,
+};
+
+/**
+ * Converts an ISO 8601 timestamp to nanoseconds since the Unix epoch, as a
+ * decimal string.
+ */
+function toUnixNano(time: string): string {
+  const millis = Date.parse(time);
+  return millis > 0 ? `${millis}000000` : '0';
+}
+
+function toKeyValue(key: string, value: unknown): OtlpKeyValue {
+  if (typeof value === 'boolean') {
+    return {key, value: {boolValue: value}};
+  }
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value)
+      ? {key, value: {intValue: `${value}`}}
+      : {key, value: {doubleValue: value}};
+  }
+  return {
+    key,
+    value: {
+      stringValue: typeof value === 'string' ? value : JSON.stringify(value),
+    },
+  };
+}
+
+function toKeyValues(values: {[key: string]: unknown}): OtlpKeyValue[] {
+  return Object.keys(values).map(key => toKeyValue(key, values[key]));
+}
+
+function toOtlpSpan(
+  traceId: string,
+  span: TraceSpan,
+  resourceInfo: OtlpResourceInfo
+): OtlpSpan {
+  const labels = Object.assign({}, span.labels);
+  // Default labels are resource attributes rather than span attributes.
+  Object.keys(resourceInfo.defaultLabels).forEach(key => {
+    if (labels[key] === resourceInfo.defaultLabels[key]) {
+      delete labels[key];
+    }
+  });
+
+  const status: OtlpSpan['status'] = {
+    code:
+      STATUS_CODES[labels[TraceLabels.STATUS_CODE]] ||
+      OtlpStatusCode.STATUS_CODE_UNSET,
+  };
+  if (status.code && labels[TraceLabels.STATUS_MESSAGE]) {
+    status.message = labels[TraceLabels.STATUS_MESSAGE];
+  }
+  if (status.code) {
+    delete labels[TraceLabels.STATUS_CODE];
+    delete labels[TraceLabels.STATUS_MESSAGE];
+  }
+
+  const events: OtlpEvent[] = [];
+  for (let i = 0; labels[TraceLabels.EVENT_PREFIX + i] !== undefined; i++) {
+    const key = TraceLabels.EVENT_PREFIX + i;
+    let event: {time: string; name: string; attributes: {}};
+    try {
+      event = JSON.parse(labels[key]);
+    } catch (e) {
+      // Keep the event as an attribute if it was truncated.
+      continue;
+    }
+    delete labels[key];
+    events.push({
+      timeUnixNano: toUnixNano(event.time),
+      name: event.name,
+      attributes: toKeyValues(event.attributes || {}),
+    });
+  }
+
+  const result: OtlpSpan = {
+    traceId: `00000000000000000000000000000000${traceId}`.slice(-32),
+    spanId: spanIdToHex(span.spanId),
+    name: span.name,
+    kind:
+      span.kind === SpanKind.RPC_SERVER
+        ? OtlpSpanKind.SPAN_KIND_SERVER
+        : span.kind === SpanKind.RPC_CLIENT
+        ? OtlpSpanKind.SPAN_KIND_CLIENT
+        : OtlpSpanKind.SPAN_KIND_INTERNAL,
+    startTimeUnixNano: toUnixNano(span.startTime),
+    endTimeUnixNano: toUnixNano(span.endTime),
+    attributes: toKeyValues(labels),
+    events,
+    status,
+  };
+  if (span.parentSpanId && span.parentSpanId !== '0') {
+    result.parentSpanId = spanIdToHex(span.parentSpanId);
+  }
+  return result;
+}
+
+/**
+ * Converts traces to an OTLP export request, in its JSON representation.
+ * @param traces The traces to convert.
+ * @param resourceInfo Information about the process that the traces come
+ * from, which is converted to resource attributes.
+ */
+export function toExportTraceServiceRequest(
+  traces: Trace[],
+  resourceInfo: OtlpResourceInfo
+): ExportTraceServiceRequest {
+  const resourceAttributes: {[key: string]: string} = {};
+  if (resourceInfo.serviceContext.service) {
+    resourceAttributes['service.name'] = resourceInfo.serviceContext.service;
+  }
+  if (resourceInfo.serviceContext.version) {
+    resourceAttributes['service.version'] = resourceInfo.serviceContext.version;
+  }
+  Object.keys(resourceInfo.defaultLabels).forEach(key => {
+    resourceAttributes[RESOURCE_ATTRIBUTE_KEYS[key] || key] =
+      resourceInfo.defaultLabels[key];
+  });
+  const spans: OtlpSpan[] = [];
+  traces.forEach(trace => {
+    trace.spans.forEach(span => {
+      spans.push(toOtlpSpan(trace.traceId, span, resourceInfo));
+    });
+  });
+  return {
+    resourceSpans: [
+      {
+        resource: {attributes: toKeyValues(resourceAttributes)},
+        scopeSpans: [
+          {scope: {name: pjson.name, version: pjson.version}, spans},
+        ],
+      },
+    ],
+  };
+}
+
+// Protocol buffer wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+
+/**
+ * Encodes an integer as a varint. Negative numbers are encoded as 64-bit
+ * two's complement integers, as the int64 type requires.
+ */
+function varint(value: number): Buffer {
+  const bytes: number[] = [];
+  let lo = value >>> 0;
+  let hi = Math.floor(value / 0x100000000) >>> 0;
+  while (hi) {
+    bytes.push((lo & 0x7f) | 0x80);
+    lo = ((lo >>> 7) | (hi << 25)) >>> 0;
+    hi >>>= 7;
+  }
+  while (lo > 0x7f) {
+    bytes.push((lo & 0x7f) | 0x80);
+    lo >>>= 7;
+  }
+  bytes.push(lo);
+  return Buffer.from(bytes);
+}
+
+function tag(field: number, wireType: number): Buffer {
+  return varint((field << 3) | wireType);
+}
+
+function varintField(field: number, value: number): Buffer {
+  return Buffer.concat([tag(field, VARINT), varint(value)]);
+}
+
+function bytesField(field: number, value: Buffer): Buffer {
+  return Buffer.concat([
+    tag(field, LENGTH_DELIMITED),
+    varint(value.length),
+    value,
+  ]);
+}
+
+function stringField(field: number, value: string): Buffer {
+  return bytesField(field, Buffer.from(value));
+}
+
+function messageField(field: number, fields: Buffer[]): Buffer {
+  return bytesField(field, Buffer.concat(fields));
+}
+
+function doubleField(field: number, value: number): Buffer {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleLE(value, 0);
+  return Buffer.concat([tag(field, FIXED64), buffer]);
+}
+
+/**
+ * Encodes a fixed64 field from its decimal string representation, which
+ * might not fit in a JavaScript number.
+ */
+function fixed64Field(field: number, value: string): Buffer {
+  const hex = `0000000000000000${decToHex(value).slice(2)}`.slice(-16);
+  // fixed64 values are little-endian.
+  return Buffer.concat([
+    tag(field, FIXED64),
+    Buffer.from(hex, 'hex').reverse(),
+  ]);
+}
+
+function encodeKeyValue(field: number, keyValue: OtlpKeyValue): Buffer {
+  const value = keyValue.value;
+  let encodedValue: Buffer;
+  if ('stringValue' in value) {
+    encodedValue = stringField(1, value.stringValue);
+  } else if ('boolValue' in value) {
+    encodedValue = varintField(2, value.boolValue ? 1 : 0);
+  } else if ('intValue' in value) {
+    encodedValue = varintField(3, Number(value.intValue));
+  } else {
+    encodedValue = doubleField(4, value.doubleValue);
+  }
+  return messageField(field, [
+    stringField(1, keyValue.key),
+    messageField(2, [encodedValue]),
+  ]);
+}
+
+function encodeSpan(span: OtlpSpan): Buffer {
+  const fields = [
+    bytesField(1, Buffer.from(span.traceId, 'hex')),
+    bytesField(2, Buffer.from(span.spanId, 'hex')),
+  ];
+  if (span.parentSpanId) {
+    fields.push(bytesField(4, Buffer.from(span.parentSpanId, 'hex')));
+  }
+  fields.push(
+    stringField(5, span.name),
+    varintField(6, span.kind),
+    fixed64Field(7, span.startTimeUnixNano),
+    fixed64Field(8, span.endTimeUnixNano),
+    ...span.attributes.map(attribute => encodeKeyValue(9, attribute)),
+    ...span.events.map(event =>
+      messageField(11, [
+        fixed64Field(1, event.timeUnixNano),
+        stringField(2, event.name),
+        ...event.attributes.map(attribute => encodeKeyValue(3, attribute)),
+      ])
+    )
+  );
+  const statusFields = [varintField(3, span.status.code)];
+  if (span.status.message) {
+    statusFields.unshift(stringField(2, span.status.message));
+  }
+  fields.push(messageField(15, statusFields));
+  return messageField(2, fields);
+}
+
+/**
+ * Encodes an OTLP export request with the protocol buffer binary encoding.
+ * @param request The request to encode, in its JSON representation.
+ */
+export function encodeExportTraceServiceRequest(
+  request: ExportTraceServiceRequest
+): Buffer {
+  return Buffer.concat(
+    request.resourceSpans.map(resourceSpans =>
+      messageField(1, [
+        messageField(
+          1,
+          resourceSpans.resource.attributes.map(attribute =>
+            encodeKeyValue(1, attribute)
+          )
+        ),
+        ...resourceSpans.scopeSpans.map(scopeSpans =>
+          messageField(2, [
+            messageField(1, [
+              stringField(1, scopeSpans.scope.name),
+              stringField(2, scopeSpans.scope.version),
+            ]),
+            ...scopeSpans.spans.map(encodeSpan),
+          ])
+        ),
+      ])
+    )
+  );
+}
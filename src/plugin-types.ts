@@ -17,12 +17,13 @@
 
 import {EventEmitter} from 'events';
 
-import {Constants, SpanType} from './constants';
+import {Constants, SpanStatusCode, SpanType} from './constants';
+import {AgentStats, FlushResult} from './stats';
 import {StackdriverTracerConfig} from './trace-api';
 import {TraceLabels} from './trace-labels';
 import {TraceContext} from './util';
 
-export {TraceContext};
+export {AgentStats, FlushResult, TraceContext};
 
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 export type Func<T> = (...args: any[]) => T;
@@ -52,6 +53,37 @@ export interface Span {
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   addLabel(key: string, value: any): void;
 
+  // The following methods are optional so that existing implementations of
+  // this interface remain valid. Spans created by the Trace Agent implement
+  // all of them.
+
+  /**
+   * Records a timestamped event that happened during the span. Events are
+   * stored as labels; see `TraceLabels.EVENT_PREFIX` for their format.
+   * @param name The event's name.
+   * @param attributes Key-value pairs describing the event. They must be
+   * serializable as JSON.
+   */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  addEvent?(name: string, attributes?: {[key: string]: any}): void;
+
+  /**
+   * Sets the outcome of the operation represented by the span, replacing any
+   * previously set status.
+   * @param code The status code.
+   * @param message An optional description of the status.
+   */
+  setStatus?(code: SpanStatusCode, message?: string): void;
+
+  /**
+   * Records an error that occurred during the span. The error's name, message
+   * and stack trace are stored under the `ERROR_DETAILS_*` labels, and the
+   * span's status is set to `ERROR` unless a status was already set.
+   * @param err The error. Values that aren't Error objects are converted to
+   * strings and recorded as the error's message.
+   */
+  recordException?(err: unknown): void;
+
   /**
    * The current span type. See `SpanType` for more information.
    */
@@ -70,9 +102,9 @@ export interface Span {
  */
 export interface RootSpan extends Span {
   /**
-   * Creates and starts a child span under this root span.
-   * If the root span is a real span (type = ROOT), the child span will be as
-   * well (type = CHILD).
+   * Creates and starts a child span under this span.
+   * If this span is a real span (type = ROOT or CHILD), the child span will be
+   * as well (type = CHILD).
    * Otherwise, if the root span's type is UNTRACED or UNCORRELATED, the child
    * span will be of the same type.
    * @param options Options for creating the child span.
@@ -110,6 +142,23 @@ export interface RootSpanOptions extends SpanOptions {
   traceContext?: TraceContext | null;
 }
 
+/**
+ * Structured log fields that link a log entry to a trace in Cloud Logging.
+ */
+export interface LogCorrelationFields {
+  /* The trace, as projects/<project ID>/traces/<trace ID>. */
+  'logging.googleapis.com/trace'?: string;
+  /* The ID of the active span, as 16 hexadecimal digits. */
+  'logging.googleapis.com/spanId'?: string;
+  /* Whether the trace is sampled. */
+  'logging.googleapis.com/trace_sampled'?: boolean;
+}
+
+/**
+ * Members that have been added to this interface since v5.1 are optional, so
+ * that existing implementations of it remain valid. The Tracer returned by the
+ * Trace Agent implements all of them.
+ */
 export interface Tracer {
   /**
    * Gets the value of enhancedDatabaseReporting in the trace agent's
@@ -150,6 +199,31 @@ export interface Tracer {
    */
   getCurrentRootSpan(): RootSpan;
 
+  /**
+   * Returns the fields that link log entries written in the current context
+   * to its trace in Cloud Logging. The span ID is that of the innermost span
+   * that is active in the current context. For requests that the trace policy
+   * chose not to trace, the span ID is omitted and the trace is reported as
+   * not sampled; so are requests being recorded for tail-based sampling,
+   * until they end. If there is no request in the current context, or if the
+   * project ID isn't known yet, an empty object is returned.
+   * @returns An object whose fields can be added to a structured log entry.
+   */
+  getCurrentLogCorrelationFields?(): LogCorrelationFields;
+
+  /**
+   * Supplies the route template (such as `/users/:id`) that matched the
+   * request corresponding to a root span. If the Trace Agent was configured
+   * with `rootSpanNameFromRoute`, the root span is renamed to
+   * `METHOD /route/template`; otherwise, this has no effect. Built-in web
+   * framework plugins call this once their router resolves a route; custom
+   * routers can call it the same way. Root spans for which this isn't called
+   * keep their original name.
+   * @param rootSpan The root span for the request.
+   * @param route The route template that matched the request.
+   */
+  setRootSpanRoute?(rootSpan: RootSpan, route: string | RegExp): void;
+
   /**
    * Returns a unique identifier for the currently active context. This can be
    * used to uniquely identify the current root span. If there is no current,
@@ -174,8 +248,10 @@ export interface Tracer {
   getWriterProjectId(): string | null;
 
   /**
-   * Creates and returns a new Span object nested within the current root
-   * span, which is detected automatically.
+   * Creates and returns a new Span object nested within the innermost span
+   * that is active in the current context, which is detected automatically.
+   * This is either the current root span or a child span passed to
+   * `runInChildSpan`.
    * If the root span is a phantom span or doesn't exist, the child span will
    * be a phantom span as well.
    * @param options Options for creating the child span.
@@ -183,6 +259,18 @@ export interface Tracer {
    */
   createChildSpan(options?: SpanOptions): Span;
 
+  /**
+   * Creates a child span as with `createChildSpan`, and runs the given
+   * function with that span as the active span for the current context. Any
+   * child spans created within the function (including in asynchronous
+   * continuations) will be nested within it rather than the root span.
+   * @param options Options for creating the child span.
+   * @param fn A function that will be called exactly once with the new Span
+   * object. If the span is a phantom span, the current context is unchanged.
+   * @returns The return value of calling fn.
+   */
+  runInChildSpan?<T>(options: SpanOptions, fn: (span: Span) => T): T;
+
   /**
    * Returns whether a given span is real or not by checking its SpanType.
    */
@@ -225,12 +313,38 @@ export interface Tracer {
    */
   wrapEmitter(emitter: EventEmitter): void;
 
+  /**
+   * Returns a snapshot of counters that describe what the Trace Agent has
+   * done since it was started: spans created by type, sampling decisions,
+   * phantom spans created because of lost context or the per-trace span
+   * limit, and the outcome of publishing traces. The counters are shared by
+   * all Tracer instances.
+   */
+  getStats?(): AgentStats;
+
+  /**
+   * Publishes the traces that the Trace Agent has buffered, and returns a
+   * Promise that resolves once publishing has finished, or once
+   * config.flushTimeoutSeconds has elapsed. The Promise resolves with the
+   * number of spans that were sent and dropped in the meantime.
+   */
+  flush?(): Promise<FlushResult>;
+
+  /**
+   * Flushes the Trace Agent as in flush, and then disables it, so that no
+   * more traces are recorded or published. This is intended to be called
+   * before the process exits.
+   */
+  shutdown?(): Promise<FlushResult>;
+
   /** Well-known constant values used by the Trace Agent. */
   readonly constants: typeof Constants;
   /** Well-known label keys for spans. */
   readonly labels: typeof TraceLabels;
   /** An enumeration of possible SpanType values. */
   readonly spanTypes: typeof SpanType;
+  /** An enumeration of possible span status codes. */
+  readonly spanStatusCodes?: typeof SpanStatusCode;
   /** A collection of functions for encoding and decoding trace context. */
   readonly traceContextUtils: {
     encodeAsByteArray: (ctx: TraceContext) => Buffer;
@@ -0,0 +1,71 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as shimmer from 'shimmer';
+
+import {PluginTypes} from '..';
+
+// The subset of the bunyan types used by this plugin.
+type LogRecord = {[key: string]: unknown};
+type EmitFunction = (
+  this: never,
+  rec: LogRecord,
+  ...args: unknown[]
+) => unknown;
+// The module root is the Logger class. Every logging method, including those
+// of child loggers, passes the record that it builds to _emit().
+interface LoggerClass {
+  prototype: {_emit: EmitFunction};
+}
+
+/**
+ * Adds the log correlation fields for the current context to a log record,
+ * except for fields that the record already has.
+ * @param api The Tracer instance.
+ * @param record The log record.
+ */
+function addCorrelationFields(api: PluginTypes.Tracer, record: LogRecord) {
+  const fields = api.getCurrentLogCorrelationFields?.() || {};
+  for (const key of Object.keys(fields) as Array<keyof typeof fields>) {
+    if (!(key in record)) {
+      record[key] = fields[key];
+    }
+  }
+}
+
+function patchModuleRoot(Logger: LoggerClass, api: PluginTypes.Tracer) {
+  shimmer.wrap(Logger.prototype, '_emit', emit => {
+    return function emitWithCorrelationFields(this: never, rec, ...args) {
+      if (rec && typeof rec === 'object') {
+        addCorrelationFields(api, rec);
+      }
+      return emit.call(this, rec, ...args);
+    };
+  });
+}
+
+function unpatchModuleRoot(Logger: LoggerClass) {
+  shimmer.unwrap(Logger.prototype, '_emit');
+}
+
+const plugin: PluginTypes.Plugin = [
+  {
+    file: '',
+    versions: '1.x',
+    patch: patchModuleRoot,
+    unpatch: unpatchModuleRoot,
+  } as PluginTypes.Monkeypatch<LoggerClass>,
+];
+
+export = plugin;
@@ -0,0 +1,244 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// This is imported only for types. Generated .js file should NOT load
+// 'child_process'.
+import * as childProcess from 'child_process';
+import {EventEmitter} from 'events';
+import * as shimmer from 'shimmer';
+
+import {Plugin, Span, Tracer} from '../plugin-types';
+
+type ChildProcessModule = typeof childProcess;
+type MessageListener = (this: unknown, value: unknown) => unknown;
+
+// A message to which trace context was attached by this plugin.
+interface TracedMessage {
+  [key: string]: unknown;
+  message: unknown;
+}
+
+// The methods of EventEmitter that add and remove event listeners.
+const ADD_LISTENER_METHODS = [
+  'addListener',
+  'on',
+  'once',
+  'prependListener',
+  'prependOnceListener',
+] as const;
+const REMOVE_LISTENER_METHODS = ['off', 'removeListener'] as const;
+
+/**
+ * Returns the trace context of the given span serialized as a base64 string,
+ * or null if the span isn't a real span.
+ */
+function serializeTraceContext(api: Tracer, span: Span): string | null {
+  const traceContext = api.isRealSpan(span) ? span.getTraceContext() : null;
+  return traceContext
+    ? api.traceContextUtils.encodeAsByteArray(traceContext).toString('base64')
+    : null;
+}
+
+function isTracedMessage(api: Tracer, value: unknown): value is TracedMessage {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    typeof (value as TracedMessage)[api.constants.TRACE_CONTEXT_MESSAGE_KEY] ===
+      'string'
+  );
+}
+
+/**
+ * Wraps a listener of messages from the parent process, so that messages to
+ * which trace context was attached are unwrapped, and handled in a root span
+ * that continues the trace. The root span ends when the listener returns, or
+ * when the promise that it returns settles.
+ */
+function wrapListener(api: Tracer, listener: MessageListener): MessageListener {
+  return function (this: unknown, value: unknown) {
+    if (!isTracedMessage(api, value)) {
+      // eslint-disable-next-line prefer-rest-params
+      return listener.apply(this, arguments as never);
+    }
+    const traceContext = api.traceContextUtils.decodeFromByteArray(
+      Buffer.from(
+        value[api.constants.TRACE_CONTEXT_MESSAGE_KEY] as string,
+        'base64'
+      )
+    );
+    // Any other arguments, such as a socket or server handle, are passed
+    // through as they are.
+    // eslint-disable-next-line prefer-rest-params
+    const args = Array.prototype.slice.call(arguments, 1);
+    return api.runInRootSpan(
+      {name: 'child_process message', traceContext},
+      rootSpan => {
+        let result: unknown;
+        try {
+          result = listener.call(this, value.message, ...args);
+        } catch (err) {
+          rootSpan.endSpan();
+          throw err;
+        }
+        if (result && typeof (result as Promise<unknown>).then === 'function') {
+          return (result as Promise<unknown>).then(
+            res => {
+              rootSpan.endSpan();
+              return res;
+            },
+            err => {
+              rootSpan.endSpan();
+              throw err;
+            }
+          );
+        }
+        rootSpan.endSpan();
+        return result;
+      }
+    );
+  };
+}
+
+function patchProcess(proc: EventEmitter, api: Tracer) {
+  const wrappers = new WeakMap<MessageListener, MessageListener>();
+  ADD_LISTENER_METHODS.forEach(method => {
+    shimmer.wrap(proc, method, addListener => {
+      return function (
+        this: EventEmitter,
+        event: string | symbol,
+        listener: MessageListener
+      ) {
+        if (event === 'message' && typeof listener === 'function') {
+          let wrapper = wrappers.get(listener);
+          if (!wrapper) {
+            wrapper = wrapListener(api, listener);
+            wrappers.set(listener, wrapper);
+          }
+          listener = wrapper;
+        }
+        return addListener.call(this, event, listener);
+      };
+    });
+  });
+  REMOVE_LISTENER_METHODS.forEach(method => {
+    shimmer.wrap(proc, method, removeListener => {
+      return function (
+        this: EventEmitter,
+        event: string | symbol,
+        listener: MessageListener
+      ) {
+        if (event === 'message') {
+          listener = wrappers.get(listener) || listener;
+        }
+        return removeListener.call(this, event, listener);
+      };
+    });
+  });
+}
+
+function unpatchProcess(proc: EventEmitter) {
+  [...ADD_LISTENER_METHODS, ...REMOVE_LISTENER_METHODS].forEach(method => {
+    shimmer.unwrap(proc, method);
+  });
+}
+
+function patchSend(child: childProcess.ChildProcess, api: Tracer) {
+  shimmer.wrap(child, 'send', send => {
+    return function sendTrace(
+      this: childProcess.ChildProcess,
+      message: unknown
+    ) {
+      const span = api.createChildSpan({name: 'child_process send'});
+      const traceContext = serializeTraceContext(api, span);
+      if (!traceContext) {
+        // eslint-disable-next-line prefer-rest-params
+        return send.apply(this, arguments as never);
+      }
+      const tracedMessage: TracedMessage = {
+        [api.constants.TRACE_CONTEXT_MESSAGE_KEY]: traceContext,
+        message,
+      };
+      // eslint-disable-next-line prefer-rest-params
+      const args = Array.prototype.slice.call(arguments);
+      args[0] = tracedMessage;
+      try {
+        return send.apply(this, args as never);
+      } finally {
+        span.endSpan();
+      }
+    };
+  });
+}
+
+function patchChildProcess(cp: ChildProcessModule, api: Tracer) {
+  // fork passes the trace context to the new process through its
+  // environment. The send method of a ChildProcess is only defined once its
+  // IPC channel is set up, so it is patched on each forked process.
+  shimmer.wrap(cp, 'fork', fork => {
+    return function forkTrace(
+      this: unknown,
+      modulePath: string,
+      args?: ReadonlyArray<string> | childProcess.ForkOptions,
+      options?: childProcess.ForkOptions
+    ) {
+      const span = api.createChildSpan({name: 'child_process fork'});
+      const traceContext = serializeTraceContext(api, span);
+      let child: childProcess.ChildProcess;
+      try {
+        if (traceContext) {
+          if (!Array.isArray(args)) {
+            options = (args as childProcess.ForkOptions | undefined) || options;
+            args = [];
+          }
+          options = Object.assign({}, options, {
+            env: Object.assign({}, (options && options.env) || process.env, {
+              [api.constants.TRACE_CONTEXT_ENV_NAME]: traceContext,
+            }),
+          });
+          child = fork.call(this, modulePath, args as string[], options);
+        } else {
+          // eslint-disable-next-line prefer-rest-params
+          child = fork.apply(this, arguments as never);
+        }
+      } finally {
+        span.endSpan();
+      }
+      if (typeof child.send === 'function') {
+        patchSend(child, api);
+      }
+      return child;
+    };
+  });
+}
+
+const plugin: Plugin = [
+  {
+    file: 'child_process',
+    patch: (cp: ChildProcessModule, api: Tracer) => {
+      patchChildProcess(cp, api);
+      // Processes with an IPC channel to their parent receive messages from
+      // it as 'message' events on the process object.
+      if (typeof process.send === 'function') {
+        patchProcess(process, api);
+      }
+    },
+    unpatch: (cp: ChildProcessModule) => {
+      shimmer.unwrap(cp, 'fork');
+      if (typeof process.send === 'function') {
+        unpatchProcess(process);
+      }
+    },
+  },
+];
+export = plugin;
@@ -76,6 +76,12 @@ function patchModuleRoot(express: Express4Module, api: PluginTypes.Tracer) {
 
         if (req.route && req.route.path) {
           rootSpan.addLabel('express/request.route.path', req.route.path);
+          // Routes are relative to the path that their router is mounted on.
+          // Routes defined by a regular expression or an array of paths can't
+          // be joined to it.
+          if (typeof req.route.path === 'string') {
+            api.setRootSpanRoute?.(rootSpan, req.baseUrl + req.route.path);
+          }
         }
         rootSpan.addLabel(labels.HTTP_RESPONSE_CODE_LABEL_KEY, res.statusCode);
         rootSpan.endSpan();
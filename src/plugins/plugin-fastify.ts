@@ -0,0 +1,191 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {IncomingMessage, ServerResponse} from 'http';
+// eslint-disable-next-line node/no-deprecated-api
+import {parse as urlParse} from 'url';
+
+import {PluginTypes} from '..';
+
+// The subset of the fastify types used by this plugin. (Fastify ships its own
+// typings, which we can't depend on here.)
+interface FastifyRequest {
+  raw: IncomingMessage;
+  ip: string;
+  // The route template in fastify 3 and 4.
+  routerPath?: string;
+  // The route template is routeOptions.url in fastify 4.10 and later.
+  routeOptions?: {url?: string};
+}
+interface FastifyReply {
+  raw: ServerResponse;
+}
+type HookDoneFunction = (err?: Error) => void;
+interface FastifyInstance {
+  addHook(
+    name: 'onRequest',
+    hook: (
+      request: FastifyRequest,
+      reply: FastifyReply,
+      done: HookDoneFunction
+    ) => void
+  ): FastifyInstance;
+  addHook(
+    name: 'onError',
+    hook: (
+      request: FastifyRequest,
+      reply: FastifyReply,
+      error: Error,
+      done: HookDoneFunction
+    ) => void
+  ): FastifyInstance;
+}
+// fastify exports a factory function, which is also available as its fastify
+// and default properties.
+type FastifyModule = ((...args: unknown[]) => FastifyInstance) & {
+  [key: string]: unknown;
+};
+
+const SUPPORTED_VERSIONS = '3 - 5';
+
+function getRoutePath(request: FastifyRequest): string | undefined {
+  // routerPath is deprecated where routeOptions is available, even for
+  // requests that match no route.
+  return request.routeOptions ? request.routeOptions.url : request.routerPath;
+}
+
+function addHooks(app: FastifyInstance, api: PluginTypes.Tracer) {
+  // Root spans for requests that haven't finished yet.
+  const rootSpans = new WeakMap<IncomingMessage, PluginTypes.RootSpan>();
+
+  function onRequestTrace(
+    request: FastifyRequest,
+    reply: FastifyReply,
+    done: HookDoneFunction
+  ) {
+    const req = request.raw;
+    const res = reply.raw;
+    const options = {
+      name: req.url ? urlParse(req.url).pathname || '' : '',
+      url: req.url,
+      method: req.method,
+      traceContext: api.propagation.extract(key => req.headers[key]),
+      skipFrames: 1,
+    };
+    api.runInRootSpan(options, root => {
+      // Set response trace context.
+      const responseTraceContext = api.getResponseTraceContext(
+        options.traceContext,
+        api.isRealSpan(root)
+      );
+      if (responseTraceContext) {
+        api.propagation.inject(
+          (k, v) => res.setHeader(k, v),
+          responseTraceContext
+        );
+      }
+
+      if (!api.isRealSpan(root)) {
+        return done();
+      }
+
+      api.wrapEmitter(req);
+      api.wrapEmitter(res);
+
+      const url = `${req.headers['x-forwarded-proto'] || 'http'}://${
+        req.headers.host
+      }${req.url}`;
+
+      // we use the path part of the url as the span name and add the full
+      // url as a label
+      root.addLabel(api.labels.HTTP_METHOD_LABEL_KEY, req.method);
+      root.addLabel(api.labels.HTTP_URL_LABEL_KEY, url);
+      root.addLabel(api.labels.HTTP_SOURCE_IP, request.ip);
+      rootSpans.set(req, root);
+
+      // wrap end
+      const originalEnd = res.end;
+      res.end = function (this: ServerResponse) {
+        res.end = originalEnd;
+        // eslint-disable-next-line prefer-rest-params
+        const returned = res.end.apply(this, arguments);
+
+        const routePath = getRoutePath(request);
+        if (routePath) {
+          root.addLabel('fastify/request.route.path', routePath);
+          api.setRootSpanRoute?.(root, routePath);
+        }
+        root.addLabel(api.labels.HTTP_RESPONSE_CODE_LABEL_KEY, res.statusCode);
+        root.endSpan();
+        rootSpans.delete(req);
+
+        return returned;
+      };
+
+      // if the event is aborted, end the span (as res.end will not be called)
+      req.once('aborted', () => {
+        root.setStatus?.(
+          api.spanStatusCodes!.ERROR,
+          'client aborted the request'
+        );
+        root.endSpan();
+        rootSpans.delete(req);
+      });
+
+      // Hooks and the route handler that follow are called from done, so
+      // they run in the context of the root span.
+      return done();
+    });
+  }
+
+  function onErrorTrace(
+    request: FastifyRequest,
+    reply: FastifyReply,
+    error: Error,
+    done: HookDoneFunction
+  ) {
+    const root = rootSpans.get(request.raw);
+    if (root) {
+      root.recordException?.(error);
+    }
+    done();
+  }
+
+  app.addHook('onRequest', onRequestTrace);
+  app.addHook('onError', onErrorTrace);
+}
+
+const plugin: PluginTypes.Plugin = [
+  {
+    file: '',
+    versions: SUPPORTED_VERSIONS,
+    intercept: (fastify, api) => {
+      const fastifyTrace = function (this: never) {
+        // eslint-disable-next-line prefer-rest-params
+        const app = fastify.apply(this, arguments);
+        addHooks(app, api);
+        return app;
+      } as FastifyModule;
+      // Carry over other exports, and make the fastify and default exports
+      // refer to the traced factory function.
+      for (const key of Object.keys(fastify)) {
+        fastifyTrace[key] =
+          fastify[key] === fastify ? fastifyTrace : fastify[key];
+      }
+      return fastifyTrace;
+    },
+  } as PluginTypes.Intercept<FastifyModule>,
+];
+
+export = plugin;
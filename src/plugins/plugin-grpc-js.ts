@@ -0,0 +1,590 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {EventEmitter} from 'events';
+import * as shimmer from 'shimmer';
+
+import {
+  Plugin,
+  RootSpan,
+  RootSpanOptions,
+  Span,
+  TraceContext,
+  Tracer,
+} from '../plugin-types';
+
+// Unlike the grpc module, @grpc/grpc-js creates client methods by partially
+// applying the request methods of Client.prototype, which are captured when
+// make-client.js is loaded. So instead of wrapping makeClientConstructor, we
+// wrap those request methods, which is also where calls made directly through
+// a generic Client object go.
+
+// The subset of the @grpc/grpc-js types used by this plugin. (The package
+// doesn't have typings that we can depend on here.)
+interface Metadata {
+  get(key: string): Array<string | Buffer>;
+  set(key: string, value: string | Buffer): void;
+  getMap(): {[key: string]: string | Buffer};
+}
+// Partial module exports of metadata.js
+interface MetadataModule {
+  Metadata: new () => Metadata;
+}
+interface StatusObject {
+  code: number;
+  details: string;
+  metadata: Metadata;
+}
+// Type of Client.prototype.make*Request
+type ClientMethod = (this: never, ...args: unknown[]) => EventEmitter;
+// Partial module exports of client.js
+interface ClientModule {
+  Client: {
+    prototype: {
+      makeUnaryRequest: ClientMethod;
+      makeClientStreamRequest: ClientMethod;
+      makeServerStreamRequest: ClientMethod;
+      makeBidiStreamRequest: ClientMethod;
+    };
+  };
+}
+// The properties shared by all server-side call objects
+interface ServerCall extends EventEmitter {
+  metadata: Metadata;
+  request?: unknown;
+  sendMetadata(responseMetadata: Metadata): void;
+}
+// Callback type for unary calls/client streams
+type ServerUnaryCallback<T> = (
+  err: Error | null,
+  value?: T,
+  trailer?: Metadata,
+  flags?: number
+) => void;
+// Type of server-side unary call and client streaming handlers
+type ServerCallbackHandler<T> = (
+  call: ServerCall,
+  cb: ServerUnaryCallback<T>
+) => void;
+// Type of server-side server streaming and bidirectional streaming handlers
+type ServerStreamHandler = (call: ServerCall) => void;
+// Type of Server#register
+type ServerRegisterFunction = (
+  this: never,
+  name: string,
+  handler: Function,
+  serialize: Function,
+  deserialize: Function,
+  type: string
+) => boolean;
+// Partial module exports of server.js
+interface ServerModule {
+  Server: {
+    prototype: {
+      register: ServerRegisterFunction;
+    };
+  };
+}
+// Convenience type for ordinary callbacks
+type Callback<T> = (err: Error | null, value: T) => void;
+
+const SKIP_FRAMES = 1;
+
+// The number of arguments to Client.prototype.make*Request that precede the
+// request argument: the method path, serialize and deserialize functions.
+const NUM_CLIENT_METHOD_PARAMS = 3;
+
+// Required for adding distributed tracing metadata to outgoing gRPC requests.
+// This value is assigned in patchMetadata, and read in patchClient.
+// patchMetadata is guaranteed to be called before patchClient because
+// client.js depends on metadata.js, so patchClient sees the metadata.js
+// module that belongs to the same copy of @grpc/grpc-js.
+// tslint:disable-next-line:variable-name
+let MetadataModuleValue: MetadataModule;
+
+/**
+ * Records that a span failed with the given error. Errors may contain
+ * sensitive data, so only their occurrence is recorded unless enhanced
+ * database reporting is enabled.
+ */
+function recordError(api: Tracer, span: Span, err: Error) {
+  if (api.enhancedDatabaseReportingEnabled()) {
+    span.recordException?.(err);
+  } else {
+    span.setStatus?.(api.spanStatusCodes!.ERROR);
+  }
+}
+
+function patchMetadata(metadata: MetadataModule) {
+  // metadata is the value of module.exports of build/src/metadata.js
+  MetadataModuleValue = metadata;
+}
+
+function unpatchMetadata() {
+  // patchMetadata doesn't modify the module exports of metadata.js.
+  // So it's safe to provide a no-op unpatch function.
+}
+
+function patchClient(client: ClientModule, api: Tracer) {
+  // tslint:disable-next-line:variable-name
+  const MetadataClass = MetadataModuleValue.Metadata;
+
+  /**
+   * Set trace context on a Metadata object. The trace context is written both
+   * in binary form and in the configured header format.
+   * @param metadata The Metadata object to which a trace context should be
+   * added.
+   * @param traceContext The trace context. If this is null, metadata will
+   * not be modified.
+   */
+  function setTraceContext(
+    metadata: Metadata,
+    traceContext: TraceContext | null
+  ): void {
+    if (traceContext) {
+      const metadataValue =
+        api.traceContextUtils.encodeAsByteArray(traceContext);
+      metadata.set(
+        api.constants.TRACE_CONTEXT_GRPC_METADATA_NAME,
+        metadataValue
+      );
+      api.propagation.inject((k, v) => metadata.set(k, v), traceContext);
+    }
+  }
+
+  /**
+   * Wraps a callback so that the current span for this trace is also ended when
+   * the callback is invoked.
+   * @param span - The span that should end after this callback.
+   * @param done - The callback to be wrapped.
+   */
+  function wrapCallback<T>(span: Span, done: Callback<T>) {
+    const fn: Callback<T> = (err, res) => {
+      if (err) {
+        recordError(api, span, err);
+      }
+      if (res && api.enhancedDatabaseReportingEnabled()) {
+        span.addLabel('result', JSON.stringify(res));
+      }
+      span.endSpan();
+      done(err, res);
+    };
+    return api.wrap(fn);
+  }
+
+  /**
+   * Returns a function that can be passed to shimmer.wrap to wrap one of the
+   * request methods of Client.prototype. The wrapper starts a child span
+   * immediately before the request is made, and ends it either in a callback
+   * or stream event handler, depending on the method type.
+   * @param requestStream Whether the method sends a stream of requests.
+   * @param responseStream Whether the method receives a stream of responses.
+   */
+  function makeClientMethodWrap(
+    requestStream: boolean,
+    responseStream: boolean
+  ) {
+    return (method: ClientMethod): ClientMethod => {
+      return function clientMethodTrace(this: never) {
+        // eslint-disable-next-line prefer-rest-params
+        const path = arguments[0] as string;
+        // The span name will be of form "grpc:/[Service]/[MethodName]".
+        const span = api.createChildSpan({name: 'grpc:' + path});
+        if (!api.isRealSpan(span)) {
+          // Span couldn't be created, either by policy or because a root span
+          // doesn't exist.
+          // eslint-disable-next-line prefer-rest-params
+          return method.apply(this, arguments);
+        }
+        // eslint-disable-next-line prefer-rest-params
+        const args: unknown[] = Array.prototype.slice.call(arguments);
+        // Metadata, if provided, directly follows the request argument for
+        // unary and server stream calls, and the method parameters otherwise.
+        const metaIndex = requestStream
+          ? NUM_CLIENT_METHOD_PARAMS
+          : NUM_CLIENT_METHOD_PARAMS + 1;
+        if (!responseStream) {
+          // We need to wrap the callback with the context, to propagate it.
+          // The callback is always required. It should be the only function
+          // after the method parameters, since we cannot send a function as
+          // an argument through gRPC.
+          const cbIndex = args.findIndex((arg, index) => {
+            return index >= metaIndex && typeof arg === 'function';
+          });
+          if (cbIndex !== -1) {
+            args[cbIndex] = wrapCallback(span, args[cbIndex] as Callback<{}>);
+          }
+        }
+        if (!(args[metaIndex] instanceof MetadataClass)) {
+          if (!requestStream && args.length === metaIndex - 1) {
+            // No argument (for the gRPC call) was provided, so we will have
+            // to provide one, since metadata cannot precede it.
+            args.push(undefined);
+          }
+          // @grpc/grpc-js distinguishes the optional metadata, options and
+          // callback arguments by their types, so metadata can be inserted
+          // before whichever of them were given.
+          args.splice(metaIndex, 0, new MetadataClass());
+        }
+        // TS: Safe cast as we either found the Metadata argument at metaIndex
+        //     or spliced it in there.
+        const metadata = args[metaIndex] as Metadata;
+        setTraceContext(metadata, span.getTraceContext());
+        const call = method.apply(this, args);
+        // Add extra data only when call successfully goes through. At this
+        // point we know that the arguments are correct.
+        if (api.enhancedDatabaseReportingEnabled()) {
+          span.addLabel('metadata', JSON.stringify(metadata.getMap()));
+          if (!requestStream) {
+            span.addLabel(
+              'argument',
+              JSON.stringify(args[NUM_CLIENT_METHOD_PARAMS])
+            );
+          }
+        }
+        // The user might need the current context in listeners to this stream.
+        api.wrapEmitter(call);
+        if (responseStream) {
+          let spanEnded = false;
+          call.on('error', (err: Error) => {
+            recordError(api, span, err);
+            if (!spanEnded) {
+              span.endSpan();
+              spanEnded = true;
+            }
+          });
+          call.on('status', (status: StatusObject) => {
+            if (api.enhancedDatabaseReportingEnabled()) {
+              span.addLabel('status', JSON.stringify(status));
+            }
+            if (!spanEnded) {
+              span.endSpan();
+              spanEnded = true;
+            }
+          });
+        }
+        return call;
+      };
+    };
+  }
+
+  const proto = client.Client.prototype;
+  shimmer.wrap(proto, 'makeUnaryRequest', makeClientMethodWrap(false, false));
+  shimmer.wrap(
+    proto,
+    'makeClientStreamRequest',
+    makeClientMethodWrap(true, false)
+  );
+  shimmer.wrap(
+    proto,
+    'makeServerStreamRequest',
+    makeClientMethodWrap(false, true)
+  );
+  shimmer.wrap(
+    proto,
+    'makeBidiStreamRequest',
+    makeClientMethodWrap(true, true)
+  );
+}
+
+function unpatchClient(client: ClientModule) {
+  // Client classes created by makeClientConstructor hold on to the wrapped
+  // request methods, so they will continue tracing.
+  shimmer.massUnwrap(
+    [client.Client.prototype],
+    [
+      'makeUnaryRequest',
+      'makeClientStreamRequest',
+      'makeServerStreamRequest',
+      'makeBidiStreamRequest',
+    ]
+  );
+}
+
+function patchServer(server: ServerModule, api: Tracer) {
+  /**
+   * Returns a trace context on a Metadata object if it exists and is
+   * well-formed, or null otherwise. Binary trace context takes precedence over
+   * trace context in the configured header format.
+   * @param metadata The Metadata object from which trace context should be
+   * retrieved.
+   */
+  function getTraceContext(metadata: Metadata): TraceContext | null {
+    const metadataValue = metadata.getMap()[
+      api.constants.TRACE_CONTEXT_GRPC_METADATA_NAME
+    ] as Buffer;
+    if (metadataValue) {
+      const traceContext =
+        api.traceContextUtils.decodeFromByteArray(metadataValue);
+      if (traceContext) {
+        return traceContext;
+      }
+    }
+    return api.propagation.extract(key => {
+      const values = metadata.get(key).map(value => value.toString());
+      return values.length > 0 ? values : null;
+    });
+  }
+
+  /**
+   * A helper function to record metadata in a trace span. The return value of
+   * this function can be used as the 'wrapper' argument to wrap sendMetadata.
+   * @param rootSpan The span object to which the metadata should be added.
+   * @returns A function that returns a wrapped form of sendMetadata.
+   */
+  function sendMetadataWrapper(rootSpan: RootSpan) {
+    return (sendMetadata: (responseMetadata: Metadata) => void) => {
+      return function sendMetadataTrace(
+        this: never,
+        responseMetadata: Metadata
+      ): void {
+        rootSpan.addLabel(
+          'metadata',
+          JSON.stringify(responseMetadata.getMap())
+        );
+        // eslint-disable-next-line prefer-rest-params
+        return sendMetadata.apply(this, arguments);
+      };
+    };
+  }
+
+  /**
+   * Returns the options for the root span of a gRPC service method call.
+   * @param requestName The human-friendly name of the request.
+   * @param call The server-side call object.
+   */
+  function getRootSpanOptions(
+    requestName: string,
+    call: ServerCall
+  ): RootSpanOptions {
+    return {
+      name: requestName,
+      url: requestName,
+      traceContext: getTraceContext(call.metadata),
+      skipFrames: SKIP_FRAMES,
+    };
+  }
+
+  /**
+   * Wraps a unary or client streaming handler in order to record trace spans.
+   * The span is started immediately before the handler is called, and ended
+   * when the callback provided to it as an argument is invoked.
+   * @param serverMethod The gRPC method implementation.
+   * @param requestName The human-friendly name of the request.
+   * @param requestStream Whether the method receives a stream of requests.
+   */
+  function wrapCallbackHandler<T>(
+    serverMethod: ServerCallbackHandler<T>,
+    requestName: string,
+    requestStream: boolean
+  ): ServerCallbackHandler<T> {
+    return function serverMethodTrace(
+      this: never,
+      call: ServerCall,
+      callback: ServerUnaryCallback<T>
+    ) {
+      const rootSpanOptions = getRootSpanOptions(requestName, call);
+      return api.runInRootSpan(rootSpanOptions, rootSpan => {
+        if (!api.isRealSpan(rootSpan)) {
+          return serverMethod.call(this, call, callback);
+        }
+        if (api.enhancedDatabaseReportingEnabled()) {
+          shimmer.wrap(call, 'sendMetadata', sendMetadataWrapper(rootSpan));
+          if (!requestStream) {
+            rootSpan.addLabel('argument', JSON.stringify(call.request));
+          }
+        }
+        rootSpan.addLabel(api.labels.HTTP_METHOD_LABEL_KEY, 'POST');
+        if (requestStream) {
+          // Propagate context to stream event handlers.
+          // Note that the length of the span is not tied to the lifetime of
+          // the stream. It should measure the time for the server to send a
+          // response, not the time until all data has been received from the
+          // client.
+          api.wrapEmitter(call);
+        }
+        // Here, we patch the callback so that the span is ended immediately
+        // beforehand.
+        const wrappedCb: ServerUnaryCallback<T> = (
+          err,
+          result,
+          trailer,
+          flags
+        ) => {
+          if (err) {
+            recordError(api, rootSpan, err);
+          }
+          if (api.enhancedDatabaseReportingEnabled()) {
+            if (!err) {
+              rootSpan.addLabel('result', JSON.stringify(result));
+            }
+            if (trailer) {
+              rootSpan.addLabel(
+                'trailing_metadata',
+                JSON.stringify(trailer.getMap())
+              );
+            }
+          }
+          rootSpan.endSpan();
+          return callback(err, result, trailer, flags);
+        };
+        return serverMethod.call(this, call, wrappedCb);
+      });
+    };
+  }
+
+  /**
+   * Wraps a server streaming or bidirectional streaming handler in order to
+   * record trace spans. The span is started immediately before the handler is
+   * called, and ended when there is no data to be sent from the server.
+   * @param serverMethod The gRPC method implementation.
+   * @param requestName The human-friendly name of the request.
+   * @param requestStream Whether the method receives a stream of requests.
+   */
+  function wrapStreamHandler(
+    serverMethod: ServerStreamHandler,
+    requestName: string,
+    requestStream: boolean
+  ): ServerStreamHandler {
+    return function serverMethodTrace(this: never, stream: ServerCall) {
+      const rootSpanOptions = getRootSpanOptions(requestName, stream);
+      return api.runInRootSpan(rootSpanOptions, rootSpan => {
+        if (!api.isRealSpan(rootSpan)) {
+          return serverMethod.call(this, stream);
+        }
+        if (api.enhancedDatabaseReportingEnabled()) {
+          shimmer.wrap(stream, 'sendMetadata', sendMetadataWrapper(rootSpan));
+          if (!requestStream) {
+            rootSpan.addLabel('argument', JSON.stringify(stream.request));
+          }
+        }
+        rootSpan.addLabel(api.labels.HTTP_METHOD_LABEL_KEY, 'POST');
+        let spanEnded = false;
+        const endSpan = () => {
+          if (!spanEnded) {
+            spanEnded = true;
+            rootSpan.endSpan();
+          }
+        };
+        // Propagate context to stream event handlers.
+        api.wrapEmitter(stream);
+        // stream is a Writable or Duplex. Emitting a 'finish' or 'error' event
+        // suggests that no more data will be sent, so we end the span in
+        // these event handlers. @grpc/grpc-js ends the stream when an error
+        // is emitted, so the error event always comes first and is recorded.
+        stream.on('finish', endSpan);
+        stream.on('error', (err: Error) => {
+          if (!spanEnded) {
+            recordError(api, rootSpan, err);
+          }
+          endSpan();
+        });
+        return serverMethod.call(this, stream);
+      });
+    };
+  }
+
+  /**
+   * Returns a function that wraps the gRPC server register function in order
+   * to create trace spans for gRPC service methods.
+   * @param register The function Server.prototype.register
+   * @returns registerTrace The new wrapper function.
+   */
+  function serverRegisterWrap(
+    register: ServerRegisterFunction
+  ): ServerRegisterFunction {
+    return function registerTrace(
+      this: never,
+      name,
+      handler,
+      serialize,
+      deserialize,
+      type
+    ) {
+      // register(n, h, s, d, t) is called in addService once for each service
+      // method. Its role is to assign the serialize, deserialize, and user
+      // logic handlers for each exposed service method. Here, we wrap the
+      // user logic handler depending on the method type.
+      const requestName = 'grpc:' + name;
+      switch (type) {
+        case 'unary':
+          handler = wrapCallbackHandler(
+            handler as ServerCallbackHandler<never>,
+            requestName,
+            false
+          );
+          break;
+        case 'clientStream':
+          handler = wrapCallbackHandler(
+            handler as ServerCallbackHandler<never>,
+            requestName,
+            true
+          );
+          break;
+        case 'serverStream':
+          handler = wrapStreamHandler(
+            handler as ServerStreamHandler,
+            requestName,
+            false
+          );
+          break;
+        case 'bidi':
+          handler = wrapStreamHandler(
+            handler as ServerStreamHandler,
+            requestName,
+            true
+          );
+          break;
+        default:
+          // Not expected. gRPC does not assign type to anything other than
+          // the values above.
+          break;
+      }
+      return register.call(this, name, handler, serialize, deserialize, type);
+    };
+  }
+
+  // Wrap Server.prototype.register
+  shimmer.wrap(server.Server.prototype, 'register', serverRegisterWrap);
+}
+
+function unpatchServer(server: ServerModule) {
+  // Unwrap Server.prototype.register
+  shimmer.unwrap(server.Server.prototype, 'register');
+}
+
+// # Exports
+
+const plugin: Plugin = [
+  {
+    file: 'build/src/client.js',
+    versions: '1.x',
+    patch: patchClient,
+    unpatch: unpatchClient,
+  },
+  {
+    file: 'build/src/metadata.js',
+    versions: '1.x',
+    patch: patchMetadata,
+    unpatch: unpatchMetadata,
+  },
+  {
+    file: 'build/src/server.js',
+    versions: '1.x',
+    patch: patchServer,
+    unpatch: unpatchServer,
+  },
+];
+
+export = plugin;
@@ -128,6 +128,19 @@ const SKIP_FRAMES = 1;
 // tslint:disable-next-line:variable-name
 let MetadataModuleValue: MetadataModule;
 
+/**
+ * Records that a span failed with the given error. Errors may contain
+ * sensitive data, so only their occurrence is recorded unless enhanced
+ * database reporting is enabled.
+ */
+function recordError(api: Tracer, span: Span, err: Error) {
+  if (api.enhancedDatabaseReportingEnabled()) {
+    span.recordException?.(err);
+  } else {
+    span.setStatus?.(api.spanStatusCodes!.ERROR);
+  }
+}
+
 function patchMetadata(metadata: MetadataModule) {
   // metadata is the value of module.exports of src/node/src/metadata.js
   MetadataModuleValue = metadata;
@@ -140,7 +153,8 @@ function unpatchMetadata() {
 
 function patchClient(client: ClientModule, api: Tracer) {
   /**
-   * Set trace context on a Metadata object if it exists.
+   * Set trace context on a Metadata object if it exists. The trace context is
+   * written both in binary form and in the configured header format.
    * @param metadata The Metadata object to which a trace context should be
    * added.
    * @param stringifiedTraceContext The stringified trace context. If this is
@@ -157,6 +171,7 @@ function patchClient(client: ClientModule, api: Tracer) {
         api.constants.TRACE_CONTEXT_GRPC_METADATA_NAME,
         metadataValue
       );
+      api.propagation.inject((k, v) => metadata.set(k, v), traceContext);
     }
   }
 
@@ -168,13 +183,11 @@ function patchClient(client: ClientModule, api: Tracer) {
    */
   function wrapCallback<T>(span: Span, done: Callback<T>) {
     const fn: Callback<T> = (err, res) => {
-      if (api.enhancedDatabaseReportingEnabled()) {
-        if (err) {
-          span.addLabel('error', err);
-        }
-        if (res) {
-          span.addLabel('result', JSON.stringify(res));
-        }
+      if (err) {
+        recordError(api, span, err);
+      }
+      if (res && api.enhancedDatabaseReportingEnabled()) {
+        span.addLabel('result', JSON.stringify(res));
       }
       span.endSpan();
       done(err, res);
@@ -269,9 +282,7 @@ function patchClient(client: ClientModule, api: Tracer) {
       if (method.responseStream) {
         let spanEnded = false;
         call.on('error', (err: Error) => {
-          if (api.enhancedDatabaseReportingEnabled()) {
-            span.addLabel('error', err);
-          }
+          recordError(api, span, err);
           if (!spanEnded) {
             span.endSpan();
             spanEnded = true;
@@ -335,7 +346,8 @@ function unpatchClient(client: ClientModule) {
 function patchServer(server: ServerModule, api: Tracer) {
   /**
    * Returns a trace context on a Metadata object if it exists and is
-   * well-formed, or null otherwise.
+   * well-formed, or null otherwise. Binary trace context takes precedence over
+   * trace context in the configured header format.
    * @param metadata The Metadata object from which trace context should be
    * retrieved.
    */
@@ -343,11 +355,17 @@ function patchServer(server: ServerModule, api: Tracer) {
     const metadataValue = metadata.getMap()[
       api.constants.TRACE_CONTEXT_GRPC_METADATA_NAME
     ] as Buffer;
-    // Entry doesn't exist.
-    if (!metadataValue) {
-      return null;
+    if (metadataValue) {
+      const traceContext =
+        api.traceContextUtils.decodeFromByteArray(metadataValue);
+      if (traceContext) {
+        return traceContext;
+      }
     }
-    return api.traceContextUtils.decodeFromByteArray(metadataValue);
+    return api.propagation.extract(key => {
+      const values = metadata.get(key).map(value => value.toString());
+      return values.length > 0 ? values : null;
+    });
   }
 
   /**
@@ -420,10 +438,11 @@ function patchServer(server: ServerModule, api: Tracer) {
           trailer,
           flags
         ) => {
+          if (err) {
+            recordError(api, rootSpan, err);
+          }
           if (api.enhancedDatabaseReportingEnabled()) {
-            if (err) {
-              rootSpan.addLabel('error', err);
-            } else {
+            if (!err) {
               rootSpan.addLabel('result', JSON.stringify(result));
             }
             if (trailer) {
@@ -490,15 +509,13 @@ function patchServer(server: ServerModule, api: Tracer) {
         stream.on('finish', () => {
           // End the span unless there is an error. (If there is, the span
           // will be ended in the error event handler. This is to ensure that
-          // the 'error' label is applied.)
+          // the error is recorded.)
           if (stream.status.code === 0) {
             endSpan();
           }
         });
         stream.on('error', err => {
-          if (api.enhancedDatabaseReportingEnabled()) {
-            rootSpan.addLabel('error', err);
-          }
+          recordError(api, rootSpan, err);
           endSpan();
         });
         return serverMethod.call(this, stream);
@@ -554,10 +571,11 @@ function patchServer(server: ServerModule, api: Tracer) {
           trailer,
           flags
         ) => {
+          if (err) {
+            recordError(api, rootSpan, err);
+          }
           if (api.enhancedDatabaseReportingEnabled()) {
-            if (err) {
-              rootSpan.addLabel('error', err);
-            } else {
+            if (!err) {
               rootSpan.addLabel('result', JSON.stringify(result));
             }
             if (trailer) {
@@ -631,8 +649,8 @@ function patchServer(server: ServerModule, api: Tracer) {
           }
         });
         stream.on('error', (err: Error) => {
-          if (!spanEnded && api.enhancedDatabaseReportingEnabled()) {
-            rootSpan.addLabel('error', err);
+          if (!spanEnded) {
+            recordError(api, rootSpan, err);
           }
           endSpan();
         });
@@ -23,6 +23,9 @@ import {hapi_16, hapi_17} from './types';
 
 // Used when patching Hapi 17.
 const ORIGINAL = Symbol();
+// The method of the routes that hapi uses for requests that don't match a
+// route, or can't be parsed.
+const SPECIAL_ROUTE_METHOD = '_special';
 
 type Hapi16Module = typeof hapi_16;
 interface Hapi17RequestExecutePrivate {
@@ -88,6 +91,10 @@ function instrument<T>(
 
       if (request.route && request.route.path) {
         root.addLabel('hapi/request.route.path', request.route.path);
+        // Requests that don't match a route are handled by a catch-all route.
+        if (String(request.route.method) !== SPECIAL_ROUTE_METHOD) {
+          api.setRootSpanRoute?.(root, request.route.path);
+        }
       }
       root.addLabel(api.labels.HTTP_RESPONSE_CODE_LABEL_KEY, res.statusCode);
       root.endSpan();
@@ -97,11 +104,16 @@ function instrument<T>(
 
     // if the event is aborted, end the span (as res.end will not be called)
     req.once('aborted', () => {
+      // The error labels are kept alongside the status for compatibility.
       root.addLabel(api.labels.ERROR_DETAILS_NAME, 'aborted');
       root.addLabel(
         api.labels.ERROR_DETAILS_MESSAGE,
         'client aborted the request'
       );
+      root.setStatus?.(
+        api.spanStatusCodes!.ERROR,
+        'client aborted the request'
+      );
       root.endSpan();
     });
 
@@ -229,8 +229,7 @@ function makeRequestTrace(
     });
     api.wrapEmitter(req);
     req.on('error', error => {
-      span.addLabel(api.labels.ERROR_DETAILS_NAME, error.name);
-      span.addLabel(api.labels.ERROR_DETAILS_MESSAGE, error.message);
+      span.recordException?.(error);
       span.endSpan();
     });
     // Inject the trace context header, but only if it wasn't already injected
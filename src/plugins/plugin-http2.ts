@@ -144,14 +144,7 @@ function makeRequestTrace(
       })
       .on('error', (err: Error) => {
         if (err) {
-          requestLifecycleSpan.addLabel(
-            api.labels.ERROR_DETAILS_NAME,
-            err.name
-          );
-          requestLifecycleSpan.addLabel(
-            api.labels.ERROR_DETAILS_MESSAGE,
-            err.message
-          );
+          requestLifecycleSpan.recordException?.(err);
         }
         requestLifecycleSpan.endSpan();
       });
@@ -0,0 +1,164 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as shimmer from 'shimmer';
+
+import {PluginTypes} from '..';
+
+// The subset of the ioredis types used by this plugin. (ioredis ships its own
+// typings, which we can't depend on here.)
+interface Command {
+  name: string;
+  args: unknown[];
+  // Settled once the reply to this command has been received.
+  promise: Promise<unknown>;
+}
+// Pipelines write their commands through sendCommand with a stream object
+// that has this flag set.
+interface CommandStream {
+  isPipeline?: boolean;
+}
+type SendCommandFunction = (
+  this: never,
+  command: Command,
+  stream?: CommandStream
+) => unknown;
+interface Pipeline {
+  // The commands that exec will send.
+  _queue: Command[];
+  // The number of MULTI commands that haven't been matched by an EXEC yet.
+  _transactions: number;
+}
+type ExecFunction = (this: Pipeline, ...args: unknown[]) => Promise<unknown>;
+// Partial module exports of ioredis. The module root is the Redis class,
+// which is also used for each node in cluster mode.
+interface IORedisModule {
+  prototype: {sendCommand: SendCommandFunction};
+  Pipeline: {prototype: {exec: ExecFunction}};
+}
+
+/**
+ * Ends a span once the reply (or replies) that it's waiting on have been
+ * received.
+ * @param api The Tracer instance.
+ * @param span The span to end.
+ * @param promise A promise that settles with the reply.
+ */
+function endSpanOnSettled(
+  api: PluginTypes.Tracer,
+  span: PluginTypes.Span,
+  promise: Promise<unknown>
+) {
+  promise.then(
+    res => {
+      if (api.enhancedDatabaseReportingEnabled() && res !== undefined) {
+        span.addLabel('result', res);
+      }
+      span.endSpan();
+    },
+    err => {
+      if (api.enhancedDatabaseReportingEnabled()) {
+        span.recordException?.(err);
+      } else {
+        // Errors may contain sensitive query parameters.
+        span.setStatus?.(api.spanStatusCodes!.ERROR);
+      }
+      span.endSpan();
+    }
+  );
+}
+
+function patchModuleRoot(ioredis: IORedisModule, api: PluginTypes.Tracer) {
+  // ioredis calls sendCommand again for commands that were queued while the
+  // client was offline, and exec again for pipelines that were executed
+  // before a cluster was ready. These sets prevent them from being traced
+  // twice.
+  const tracedCommands = new WeakSet<Command>();
+  const tracedPipelines = new WeakSet<Pipeline>();
+
+  shimmer.wrap(ioredis.prototype, 'sendCommand', sendCommand => {
+    return function sendCommandTrace(this: never, command, stream) {
+      // Commands in a pipeline are traced by the span for the whole batch.
+      if ((stream && stream.isPipeline) || tracedCommands.has(command)) {
+        // eslint-disable-next-line prefer-rest-params
+        return sendCommand.apply(this, arguments);
+      }
+      const span = api.createChildSpan({name: 'redis-' + command.name});
+      if (api.isRealSpan(span)) {
+        tracedCommands.add(command);
+        span.addLabel('command', command.name);
+        if (api.enhancedDatabaseReportingEnabled()) {
+          span.addLabel('arguments', JSON.stringify(command.args));
+        }
+        endSpanOnSettled(api, span, command.promise);
+      }
+      // eslint-disable-next-line prefer-rest-params
+      return sendCommand.apply(this, arguments);
+    };
+  });
+
+  shimmer.wrap(ioredis.Pipeline.prototype, 'exec', exec => {
+    return function execTrace(this: Pipeline) {
+      // For transactions, exec is first called to queue the EXEC command,
+      // which doesn't send anything.
+      if (tracedPipelines.has(this) || this._transactions > 0) {
+        // eslint-disable-next-line prefer-rest-params
+        return exec.apply(this, arguments);
+      }
+      const commandNames = this._queue.map(command => command.name);
+      // Transactions are pipelines that are wrapped in MULTI and EXEC.
+      const isTransaction = commandNames[0] === 'multi';
+      const span = api.createChildSpan({
+        name: isTransaction ? 'redis-multi' : 'redis-pipeline',
+      });
+      if (!api.isRealSpan(span)) {
+        // eslint-disable-next-line prefer-rest-params
+        return exec.apply(this, arguments);
+      }
+      tracedPipelines.add(this);
+      span.addLabel('commands', JSON.stringify(commandNames));
+      if (api.enhancedDatabaseReportingEnabled()) {
+        span.addLabel(
+          'arguments',
+          JSON.stringify(this._queue.map(command => command.args))
+        );
+      }
+      // eslint-disable-next-line prefer-rest-params
+      const args = Array.prototype.slice.call(arguments);
+      // Propagate context to the callback, if given.
+      if (typeof args[0] === 'function') {
+        args[0] = api.wrap(args[0]);
+      }
+      const promise = exec.apply(this, args);
+      endSpanOnSettled(api, span, promise);
+      return promise;
+    };
+  });
+}
+
+function unpatchModuleRoot(ioredis: IORedisModule) {
+  shimmer.unwrap(ioredis.prototype, 'sendCommand');
+  shimmer.unwrap(ioredis.Pipeline.prototype, 'exec');
+}
+
+const plugin: PluginTypes.Plugin = [
+  {
+    file: '',
+    versions: '4 - 5',
+    patch: patchModuleRoot,
+    unpatch: unpatchModuleRoot,
+  } as PluginTypes.Monkeypatch<IORedisModule>,
+];
+
+export = plugin;
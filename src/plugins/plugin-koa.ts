@@ -96,6 +96,7 @@ function startSpanForRequest<T>(
 
       if (ctx.routePath) {
         root.addLabel('koa/request.route.path', ctx.routePath);
+        api.setRootSpanRoute?.(root, ctx.routePath);
       }
       root.addLabel(api.labels.HTTP_RESPONSE_CODE_LABEL_KEY, res.statusCode);
       root.endSpan();
@@ -105,11 +106,16 @@ function startSpanForRequest<T>(
 
     // if the event is aborted, end the span (as res.end will not be called)
     req.once('aborted', () => {
+      // The error labels are kept alongside the status for compatibility.
       root.addLabel(api.labels.ERROR_DETAILS_NAME, 'aborted');
       root.addLabel(
         api.labels.ERROR_DETAILS_MESSAGE,
         'client aborted the request'
       );
+      root.setStatus?.(
+        api.spanStatusCodes!.ERROR,
+        'client aborted the request'
+      );
       root.endSpan();
     });
 
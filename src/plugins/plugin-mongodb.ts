@@ -80,13 +80,15 @@ function wrapCallback(api, span, done) {
   const fn = function (err, res) {
     if (api.enhancedDatabaseReportingEnabled()) {
       if (err) {
-        // Errors may contain sensitive query parameters.
-        span.addLabel('mongoError', err);
+        span.recordException?.(err);
       }
       if (res) {
         const result = res.result ? res.result : res;
         span.addLabel('result', result);
       }
+    } else if (err) {
+      // Errors may contain sensitive query parameters.
+      span.setStatus?.(api.spanStatusCodes!.ERROR);
     }
     span.endSpan();
     if (done) {
@@ -55,7 +55,7 @@ function populateLabelsFromOutputs(
   res?: pg_7.QueryResult
 ) {
   if (err) {
-    span.addLabel('error', err);
+    span.recordException?.(err);
   }
   if (res) {
     span.addLabel('row_count', res.rowCount);
@@ -91,10 +91,16 @@ class PostgresPatchUtility {
       tracer.enhancedDatabaseReportingEnabled()
         ? populateLabelsFromInputs
         : noOp;
+    // Errors may contain sensitive query parameters, so only their occurrence
+    // is recorded unless enhanced database reporting is enabled.
     this.maybePopulateLabelsFromOutputs =
       tracer.enhancedDatabaseReportingEnabled()
         ? populateLabelsFromOutputs
-        : noOp;
+        : (span, err) => {
+            if (err) {
+              span.setStatus?.(tracer.spanStatusCodes!.ERROR);
+            }
+          };
   }
 
   patchSubmittable(pgQuery: Submittable, span: Span): Submittable {
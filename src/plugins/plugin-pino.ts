@@ -0,0 +1,82 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {PluginTypes} from '..';
+
+// The subset of the pino types used by this plugin.
+type MixinFunction = (this: unknown, ...args: unknown[]) => object;
+interface LoggerOptions {
+  mixin?: MixinFunction;
+}
+// The module root is a factory function that takes optional options and an
+// optional destination stream. It also has properties such as destination
+// and stdSerializers, as well as default and pino properties that refer to
+// itself.
+interface PinoModule {
+  (this: unknown, ...args: unknown[]): unknown;
+  default?: PinoModule;
+  pino?: PinoModule;
+}
+
+function isDestination(value: unknown): boolean {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    typeof (value as {write?: unknown}).write === 'function'
+  );
+}
+
+function interceptModuleRoot(pino: PinoModule, api: PluginTypes.Tracer) {
+  // Loggers add the object returned by the mixin option to every record.
+  // Child loggers inherit the mixin of their parent.
+  const pinoWithCorrelationFields: PinoModule = function (
+    this: unknown,
+    ...args: unknown[]
+  ) {
+    if (args.length === 0 || isDestination(args[0])) {
+      args.unshift({});
+    }
+    const options = Object.assign({}, args[0]) as LoggerOptions;
+    const mixin = options.mixin;
+    options.mixin = function (this: unknown, ...mixinArgs: unknown[]) {
+      // Fields returned by the user's mixin, and those of each log call,
+      // take precedence.
+      return Object.assign(
+        {},
+        api.getCurrentLogCorrelationFields?.(),
+        mixin ? mixin.apply(this, mixinArgs) : {}
+      );
+    };
+    args[0] = options;
+    return pino.apply(this, args);
+  };
+  Object.assign(pinoWithCorrelationFields, pino);
+  if (pino.default === pino) {
+    pinoWithCorrelationFields.default = pinoWithCorrelationFields;
+  }
+  if (pino.pino === pino) {
+    pinoWithCorrelationFields.pino = pinoWithCorrelationFields;
+  }
+  return pinoWithCorrelationFields;
+}
+
+const plugin: PluginTypes.Plugin = [
+  {
+    file: '',
+    versions: '6 - 9',
+    intercept: interceptModuleRoot,
+  } as PluginTypes.Intercept<PinoModule>,
+];
+
+export = plugin;
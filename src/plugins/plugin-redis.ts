@@ -139,11 +139,14 @@ function wrapCallback(api, span, done) {
   const fn = function (err, res) {
     if (api.enhancedDatabaseReportingEnabled()) {
       if (err) {
-        span.addLabel('error', err);
+        span.recordException?.(err);
       }
       if (res) {
         span.addLabel('result', res);
       }
+    } else if (err) {
+      // Errors may contain sensitive query parameters.
+      span.setStatus?.(api.spanStatusCodes!.ERROR);
     }
     span.endSpan();
     if (done) {
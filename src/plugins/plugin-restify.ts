@@ -93,6 +93,7 @@ function patchRestify(restify: Restify5, api: PluginTypes.Tracer) {
 
         if (req.route && req.route.path) {
           rootSpan.addLabel('restify/request.route.path', req.route.path);
+          api.setRootSpanRoute?.(rootSpan, req.route.path);
         }
         rootSpan.addLabel(
           api.labels.HTTP_RESPONSE_CODE_LABEL_KEY,
@@ -0,0 +1,189 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {URL} from 'url';
+
+import {Span, Tracer} from '../plugin-types';
+
+// undici, which implements the global fetch function as well as the npm
+// package of the same name, doesn't go through the http module. Instead, it
+// reports the lifecycle of each request through diagnostics_channel. Channels
+// are global to the process, so subscribing to them traces requests made by
+// both the bundled and the npm versions of undici.
+// See: https://undici.nodejs.org/#/docs/api/DiagnosticsChannel
+
+// The subset of the diagnostics_channel module used by this plugin. (Types for
+// this module aren't available in the version of @types/node we depend on.)
+interface DiagnosticsChannelModule {
+  channel(name: string): {
+    subscribe(onMessage: (message: unknown) => void): void;
+    unsubscribe(onMessage: (message: unknown) => void): void;
+  };
+}
+
+interface UndiciRequest {
+  origin: string;
+  method: string;
+  path: string;
+  // An array of alternating keys and values in undici 6+, and a string of
+  // CRLF-separated "key: value" lines in earlier versions.
+  headers: string | string[];
+  addHeader(key: string, value: string): void;
+}
+
+interface UndiciResponse {
+  statusCode: number;
+  // An array of alternating keys and values.
+  headers: Array<Buffer | string>;
+}
+
+interface RequestMessage {
+  request: UndiciRequest;
+}
+
+interface HeadersMessage extends RequestMessage {
+  response: UndiciResponse;
+}
+
+interface ErrorMessage extends RequestMessage {
+  error: Error;
+}
+
+function getSpanName(request: UndiciRequest) {
+  return new URL(request.origin).hostname || 'localhost';
+}
+
+function hasHeader(request: UndiciRequest, name: string) {
+  if (Array.isArray(request.headers)) {
+    for (let i = 0; i < request.headers.length; i += 2) {
+      if (String(request.headers[i]).toLowerCase() === name) {
+        return true;
+      }
+    }
+    return false;
+  }
+  return request.headers
+    .split('\r\n')
+    .some(line => line.slice(0, line.indexOf(':')).toLowerCase() === name);
+}
+
+function getContentLength(response: UndiciResponse): number | null {
+  for (let i = 0; i < response.headers.length; i += 2) {
+    if (String(response.headers[i]).toLowerCase() === 'content-length') {
+      return Number(String(response.headers[i + 1]));
+    }
+  }
+  return null;
+}
+
+/**
+ * Subscribes to undici's diagnostics channels, returning a function that
+ * unsubscribes from them.
+ */
+function subscribe(dc: DiagnosticsChannelModule, api: Tracer) {
+  // Spans for requests that haven't finished yet.
+  const spans = new WeakMap<UndiciRequest, Span>();
+
+  const onCreate = (message: unknown) => {
+    const {request} = message as RequestMessage;
+    // Don't trace ourselves lest we get into infinite loops.
+    if (hasHeader(request, api.constants.TRACE_AGENT_REQUEST_HEADER)) {
+      return;
+    }
+    const span = api.createChildSpan({name: getSpanName(request)});
+    if (!api.isRealSpan(span)) {
+      return;
+    }
+    span.addLabel(api.labels.HTTP_METHOD_LABEL_KEY, request.method);
+    span.addLabel(
+      api.labels.HTTP_URL_LABEL_KEY,
+      `${request.origin}${request.path}`
+    );
+    api.propagation.inject(
+      (key, value) => request.addHeader(key, value),
+      span.getTraceContext()
+    );
+    spans.set(request, span);
+  };
+
+  const onHeaders = (message: unknown) => {
+    const {request, response} = message as HeadersMessage;
+    const span = spans.get(request);
+    if (span) {
+      span.addLabel(
+        api.labels.HTTP_RESPONSE_CODE_LABEL_KEY,
+        response.statusCode
+      );
+      // Unlike the http plugin, the size of the response body can only be
+      // determined from its Content-Length header.
+      const contentLength = getContentLength(response);
+      if (contentLength !== null) {
+        span.addLabel(api.labels.HTTP_RESPONSE_SIZE_LABEL_KEY, contentLength);
+      }
+    }
+  };
+
+  // The trailers channel is published once the response body has been read.
+  const onTrailers = (message: unknown) => {
+    const {request} = message as RequestMessage;
+    const span = spans.get(request);
+    if (span) {
+      span.endSpan();
+      spans.delete(request);
+    }
+  };
+
+  const onError = (message: unknown) => {
+    const {request, error} = message as ErrorMessage;
+    const span = spans.get(request);
+    if (span) {
+      span.recordException?.(error);
+      span.endSpan();
+      spans.delete(request);
+    }
+  };
+
+  const subscriptions: Array<[string, (message: unknown) => void]> = [
+    ['undici:request:create', onCreate],
+    ['undici:request:headers', onHeaders],
+    ['undici:request:trailers', onTrailers],
+    ['undici:request:error', onError],
+  ];
+  for (const [name, onMessage] of subscriptions) {
+    dc.channel(name).subscribe(onMessage);
+  }
+  return () => {
+    for (const [name, onMessage] of subscriptions) {
+      dc.channel(name).unsubscribe(onMessage);
+    }
+  };
+}
+
+const unsubscribeFns = new WeakMap<DiagnosticsChannelModule, () => void>();
+
+module.exports = [
+  {
+    file: 'diagnostics_channel',
+    patch: (dc: DiagnosticsChannelModule, api: Tracer) => {
+      unsubscribeFns.set(dc, subscribe(dc, api));
+    },
+    unpatch: (dc: DiagnosticsChannelModule) => {
+      const unsubscribe = unsubscribeFns.get(dc);
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribeFns.delete(dc);
+      }
+    },
+  },
+];
@@ -0,0 +1,74 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as shimmer from 'shimmer';
+
+import {PluginTypes} from '..';
+
+// The subset of the winston types used by this plugin.
+type WriteFunction = (
+  this: never,
+  info: unknown,
+  ...args: unknown[]
+) => boolean;
+// The Logger class, which is the export of lib/winston/logger.js. Every
+// logging method, including those created for custom levels and those of
+// child loggers, passes an info object to write().
+interface LoggerClass {
+  prototype: {write: WriteFunction};
+}
+
+/**
+ * Adds the log correlation fields for the current context to a log record,
+ * except for fields that the record already has.
+ * @param api The Tracer instance.
+ * @param record The log record.
+ */
+function addCorrelationFields(
+  api: PluginTypes.Tracer,
+  record: {[key: string]: unknown}
+) {
+  const fields = api.getCurrentLogCorrelationFields?.() || {};
+  for (const key of Object.keys(fields) as Array<keyof typeof fields>) {
+    if (!(key in record)) {
+      record[key] = fields[key];
+    }
+  }
+}
+
+function patchLogger(Logger: LoggerClass, api: PluginTypes.Tracer) {
+  shimmer.wrap(Logger.prototype, 'write', write => {
+    return function writeWithCorrelationFields(this: never, info, ...args) {
+      if (info && typeof info === 'object') {
+        addCorrelationFields(api, info as {[key: string]: unknown});
+      }
+      return write.call(this, info, ...args);
+    };
+  });
+}
+
+function unpatchLogger(Logger: LoggerClass) {
+  shimmer.unwrap(Logger.prototype, 'write');
+}
+
+const plugin: PluginTypes.Plugin = [
+  {
+    file: 'lib/winston/logger.js',
+    versions: '3.x',
+    patch: patchLogger,
+    unpatch: unpatchLogger,
+  } as PluginTypes.Monkeypatch<LoggerClass>,
+];
+
+export = plugin;
@@ -0,0 +1,236 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {EventEmitter} from 'events';
+import * as shimmer from 'shimmer';
+import {URL} from 'url';
+// This is imported only for types. Generated .js file should NOT load
+// 'worker_threads'.
+// eslint-disable-next-line node/no-unsupported-features/node-builtins
+import * as workerThreads from 'worker_threads';
+
+import {Plugin, Span, Tracer} from '../plugin-types';
+
+type WorkerThreadsModule = typeof workerThreads;
+type MessageListener = (this: unknown, value: unknown) => unknown;
+
+// A message to which trace context was attached by this plugin.
+interface TracedMessage {
+  [key: string]: unknown;
+  message: unknown;
+}
+
+// The methods of MessagePort that add and remove event listeners. Not all
+// of them are implemented in every version of Node.
+const ADD_LISTENER_METHODS = [
+  'addListener',
+  'on',
+  'once',
+  'prependListener',
+  'prependOnceListener',
+] as const;
+const REMOVE_LISTENER_METHODS = ['off', 'removeListener'] as const;
+
+/**
+ * Returns the trace context of the given span serialized as a base64 string,
+ * or null if the span isn't a real span.
+ */
+function serializeTraceContext(api: Tracer, span: Span): string | null {
+  const traceContext = api.isRealSpan(span) ? span.getTraceContext() : null;
+  return traceContext
+    ? api.traceContextUtils.encodeAsByteArray(traceContext).toString('base64')
+    : null;
+}
+
+function isTracedMessage(api: Tracer, value: unknown): value is TracedMessage {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    typeof (value as TracedMessage)[api.constants.TRACE_CONTEXT_MESSAGE_KEY] ===
+      'string'
+  );
+}
+
+/**
+ * Wraps a listener of messages from the parent thread, so that messages to
+ * which trace context was attached are unwrapped, and handled in a root span
+ * that continues the trace. The root span ends when the listener returns, or
+ * when the promise that it returns settles.
+ */
+function wrapListener(api: Tracer, listener: MessageListener): MessageListener {
+  return function (this: unknown, value: unknown) {
+    if (!isTracedMessage(api, value)) {
+      // eslint-disable-next-line prefer-rest-params
+      return listener.apply(this, arguments as never);
+    }
+    const traceContext = api.traceContextUtils.decodeFromByteArray(
+      Buffer.from(
+        value[api.constants.TRACE_CONTEXT_MESSAGE_KEY] as string,
+        'base64'
+      )
+    );
+    return api.runInRootSpan(
+      {name: 'worker_threads message', traceContext},
+      rootSpan => {
+        let result: unknown;
+        try {
+          result = listener.call(this, value.message);
+        } catch (err) {
+          rootSpan.endSpan();
+          throw err;
+        }
+        if (result && typeof (result as Promise<unknown>).then === 'function') {
+          return (result as Promise<unknown>).then(
+            res => {
+              rootSpan.endSpan();
+              return res;
+            },
+            err => {
+              rootSpan.endSpan();
+              throw err;
+            }
+          );
+        }
+        rootSpan.endSpan();
+        return result;
+      }
+    );
+  };
+}
+
+function patchParentPort(port: EventEmitter, api: Tracer) {
+  const wrappers = new WeakMap<MessageListener, MessageListener>();
+  ADD_LISTENER_METHODS.forEach(method => {
+    if (typeof port[method] !== 'function') {
+      return;
+    }
+    shimmer.wrap(port, method, addListener => {
+      return function (
+        this: EventEmitter,
+        event: string | symbol,
+        listener: MessageListener
+      ) {
+        if (event === 'message' && typeof listener === 'function') {
+          let wrapper = wrappers.get(listener);
+          if (!wrapper) {
+            wrapper = wrapListener(api, listener);
+            wrappers.set(listener, wrapper);
+          }
+          listener = wrapper;
+        }
+        return addListener.call(this, event, listener);
+      };
+    });
+  });
+  REMOVE_LISTENER_METHODS.forEach(method => {
+    if (typeof port[method] !== 'function') {
+      return;
+    }
+    shimmer.wrap(port, method, removeListener => {
+      return function (
+        this: EventEmitter,
+        event: string | symbol,
+        listener: MessageListener
+      ) {
+        if (event === 'message') {
+          listener = wrappers.get(listener) || listener;
+        }
+        return removeListener.call(this, event, listener);
+      };
+    });
+  });
+}
+
+function unpatchParentPort(port: EventEmitter) {
+  [...ADD_LISTENER_METHODS, ...REMOVE_LISTENER_METHODS].forEach(method => {
+    if (typeof port[method] === 'function') {
+      shimmer.unwrap(port, method);
+    }
+  });
+}
+
+function patchWorker(wt: WorkerThreadsModule, api: Tracer) {
+  // The Worker constructor passes the trace context to the new thread
+  // through its environment, unless the thread shares that of this one.
+  shimmer.wrap(wt, 'Worker', Worker => {
+    return class WorkerTrace extends Worker {
+      constructor(
+        filename: string | URL,
+        options?: workerThreads.WorkerOptions
+      ) {
+        const span = api.createChildSpan({name: 'worker_threads Worker'});
+        const traceContext = serializeTraceContext(api, span);
+        if (traceContext && !(options && options.env === wt.SHARE_ENV)) {
+          options = Object.assign({}, options, {
+            env: Object.assign({}, (options && options.env) || process.env, {
+              [api.constants.TRACE_CONTEXT_ENV_NAME]: traceContext,
+            }),
+          });
+        }
+        try {
+          super(filename, options);
+        } finally {
+          span.endSpan();
+        }
+      }
+    };
+  });
+  shimmer.wrap(wt.Worker.prototype, 'postMessage', postMessage => {
+    return function postMessageTrace(
+      this: workerThreads.Worker,
+      value: unknown,
+      transferList?: Array<workerThreads.TransferListItem>
+    ) {
+      const span = api.createChildSpan({name: 'worker_threads postMessage'});
+      const traceContext = serializeTraceContext(api, span);
+      if (!traceContext) {
+        // eslint-disable-next-line prefer-rest-params
+        return postMessage.apply(this, arguments as never);
+      }
+      const tracedMessage: TracedMessage = {
+        [api.constants.TRACE_CONTEXT_MESSAGE_KEY]: traceContext,
+        message: value,
+      };
+      try {
+        return postMessage.call(this, tracedMessage, transferList);
+      } finally {
+        span.endSpan();
+      }
+    };
+  });
+}
+
+function unpatchWorker(wt: WorkerThreadsModule) {
+  shimmer.unwrap(wt, 'Worker');
+  shimmer.unwrap(wt.Worker.prototype, 'postMessage');
+}
+
+const plugin: Plugin = [
+  {
+    file: 'worker_threads',
+    patch: (wt: WorkerThreadsModule, api: Tracer) => {
+      patchWorker(wt, api);
+      if (!wt.isMainThread && wt.parentPort) {
+        patchParentPort(wt.parentPort, api);
+      }
+    },
+    unpatch: (wt: WorkerThreadsModule) => {
+      unpatchWorker(wt);
+      if (!wt.isMainThread && wt.parentPort) {
+        unpatchParentPort(wt.parentPort);
+      }
+    },
+  },
+];
+export = plugin;
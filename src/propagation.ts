@@ -0,0 +1,294 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {StackdriverFormat} from '@opencensus/propagation-stackdriver';
+import * as uuid from 'uuid';
+
+import {
+  GetHeaderFunction,
+  OpenCensusPropagation,
+  PropagationFormat,
+  SetHeaderFunction,
+} from './config';
+import {Constants} from './constants';
+
+/** The header that carries the W3C trace parent. */
+export const TRACE_PARENT_HEADER_NAME = 'traceparent';
+/** The header that carries vendor-specific W3C trace state. */
+export const TRACE_STATE_HEADER_NAME = 'tracestate';
+
+// version-traceid-parentid-traceflags, with room for fields that might be
+// appended by future versions of the specification.
+// See: https://www.w3.org/TR/trace-context/#traceparent-header-field-values
+const TRACE_PARENT_REGEX =
+  /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_VERSION = 'ff';
+const ALL_ZEROES_REGEX = /^0+$/;
+
+/** The header that carries the B3 trace ID. */
+export const B3_TRACE_ID_HEADER_NAME = 'x-b3-traceid';
+/** The header that carries the B3 span ID. */
+export const B3_SPAN_ID_HEADER_NAME = 'x-b3-spanid';
+/** The header that carries the B3 sampling decision. */
+export const B3_SAMPLED_HEADER_NAME = 'x-b3-sampled';
+/** The header that carries the B3 debug flag, which implies sampling. */
+export const B3_FLAGS_HEADER_NAME = 'x-b3-flags';
+/** The header that carries all B3 fields in a single value. */
+export const B3_SINGLE_HEADER_NAME = 'b3';
+
+// B3 trace IDs are either 64 or 128 bits long.
+const B3_TRACE_ID_REGEX = /^([0-9a-f]{16}){1,2}$/;
+const B3_SPAN_ID_REGEX = /^[0-9a-f]{16}$/;
+// The span ID given to trace context that has no parent span.
+const NO_PARENT_SPAN_ID = '0'.repeat(16);
+
+/**
+ * The trace context representation shared by all propagation formats. Span
+ * IDs are size-16 hex strings.
+ */
+type SpanContext = ReturnType<OpenCensusPropagation['extract']>;
+
+/**
+ * Returns the first value of a header that might have been sent multiple
+ * times.
+ */
+function getFirstHeaderValue(
+  getter: GetHeaderFunction,
+  key: string
+): string | undefined {
+  const value = getter.getHeader(key);
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Propagates trace context through the W3C Trace Context headers,
+ * `traceparent` and `tracestate`.
+ * See: https://www.w3.org/TR/trace-context/
+ */
+export class TraceContextFormat implements OpenCensusPropagation {
+  extract(getter: GetHeaderFunction): SpanContext {
+    const traceParent = getFirstHeaderValue(getter, TRACE_PARENT_HEADER_NAME);
+    if (!traceParent) {
+      return null;
+    }
+    const matches = traceParent.trim().match(TRACE_PARENT_REGEX);
+    if (!matches) {
+      return null;
+    }
+    const [, version, traceId, spanId, flags, extraFields] = matches;
+    if (
+      version === INVALID_VERSION ||
+      // Version 00 doesn't allow any fields beyond trace flags.
+      (version === '00' && extraFields) ||
+      ALL_ZEROES_REGEX.test(traceId) ||
+      ALL_ZEROES_REGEX.test(spanId)
+    ) {
+      return null;
+    }
+    const result: SpanContext = {
+      traceId,
+      spanId,
+      // The "sampled" trace flag is in the same position as the "traced" bit
+      // in x-cloud-trace-context options.
+      options: parseInt(flags, 16) & Constants.TRACE_OPTIONS_TRACE_ENABLED,
+    };
+    const traceState = getter.getHeader(TRACE_STATE_HEADER_NAME);
+    if (traceState) {
+      // Multiple tracestate headers are equivalent to a single header with
+      // comma-separated values.
+      result.traceState = Array.isArray(traceState)
+        ? traceState.join(',')
+        : traceState;
+    }
+    return result;
+  }
+
+  inject(
+    setter: SetHeaderFunction,
+    traceContext: NonNullable<SpanContext>
+  ): void {
+    // Trace IDs that didn't originate from a traceparent header might be
+    // shorter than the required 32 hex characters.
+    const traceId = traceContext.traceId.toLowerCase().padStart(32, '0');
+    const flags =
+      (traceContext.options || 0) & Constants.TRACE_OPTIONS_TRACE_ENABLED
+        ? '01'
+        : '00';
+    setter.setHeader(
+      TRACE_PARENT_HEADER_NAME,
+      `00-${traceId}-${traceContext.spanId}-${flags}`
+    );
+    if (traceContext.traceState) {
+      setter.setHeader(TRACE_STATE_HEADER_NAME, traceContext.traceState);
+    }
+  }
+}
+
+/**
+ * Converts a B3 sampling state to trace context options, or undefined if the
+ * sampling decision was deferred to this service.
+ */
+function b3SamplingStateToOptions(
+  samplingState: string | undefined
+): number | undefined {
+  switch (samplingState) {
+    case '1':
+    case 'true':
+    case 'd': // debug
+      return Constants.TRACE_OPTIONS_TRACE_ENABLED;
+    case '0':
+    case 'false':
+      return 0;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Propagates trace context through B3 headers, as used by Zipkin. Both the
+ * multiple-header (X-B3-*) and single-header (b3) encodings are read, with
+ * the single header taking precedence; the multiple-header encoding is
+ * written.
+ * See: https://github.com/openzipkin/b3-propagation
+ */
+export class B3Format implements OpenCensusPropagation {
+  extract(getter: GetHeaderFunction): SpanContext {
+    const single = getFirstHeaderValue(getter, B3_SINGLE_HEADER_NAME);
+    if (single) {
+      // {TraceId}-{SpanId}-{SamplingState}-{ParentSpanId}, where the last two
+      // fields are optional, or the sampling state alone.
+      const fields = single.trim().split('-');
+      if (fields.length === 1) {
+        return this.createSpanContext(undefined, undefined, fields[0]);
+      }
+      const [traceId, spanId, samplingState] = fields;
+      return this.createSpanContext(traceId, spanId, samplingState);
+    }
+    const flags = getFirstHeaderValue(getter, B3_FLAGS_HEADER_NAME);
+    return this.createSpanContext(
+      getFirstHeaderValue(getter, B3_TRACE_ID_HEADER_NAME),
+      getFirstHeaderValue(getter, B3_SPAN_ID_HEADER_NAME),
+      flags === '1' ? 'd' : getFirstHeaderValue(getter, B3_SAMPLED_HEADER_NAME)
+    );
+  }
+
+  inject(
+    setter: SetHeaderFunction,
+    traceContext: NonNullable<SpanContext>
+  ): void {
+    setter.setHeader(
+      B3_TRACE_ID_HEADER_NAME,
+      traceContext.traceId.toLowerCase().padStart(32, '0')
+    );
+    setter.setHeader(B3_SPAN_ID_HEADER_NAME, traceContext.spanId);
+    if (traceContext.options !== undefined) {
+      setter.setHeader(
+        B3_SAMPLED_HEADER_NAME,
+        traceContext.options & Constants.TRACE_OPTIONS_TRACE_ENABLED ? '1' : '0'
+      );
+    }
+  }
+
+  private createSpanContext(
+    traceId: string | undefined,
+    spanId: string | undefined,
+    samplingState: string | undefined
+  ): SpanContext {
+    const options = b3SamplingStateToOptions(samplingState);
+    if (!traceId && !spanId) {
+      // A sampling state sent without IDs carries no trace context, but a
+      // decision not to trace is still honored, in a new trace.
+      return options === 0
+        ? {
+            traceId: uuid.v4().split('-').join(''),
+            spanId: NO_PARENT_SPAN_ID,
+            options,
+          }
+        : null;
+    }
+    if (!traceId || !spanId) {
+      return null;
+    }
+    traceId = traceId.toLowerCase();
+    spanId = spanId.toLowerCase();
+    if (
+      !B3_TRACE_ID_REGEX.test(traceId) ||
+      !B3_SPAN_ID_REGEX.test(spanId) ||
+      ALL_ZEROES_REGEX.test(traceId) ||
+      ALL_ZEROES_REGEX.test(spanId)
+    ) {
+      return null;
+    }
+    const result: SpanContext = {
+      // Trace IDs in this library are always 128 bits long.
+      traceId: traceId.padStart(32, '0'),
+      spanId,
+    };
+    if (options !== undefined) {
+      result.options = options;
+    }
+    return result;
+  }
+}
+
+/**
+ * Combines several propagation formats. Trace context is extracted with the
+ * first format that finds it, and injected with every format.
+ */
+export class MultiFormat implements OpenCensusPropagation {
+  constructor(private readonly formats: OpenCensusPropagation[]) {}
+
+  extract(getter: GetHeaderFunction): SpanContext {
+    for (const format of this.formats) {
+      const result = format.extract(getter);
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  inject(
+    setter: SetHeaderFunction,
+    traceContext: NonNullable<SpanContext>
+  ): void {
+    for (const format of this.formats) {
+      format.inject(setter, traceContext);
+    }
+  }
+}
+
+/**
+ * Creates the built-in propagation implementation for the given format.
+ * @param format The name of the format.
+ */
+export function createPropagation(
+  format: PropagationFormat
+): OpenCensusPropagation {
+  switch (format) {
+    case 'cloud-trace':
+      return new StackdriverFormat();
+    case 'w3c':
+      return new TraceContextFormat();
+    case 'b3':
+      return new B3Format();
+    case 'multi':
+      return new MultiFormat([
+        new TraceContextFormat(),
+        new StackdriverFormat(),
+      ]);
+    default:
+      throw new Error(`Propagation format [${format}] was not recognized.`);
+  }
+}
@@ -0,0 +1,209 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {Logger} from './logger';
+import {TraceLabels} from './trace-labels';
+
+/** The value that replaces redacted data. */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Case-insensitive substrings of key names whose values are always redacted.
+ */
+const BUILTIN_DENY_KEYS = [
+  'password',
+  'passwd',
+  'secret',
+  'token',
+  'authorization',
+  'cookie',
+  'api_key',
+  'apikey',
+  'api-key',
+];
+
+/** Labels whose values are SQL statements. */
+const SQL_LABEL_KEYS = ['query', 'sql'];
+
+// Matches only start at the beginning of a run of the characters that the
+// local part may contain, so that long runs take linear time to scan.
+const EMAIL_REGEX =
+  /(?<![A-Za-z0-9._%+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+// Sequences of 13 to 19 digits, optionally separated by spaces or dashes.
+// Matches are only redacted if they pass the Luhn check.
+const CARD_NUMBER_REGEX = /\b(?:\d[ -]?){12,18}\d\b/g;
+const BEARER_TOKEN_REGEX = /\b(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi;
+// Single-quoted string literals, in which quotes are escaped by doubling them
+// or with backslashes.
+const SQL_STRING_REGEX = /'(?:[^'\\]|''|\\.)*'/g;
+// Numbers that aren't part of identifiers or positional parameters ($1).
+const SQL_NUMBER_REGEX = /(?<![\w$.])\d+(?:\.\d+)?\b/g;
+// The keys of key-value pairs such as "key": "value", key: 'value' and
+// key=value, with the separator. Keys are only matched whole, so that long
+// values take linear time to scan.
+const EMBEDDED_KEY_REGEX = /(?<![\w.-])(["']?)([\w.-]+)(?![\w.-])\1\s*[:=]\s*/g;
+// The values of key-value pairs, matched where their key ends.
+const EMBEDDED_VALUE_REGEX =
+  /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s,;&#}\]]+/y;
+// The user information component of an absolute URL.
+const URL_USERINFO_REGEX = /^([a-z][a-z0-9+.-]*:\/\/)[^/?#@]*@/i;
+
+/**
+ * Options for constructing a LabelRedactor instance.
+ */
+export interface LabelRedactorConfig {
+  /**
+   * Case-insensitive substrings of key names whose values are redacted, in
+   * addition to the built-in ones.
+   */
+  denyKeys: string[];
+  /**
+   * Patterns whose matches in label values are redacted, in addition to the
+   * built-in ones.
+   */
+  valuePatterns: Array<string | RegExp>;
+  /**
+   * Whether literals are removed from SQL statements in query labels.
+   */
+  scrubSql: boolean;
+  /**
+   * If specified, a function that is given each label after the other
+   * redaction steps, and returns the value to record.
+   */
+  redact?: (key: string, value: string) => string;
+}
+
+function toGlobalRegExp(pattern: string | RegExp) {
+  if (typeof pattern === 'string') {
+    return new RegExp(pattern, 'g');
+  }
+  return pattern.global
+    ? pattern
+    : new RegExp(pattern.source, `${pattern.flags}g`);
+}
+
+function passesLuhnCheck(digits: string) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Removes sensitive data from span label values before they are recorded.
+ * The following steps are applied in order:
+ * - Labels whose keys contain a denied key name are redacted entirely.
+ * - The user information in URL labels is redacted.
+ * - String and numeric literals in SQL query labels are replaced with "?".
+ * - Values of denied keys embedded in label values, such as JSON fields and
+ *   query string parameters, are redacted.
+ * - Email addresses, card numbers, bearer tokens and matches of user-given
+ *   patterns are redacted.
+ * - The user-given redact function is called.
+ */
+export class LabelRedactor {
+  private readonly denyKeys: string[];
+  private readonly valuePatterns: RegExp[];
+
+  constructor(
+    private readonly config: LabelRedactorConfig,
+    private readonly logger: Logger
+  ) {
+    this.denyKeys = BUILTIN_DENY_KEYS.concat(
+      config.denyKeys.map(key => key.toLowerCase())
+    );
+    this.valuePatterns = config.valuePatterns.map(toGlobalRegExp);
+  }
+
+  /**
+   * Returns the value that should be recorded for a label.
+   * @param key The label's key.
+   * @param value The label's value.
+   */
+  redact(key: string, value: string): string {
+    if (this.isDeniedKey(key)) {
+      return REDACTED;
+    }
+    if (key === TraceLabels.HTTP_URL_LABEL_KEY) {
+      value = value.replace(URL_USERINFO_REGEX, `$1${REDACTED}@`);
+    }
+    if (this.config.scrubSql && SQL_LABEL_KEYS.includes(key)) {
+      value = value
+        .replace(SQL_STRING_REGEX, '?')
+        .replace(SQL_NUMBER_REGEX, '?');
+    }
+    value = this.redactEmbeddedPairs(value)
+      .replace(EMAIL_REGEX, REDACTED)
+      .replace(CARD_NUMBER_REGEX, match =>
+        passesLuhnCheck(match.replace(/[ -]/g, '')) ? REDACTED : match
+      )
+      .replace(BEARER_TOKEN_REGEX, `$1${REDACTED}`);
+    for (const pattern of this.valuePatterns) {
+      value = value.replace(pattern, REDACTED);
+    }
+    if (this.config.redact) {
+      try {
+        value = String(this.config.redact(key, value));
+      } catch (err) {
+        this.logger.error(
+          `LabelRedactor#redact: Error thrown by config.redaction.redact: ${err}`
+        );
+        return REDACTED;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Redacts the values of denied keys embedded in the given value.
+   */
+  private redactEmbeddedPairs(value: string): string {
+    let result = '';
+    let lastIndex = 0;
+    EMBEDDED_KEY_REGEX.lastIndex = 0;
+    let keyMatch;
+    while ((keyMatch = EMBEDDED_KEY_REGEX.exec(value))) {
+      if (!this.isDeniedKey(keyMatch[2])) {
+        continue;
+      }
+      EMBEDDED_VALUE_REGEX.lastIndex = EMBEDDED_KEY_REGEX.lastIndex;
+      const valueMatch = EMBEDDED_VALUE_REGEX.exec(value);
+      if (!valueMatch) {
+        continue;
+      }
+      const valueQuote = /^["']/.test(valueMatch[0]) ? valueMatch[0][0] : '';
+      result +=
+        value.slice(lastIndex, EMBEDDED_KEY_REGEX.lastIndex) +
+        `${valueQuote}${REDACTED}${valueQuote}`;
+      lastIndex = EMBEDDED_KEY_REGEX.lastIndex = EMBEDDED_VALUE_REGEX.lastIndex;
+    }
+    return result + value.slice(lastIndex);
+  }
+
+  /**
+   * Returns whether the given key contains a denied key name.
+   */
+  private isDeniedKey(key: string): boolean {
+    const lowerCaseKey = key.toLowerCase();
+    return this.denyKeys.some(denyKey => lowerCaseKey.includes(denyKey));
+  }
+}
@@ -0,0 +1,59 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Starts the Trace Agent, and registers module customization hooks so that
+ * plugins are also applied to modules imported by ES modules. It is meant to
+ * be preloaded with:
+ *
+ *   node --import @google-cloud/trace-agent/register app.mjs
+ *
+ * As when the agent is preloaded with --require, it can only be configured
+ * through GCLOUD_TRACE_CONFIG and other environment variables.
+ */
+
+import {pathToFileURL} from 'url';
+
+import {start} from '.';
+import {EsmLoaderData} from './esm-loader';
+import * as pluginLoaderModule from './trace-plugin-loader';
+
+// The subset of the module module used by this file, which is newer than the
+// Node.js type definitions used by this package.
+interface ModuleWithRegister {
+  register?(
+    specifier: string,
+    parentURL: string,
+    options: {data: EsmLoaderData}
+  ): void;
+}
+
+start();
+
+// Like ./index, this file must not load modules that do I/O before the agent
+// is started.
+const {
+  pluginLoader,
+}: typeof pluginLoaderModule = require('./trace-plugin-loader');
+if (pluginLoader.exists()) {
+  const {register}: ModuleWithRegister = require('module');
+  if (!register) {
+    throw new Error(
+      `Tracing ES modules requires Node.js 18.19 or 20.6 or later, but this is Node.js ${process.version}.`
+    );
+  }
+  register('./esm-loader.js', pathToFileURL(__filename).href, {
+    data: {modules: pluginLoader.get().getHookedModuleNames()},
+  });
+}
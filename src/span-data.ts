@@ -15,8 +15,11 @@
 import * as crypto from 'crypto';
 import * as util from 'util';
 
-import {Constants, SpanType} from './constants';
+import {Constants, SpanStatusCode, SpanType} from './constants';
 import {RootSpan, Span, SpanOptions, TraceContext} from './plugin-types';
+import {LabelRedactor} from './redaction';
+import {spanMetrics} from './span-metrics';
+import {TailSampler} from './tail-sampling';
 import {SpanKind, Trace, TraceSpan} from './trace';
 import {TraceLabels} from './trace-labels';
 import {traceWriter} from './trace-writer';
@@ -39,12 +42,42 @@ function randomSpanId() {
   return parseInt(spanRandomBuffer().toString('hex'), 16).toString();
 }
 
+/**
+ * Returns the name of a root span for an incoming request that matched the
+ * given route template, as `METHOD /route/template`.
+ */
+function getRouteSpanName(method: string, route: string) {
+  return traceUtil.truncate(
+    method ? `${method} ${route}` : route,
+    Constants.TRACE_SERVICE_SPAN_NAME_LIMIT
+  );
+}
+
+function serializeStackTrace(stackFrames: traceUtil.StackFrame[]) {
+  return traceUtil.truncate(
+    JSON.stringify({stack_frame: stackFrames}),
+    Constants.TRACE_SERVICE_LABEL_VALUE_LIMIT
+  );
+}
+
 /**
  * Represents a real trace span.
  */
 export abstract class BaseSpanData implements Span {
   readonly span: TraceSpan;
   abstract readonly type: SpanType;
+  // Vendor-specific trace state that was received with the incoming request,
+  // if any. This is shared by all spans in a trace.
+  traceState?: string;
+  // Whether this span belongs to a trace that the trace policy chose not to
+  // sample, but that is being recorded for tail-based sampling. This is
+  // shared by all spans in a trace.
+  tailSampled = false;
+  // The object that removes sensitive data from labels, if any. This is
+  // shared by all spans in a trace.
+  labelRedactor: LabelRedactor | null = null;
+  // The number of events added to this span with addEvent.
+  private numEvents = 0;
 
   /**
    * Creates a trace context object.
@@ -84,38 +117,100 @@ export abstract class BaseSpanData implements Span {
       // Developer note: This is not equivalent to using addLabel, because the
       // stack trace label has its own size constraints.
       this.span.labels[TraceLabels.STACK_TRACE_DETAILS_KEY] =
-        traceUtil.truncate(
-          JSON.stringify({stack_frame: stackFrames}),
-          Constants.TRACE_SERVICE_LABEL_VALUE_LIMIT
-        );
+        serializeStackTrace(stackFrames);
     }
   }
 
-  getTraceContext() {
-    return {
+  getTraceContext(): TraceContext {
+    const traceContext: TraceContext = {
       traceId: this.trace.traceId.toString(),
       spanId: this.span.spanId.toString(),
-      options: 1, // always traced
+      // Downstream services are told about the trace policy's decision,
+      // as the tail-based sampling decision hasn't been made yet.
+      options: this.tailSampled ? 0 : 1,
     };
+    if (this.traceState) {
+      traceContext.traceState = this.traceState;
+    }
+    return traceContext;
   }
 
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   addLabel(key: string, value: any) {
     const k = traceUtil.truncate(key, Constants.TRACE_SERVICE_LABEL_KEY_LIMIT);
-    const stringValue = typeof value === 'string' ? value : util.inspect(value);
-    const v = traceUtil.truncate(
-      stringValue,
-      traceWriter.get().getConfig().maximumLabelValueSize
+    const maximumLabelValueSize = traceWriter
+      .get()
+      .getConfig().maximumLabelValueSize;
+    let v = traceUtil.truncate(
+      typeof value === 'string' ? value : util.inspect(value),
+      maximumLabelValueSize
     );
+    if (this.labelRedactor) {
+      // The value is truncated first, so that redaction takes time bounded by
+      // the label size limit. It's truncated again, as redaction may make it
+      // longer.
+      v = traceUtil.truncate(
+        this.labelRedactor.redact(key, v),
+        maximumLabelValueSize
+      );
+    }
     this.span.labels[k] = v;
   }
 
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  addEvent(name: string, attributes?: {[key: string]: any}) {
+    const event = {
+      time: new Date().toISOString(),
+      name,
+      attributes: attributes || {},
+    };
+    this.addLabel(
+      `${TraceLabels.EVENT_PREFIX}${this.numEvents++}`,
+      JSON.stringify(event)
+    );
+  }
+
+  setStatus(code: SpanStatusCode, message?: string) {
+    this.addLabel(TraceLabels.STATUS_CODE, code);
+    if (message) {
+      this.addLabel(TraceLabels.STATUS_MESSAGE, message);
+    } else {
+      delete this.span.labels[TraceLabels.STATUS_MESSAGE];
+    }
+  }
+
+  recordException(err: unknown) {
+    const error = err instanceof Error ? err : new Error(util.inspect(err));
+    this.addLabel(TraceLabels.ERROR_DETAILS_NAME, error.name);
+    this.addLabel(TraceLabels.ERROR_DETAILS_MESSAGE, error.message);
+    // A value that isn't an Error has no stack trace of its own.
+    if (err instanceof Error && typeof error.stack === 'string') {
+      const stackFrames = traceUtil.parseStackTrace(
+        error.stack,
+        traceWriter.get().getConfig().stackTraceLimit
+      );
+      if (stackFrames.length > 0) {
+        this.span.labels[TraceLabels.ERROR_DETAILS_STACK_TRACE] =
+          serializeStackTrace(stackFrames);
+      }
+    }
+    if (!this.span.labels[TraceLabels.STATUS_CODE]) {
+      this.setStatus(SpanStatusCode.ERROR, error.message);
+    }
+  }
+
   endSpan(timestamp?: Date) {
     if (this.span.endTime) {
       return;
     }
     timestamp = timestamp || new Date();
     this.span.endTime = timestamp.toISOString();
+    spanMetrics.recordSpan(
+      this.span.name,
+      this.span.kind,
+      this.span.labels,
+      timestamp.getTime() - Date.parse(this.span.startTime)
+    );
   }
 }
 
@@ -127,28 +222,74 @@ export class RootSpanData extends BaseSpanData implements RootSpan {
   // Locally-tracked list of children. Used only to determine, once this span
   // ends, whether a child still needs to be published.
   private children: ChildSpanData[] = [];
+  // Whether this trace was dropped by tail-based sampling.
+  private dropped = false;
 
+  /**
+   * Creates a root span.
+   * @param trace The object holding the spans comprising this trace.
+   * @param spanName The name of the span.
+   * @param parentSpanId The ID of the parent span, or '0' to specify that there
+   *                     is none.
+   * @param skipFrames the number of frames to remove from the top of the stack
+   *                   when collecting the stack trace.
+   * @param traceState Trace state received with the incoming request, if any.
+   * @param tailSampler If specified, the object that decides whether to keep
+   *                    this trace once this span ends.
+   * @param labelRedactor If specified, the object that removes sensitive data
+   *                      from labels in this trace.
+   * @param method The method of the incoming request, if any.
+   */
   constructor(
     trace: Trace,
     spanName: string,
     parentSpanId: string,
-    skipFrames: number
+    skipFrames: number,
+    traceState?: string,
+    private readonly tailSampler: TailSampler | null = null,
+    labelRedactor: LabelRedactor | null = null,
+    private readonly method = ''
   ) {
     super(trace, spanName, parentSpanId, skipFrames);
     this.span.kind = SpanKind.RPC_SERVER;
+    this.traceState = traceState;
+    this.tailSampled = !!tailSampler;
+    this.labelRedactor = labelRedactor;
   }
 
   createChildSpan(options?: SpanOptions): Span {
     options = options || {name: ''};
     const skipFrames = options.skipFrames ? options.skipFrames + 1 : 1;
-    const child = new ChildSpanData(
+    return new ChildSpanData(
       this.trace /* Trace object */,
       options.name /* Span name */,
       this.span.spanId /* Parent's span ID */,
-      skipFrames
-    ); /* # of frames to skip in stack trace */
-    this.children.push(child);
-    return child;
+      skipFrames /* # of frames to skip in stack trace */,
+      this /* Root span */
+    );
+  }
+
+  /**
+   * Renames this span after the route template that matched the incoming
+   * request, as `METHOD /route/template`.
+   * @param route The route template.
+   */
+  setRoute(route: string) {
+    this.span.name = getRouteSpanName(this.method, route);
+  }
+
+  /**
+   * Keeps track of a span that was created anywhere under this root span, so
+   * that it can be told to publish itself if it outlives this span.
+   * @param descendant A child span with this span as its root.
+   */
+  addDescendant(descendant: ChildSpanData) {
+    if (this.span.endTime) {
+      // This span has already been published, unless the trace was dropped.
+      descendant.shouldSelfPublish = !this.dropped;
+    } else {
+      this.children.push(descendant);
+    }
   }
 
   endSpan(timestamp?: Date) {
@@ -156,6 +297,11 @@ export class RootSpanData extends BaseSpanData implements RootSpan {
       return;
     }
     super.endSpan(timestamp);
+    if (this.tailSampler && !this.tailSampler.endTrace(this.trace, this.span)) {
+      this.dropped = true;
+      this.children = [];
+      return;
+    }
     traceWriter.get().writeTrace(this.trace);
     this.children.forEach(child => {
       if (!child.span.endTime) {
@@ -170,22 +316,52 @@ export class RootSpanData extends BaseSpanData implements RootSpan {
 }
 
 /**
- * Represents a real child span, which corresponds to an outgoing RPC.
+ * Represents a real child span, which corresponds to an outgoing RPC or a unit
+ * of work done on behalf of an incoming request. Child spans may themselves be
+ * the parents of other child spans.
  */
-export class ChildSpanData extends BaseSpanData {
+export class ChildSpanData extends BaseSpanData implements RootSpan {
   readonly type = SpanType.CHILD;
   // Whether this span should publish itself. This is meant to be set to true
-  // by the parent RootSpanData.
+  // by the RootSpanData at the top of this span's tree.
   shouldSelfPublish = false;
 
+  /**
+   * Creates a child span.
+   * @param trace The object holding the spans comprising this trace.
+   * @param spanName The name of the span.
+   * @param parentSpanId The ID of the parent span.
+   * @param skipFrames the number of frames to remove from the top of the stack
+   *                   when collecting the stack trace.
+   * @param root The root span of the trace that this span belongs to, if any.
+   */
   constructor(
     trace: Trace,
     spanName: string,
     parentSpanId: string,
-    skipFrames: number
+    skipFrames: number,
+    readonly root: RootSpanData | null = null
   ) {
     super(trace, spanName, parentSpanId, skipFrames);
     this.span.kind = SpanKind.RPC_CLIENT;
+    if (root) {
+      this.traceState = root.traceState;
+      this.tailSampled = root.tailSampled;
+      this.labelRedactor = root.labelRedactor;
+      root.addDescendant(this);
+    }
+  }
+
+  createChildSpan(options?: SpanOptions): Span {
+    options = options || {name: ''};
+    const skipFrames = options.skipFrames ? options.skipFrames + 1 : 1;
+    return new ChildSpanData(
+      this.trace /* Trace object */,
+      options.name /* Span name */,
+      this.span.spanId /* Parent's span ID */,
+      skipFrames /* # of frames to skip in stack trace */,
+      this.root /* Root span */
+    );
   }
 
   endSpan(timestamp?: Date) {
@@ -216,6 +392,9 @@ function createPhantomSpanData<T extends SpanType>(
         },
         // eslint-disable-next-line
         addLabel(key: string, value: any) {},
+        addEvent() {},
+        setStatus() {},
+        recordException() {},
         endSpan() {},
       },
       {type: spanType}
@@ -225,28 +404,82 @@ function createPhantomSpanData<T extends SpanType>(
 
 /**
  * Helper (and base) class for UntracedRootSpanData. Represents an untraced
- * child span.
+ * child span. Untraced spans only keep what span metrics need.
  */
 class UntracedSpanData implements Span {
   readonly type = SpanType.UNSAMPLED;
   protected readonly traceContext: TraceContext;
+  protected name: string;
+  private readonly startTime = Date.now();
+  private readonly labels: {[key: string]: string} = {};
+  private ended = false;
 
-  constructor(traceId: string) {
+  /**
+   * Creates an untraced span.
+   * @param traceId The ID of the trace that this span belongs to.
+   * @param traceState Trace state received with the incoming request, if any.
+   * @param kind The kind of the span.
+   * @param spanName The name of the span.
+   */
+  constructor(
+    traceId: string,
+    traceState?: string,
+    private readonly kind = SpanKind.RPC_CLIENT,
+    spanName = ''
+  ) {
     this.traceContext = {
       traceId,
       spanId: randomSpanId(),
       options: 0, // Not traced.
     };
+    if (traceState) {
+      this.traceContext.traceState = traceState;
+    }
+    this.name = traceUtil.truncate(
+      spanName,
+      Constants.TRACE_SERVICE_SPAN_NAME_LIMIT
+    );
   }
 
   getTraceContext(): traceUtil.TraceContext | null {
     return this.traceContext;
   }
 
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  addLabel(key: string, value: any): void {
+    if (spanMetrics.isEnabled() && spanMetrics.isStatusLabel(key)) {
+      this.labels[key] =
+        typeof value === 'string' ? value : util.inspect(value);
+    }
+  }
+
   // No-op.
-  addLabel(): void {}
-  // No-op.
-  endSpan(): void {}
+  addEvent(): void {}
+
+  setStatus(code: SpanStatusCode): void {
+    this.addLabel(TraceLabels.STATUS_CODE, code);
+  }
+
+  recordException(err: unknown): void {
+    const error = err instanceof Error ? err : new Error(util.inspect(err));
+    this.addLabel(TraceLabels.ERROR_DETAILS_NAME, error.name);
+    if (!this.labels[TraceLabels.STATUS_CODE]) {
+      this.setStatus(SpanStatusCode.ERROR);
+    }
+  }
+
+  endSpan(timestamp?: Date): void {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    spanMetrics.recordSpan(
+      this.name,
+      this.kind,
+      this.labels,
+      (timestamp ? timestamp.getTime() : Date.now()) - this.startTime
+    );
+  }
 }
 
 /**
@@ -256,12 +489,50 @@ class UntracedSpanData implements Span {
 export class UntracedRootSpanData extends UntracedSpanData implements RootSpan {
   private child: Span | null = null;
 
-  createChildSpan(): Span {
+  /**
+   * Creates an untraced root span.
+   * @param traceId The ID of the trace that this span belongs to.
+   * @param traceState Trace state received with the incoming request, if any.
+   * @param spanName The name of the span.
+   * @param method The method of the incoming request, if any.
+   */
+  constructor(
+    traceId: string,
+    traceState?: string,
+    spanName = '',
+    private readonly method = ''
+  ) {
+    super(traceId, traceState, SpanKind.RPC_SERVER, spanName);
+  }
+
+  createChildSpan(options?: SpanOptions): Span {
+    // Child spans are only distinguishable by their span metrics, so they
+    // can be shared when there are none.
+    if (spanMetrics.isEnabled()) {
+      return new UntracedSpanData(
+        this.traceContext.traceId,
+        this.traceContext.traceState,
+        SpanKind.RPC_CLIENT,
+        options ? options.name : ''
+      );
+    }
     if (!this.child) {
-      this.child = new UntracedSpanData(this.traceContext.traceId);
+      this.child = new UntracedSpanData(
+        this.traceContext.traceId,
+        this.traceContext.traceState
+      );
     }
     return this.child;
   }
+
+  /**
+   * Renames this span after the route template that matched the incoming
+   * request, as `METHOD /route/template`.
+   * @param route The route template.
+   */
+  setRoute(route: string) {
+    this.name = getRouteSpanName(this.method, route);
+  }
 }
 
 /**
@@ -0,0 +1,252 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as http from 'http';
+
+import {hasError} from './tail-sampling';
+import {SpanKind} from './trace';
+import {TraceLabels} from './trace-labels';
+
+/**
+ * Options for enabling span metrics.
+ */
+export interface SpanMetricsConfig {
+  /**
+   * The maximum number of distinct span names for which metrics are kept.
+   * Spans with other names are recorded under OVERFLOW_SPAN_NAME.
+   */
+  maxSpanNames: number;
+}
+
+/**
+ * The span name under which spans are recorded once maxSpanNames distinct
+ * span names have been seen.
+ */
+export const OVERFLOW_SPAN_NAME = '__overflow__';
+
+/* Upper bounds of the latency histogram buckets, in seconds. */
+const LATENCY_BUCKET_BOUNDS_SECONDS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+/* Prefix of the names of exported metrics. */
+const METRIC_PREFIX = 'trace_agent_span';
+/* Labels that are used to determine the status class of a span. */
+const STATUS_LABEL_KEYS = [
+  TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY,
+  TraceLabels.ERROR_DETAILS_NAME,
+  TraceLabels.STATUS_CODE,
+];
+
+interface Series {
+  spanName: string;
+  spanKind: string;
+  statusClass: string;
+  errors: number;
+  sumSeconds: number;
+  // The number of spans in each latency bucket, not cumulative. The last
+  // bucket counts spans above the largest bound.
+  buckets: number[];
+}
+
+function getSpanKind(kind: SpanKind): string {
+  switch (kind) {
+    case SpanKind.RPC_SERVER:
+      return 'server';
+    case SpanKind.RPC_CLIENT:
+      return 'client';
+    default:
+      return 'internal';
+  }
+}
+
+/**
+ * Returns the status class of a span: its HTTP status code class (such as
+ * '2xx') if it has one, and otherwise 'error' or 'ok'.
+ */
+function getStatusClass(labels: {[key: string]: string}): string {
+  const statusCode = Number(labels[TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY]);
+  if (statusCode >= 100 && statusCode < 600) {
+    return `${Math.floor(statusCode / 100)}xx`;
+  }
+  return hasError({labels}) ? 'error' : 'ok';
+}
+
+function escapeLabelValue(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Aggregates the rate, errors and duration of ended spans, whether or not
+ * they are sampled, and exports them in the Prometheus text exposition
+ * format. Nothing is recorded unless metrics are enabled. A single instance
+ * is shared by the whole Trace Agent.
+ */
+export class SpanMetrics {
+  private config: SpanMetricsConfig | null = null;
+  private readonly spanNames = new Set<string>();
+  private readonly series = new Map<string, Series>();
+
+  enable(config: SpanMetricsConfig) {
+    this.disable();
+    this.config = config;
+  }
+
+  /**
+   * Stops recording, and discards what was recorded.
+   */
+  disable() {
+    this.config = null;
+    this.spanNames.clear();
+    this.series.clear();
+  }
+
+  isEnabled(): boolean {
+    return !!this.config;
+  }
+
+  /**
+   * Returns whether the given label is used by recordSpan. Spans that don't
+   * keep their labels only need to keep these.
+   */
+  isStatusLabel(key: string): boolean {
+    return STATUS_LABEL_KEYS.indexOf(key) !== -1;
+  }
+
+  /**
+   * Records an ended span.
+   * @param name The name of the span.
+   * @param kind The kind of the span.
+   * @param labels The labels of the span. Only status labels are read.
+   * @param latencyMillis The duration of the span.
+   */
+  recordSpan(
+    name: string,
+    kind: SpanKind,
+    labels: {[key: string]: string},
+    latencyMillis: number
+  ) {
+    if (!this.config) {
+      return;
+    }
+    if (!this.spanNames.has(name)) {
+      if (this.spanNames.size < this.config.maxSpanNames) {
+        this.spanNames.add(name);
+      } else {
+        name = OVERFLOW_SPAN_NAME;
+      }
+    }
+    const spanKind = getSpanKind(kind);
+    const statusClass = getStatusClass(labels);
+    const key = [name, spanKind, statusClass].join('\0');
+    let series = this.series.get(key);
+    if (!series) {
+      series = {
+        spanName: name,
+        spanKind,
+        statusClass,
+        errors: 0,
+        sumSeconds: 0,
+        buckets: new Array(LATENCY_BUCKET_BOUNDS_SECONDS.length + 1).fill(0),
+      };
+      this.series.set(key, series);
+    }
+    if (hasError({labels})) {
+      series.errors++;
+    }
+    const latencySeconds = Math.max(latencyMillis, 0) / 1000;
+    series.sumSeconds += latencySeconds;
+    const bucket = LATENCY_BUCKET_BOUNDS_SECONDS.findIndex(
+      bound => latencySeconds <= bound
+    );
+    series.buckets[
+      bucket === -1 ? LATENCY_BUCKET_BOUNDS_SECONDS.length : bucket
+    ]++;
+  }
+
+  /**
+   * Returns the recorded metrics in the Prometheus text exposition format.
+   */
+  getPrometheusText(): string {
+    const durationName = `${METRIC_PREFIX}_duration_seconds`;
+    const errorsName = `${METRIC_PREFIX}_errors_total`;
+    const durationLines = [
+      `# HELP ${durationName} Duration of ended spans, including unsampled spans.`,
+      `# TYPE ${durationName} histogram`,
+    ];
+    const errorLines = [
+      `# HELP ${errorsName} Number of ended spans with errors, including unsampled spans.`,
+      `# TYPE ${errorsName} counter`,
+    ];
+    this.series.forEach(series => {
+      const labels = [
+        `span_name="${escapeLabelValue(series.spanName)}"`,
+        `span_kind="${series.spanKind}"`,
+        `status_class="${series.statusClass}"`,
+      ].join(',');
+      let count = 0;
+      series.buckets.forEach((bucketCount, i) => {
+        count += bucketCount;
+        const le =
+          i < LATENCY_BUCKET_BOUNDS_SECONDS.length
+            ? `${LATENCY_BUCKET_BOUNDS_SECONDS[i]}`
+            : '+Inf';
+        durationLines.push(
+          `${durationName}_bucket{${labels},le="${le}"} ${count}`
+        );
+      });
+      durationLines.push(
+        `${durationName}_sum{${labels}} ${series.sumSeconds}`,
+        `${durationName}_count{${labels}} ${count}`
+      );
+      errorLines.push(`${errorsName}{${labels}} ${series.errors}`);
+    });
+    return durationLines.concat(errorLines).join('\n') + '\n';
+  }
+
+  /**
+   * Serves the recorded metrics in the Prometheus text exposition format.
+   */
+  handleRequest(req: http.IncomingMessage, res: http.ServerResponse) {
+    if (!this.config) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.statusCode = 405;
+      res.setHeader('allow', 'GET, HEAD');
+      res.end();
+      return;
+    }
+    res.setHeader('content-type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.end(this.getPrometheusText());
+  }
+}
+
+export const spanMetrics = new SpanMetrics();
+
+/**
+ * A request handler that serves span metrics in the Prometheus text
+ * exposition format, for mounting on an existing server. It responds with 404
+ * unless the Trace Agent was started with span metrics enabled.
+ */
+export function spanMetricsHandler(
+  req: http.IncomingMessage,
+  res: http.ServerResponse
+) {
+  spanMetrics.handleRequest(req, res);
+}
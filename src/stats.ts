@@ -0,0 +1,169 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {SpanType} from './constants';
+
+/**
+ * Counters describing the spans created through the Trace Agent.
+ */
+export interface SpanStats {
+  /**
+   * The number of spans created by runInRootSpan and createChildSpan, keyed
+   * by span type. Spans of type UNCORRELATED are phantom spans that indicate
+   * an error.
+   */
+  spansCreated: {[spanType in SpanType]: number};
+  /** The number of root spans that the trace policy chose to trace. */
+  tracesSampled: number;
+  /** The number of root spans that the trace policy chose not to trace. */
+  tracesUnsampled: number;
+  /**
+   * The number of unsampled traces that were recorded anyway and kept by
+   * tail-based sampling once their root span ended.
+   */
+  tracesKeptByTailSampling: number;
+  /**
+   * The number of unsampled traces that were recorded anyway and then
+   * dropped by tail-based sampling once their root span ended.
+   */
+  tracesDroppedByTailSampling: number;
+  /**
+   * The number of child spans that became phantom spans because their trace
+   * had reached spansPerTraceHardLimit spans.
+   */
+  spansOverHardLimit: number;
+  /**
+   * The number of child spans that became phantom spans because there was no
+   * open root span in the current context, keyed by the name of the plugin
+   * that created them.
+   */
+  lostContext: {[pluginName: string]: number};
+}
+
+/**
+ * Counters describing how traces were published.
+ */
+export interface PublishStats {
+  /** The number of spans waiting to be published. */
+  bufferedSpans: number;
+  /** The number of spans in failed publishes waiting to be retried. */
+  retryQueueSpans: number;
+  /** The number of publish requests that succeeded. */
+  publishSuccesses: number;
+  /** The number of publish requests that failed. */
+  publishFailures: number;
+  /** The sum of the latencies of all completed publish requests. */
+  totalPublishLatencyMillis: number;
+  /** The latency of the most recently completed publish request. */
+  lastPublishLatencyMillis: number;
+  /** The number of spans that were dropped without being published. */
+  droppedSpans: number;
+  /**
+   * The number of spans that were published successfully. Spans are counted
+   * once for each exporter that they were passed to.
+   */
+  publishedSpans: number;
+}
+
+/**
+ * The outcome of flushing the Trace Agent's buffered traces.
+ */
+export interface FlushResult {
+  /**
+   * The number of spans that were published successfully while flushing.
+   * Spans are counted once for each exporter that they were passed to.
+   */
+  sentSpans: number;
+  /** The number of spans that were dropped while flushing. */
+  droppedSpans: number;
+}
+
+/**
+ * A snapshot of the Trace Agent's self-telemetry.
+ */
+export interface AgentStats extends SpanStats {
+  /** Publishing counters, or null if the Trace Agent isn't running. */
+  publishing: PublishStats | null;
+}
+
+function createSpanStats(): SpanStats {
+  return {
+    spansCreated: {
+      [SpanType.UNCORRELATED]: 0,
+      [SpanType.DISABLED]: 0,
+      [SpanType.UNSAMPLED]: 0,
+      [SpanType.ROOT]: 0,
+      [SpanType.CHILD]: 0,
+    },
+    tracesSampled: 0,
+    tracesUnsampled: 0,
+    tracesKeptByTailSampling: 0,
+    tracesDroppedByTailSampling: 0,
+    spansOverHardLimit: 0,
+    lostContext: {},
+  };
+}
+
+/**
+ * Accumulates the counters in SpanStats. A single instance is shared by all
+ * StackdriverTracer instances.
+ */
+export class SpanStatsRecorder {
+  private stats = createSpanStats();
+
+  recordSpan(spanType: SpanType) {
+    this.stats.spansCreated[spanType]++;
+  }
+
+  recordSamplingDecision(shouldTrace: boolean) {
+    if (shouldTrace) {
+      this.stats.tracesSampled++;
+    } else {
+      this.stats.tracesUnsampled++;
+    }
+  }
+
+  recordTailSamplingDecision(keep: boolean) {
+    if (keep) {
+      this.stats.tracesKeptByTailSampling++;
+    } else {
+      this.stats.tracesDroppedByTailSampling++;
+    }
+  }
+
+  recordHardLimit() {
+    this.stats.spansOverHardLimit++;
+  }
+
+  recordLostContext(pluginName: string) {
+    this.stats.lostContext[pluginName] =
+      (this.stats.lostContext[pluginName] || 0) + 1;
+  }
+
+  /**
+   * Returns a copy of the current counters.
+   */
+  getStats(): SpanStats {
+    return Object.assign({}, this.stats, {
+      spansCreated: Object.assign({}, this.stats.spansCreated),
+      lostContext: Object.assign({}, this.stats.lostContext),
+    });
+  }
+
+  reset() {
+    this.stats = createSpanStats();
+  }
+}
+
+export const spanStats = new SpanStatsRecorder();
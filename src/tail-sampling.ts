@@ -0,0 +1,134 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {SpanStatusCode} from './constants';
+import {Logger} from './logger';
+import {spanStats} from './stats';
+import {Trace, TraceSpan} from './trace';
+import {TraceLabels} from './trace-labels';
+
+/**
+ * Options for constructing a TailSampler instance.
+ */
+export interface TailSamplerConfig {
+  /**
+   * Traces whose root span took at least this long are kept.
+   */
+  latencyThresholdMillis: number;
+  /**
+   * Whether traces with a span that has an HTTP status code of 500 or more,
+   * an error name label or an ERROR status, are kept.
+   */
+  keepErrors: boolean;
+  /**
+   * If specified, traces for which this function returns true are kept.
+   */
+  shouldKeep?: (trace: Trace) => boolean;
+  /**
+   * The maximum number of traces that may be recorded while their keep/drop
+   * decision is pending.
+   */
+  maxPendingTraces: number;
+  /**
+   * Traces whose decision has been pending for this long no longer count
+   * towards maxPendingTraces, so that root spans that never end don't hold
+   * their room forever.
+   */
+  pendingTraceTimeoutMillis: number;
+}
+
+/**
+ * Returns whether the given span has an HTTP status code label of 500 or
+ * more, an error name label or an ERROR status.
+ */
+export function hasError(span: Pick<TraceSpan, 'labels'>): boolean {
+  const statusCode = Number(
+    span.labels[TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY]
+  );
+  return (
+    statusCode >= 500 ||
+    !!span.labels[TraceLabels.ERROR_DETAILS_NAME] ||
+    span.labels[TraceLabels.STATUS_CODE] === SpanStatusCode.ERROR
+  );
+}
+
+/**
+ * Decides, once a root span ends, whether to keep a trace that the trace
+ * policy chose not to sample.
+ */
+export class TailSampler {
+  // The traces whose decision is pending, mapped to the time at which they
+  // were started. Maps iterate in insertion order, so the oldest comes first.
+  private pendingTraces = new Map<Trace, number>();
+
+  constructor(
+    private readonly config: TailSamplerConfig,
+    private readonly logger: Logger
+  ) {}
+
+  /**
+   * Reserves room for a trace whose decision will be made by this object.
+   * Returns false if too many such traces are being recorded already, in
+   * which case the trace shouldn't be recorded.
+   * @param trace The trace, whose root span has just started.
+   */
+  startTrace(trace: Trace): boolean {
+    const now = Date.now();
+    for (const [pendingTrace, startTime] of this.pendingTraces) {
+      if (now - startTime < this.config.pendingTraceTimeoutMillis) {
+        break;
+      }
+      this.pendingTraces.delete(pendingTrace);
+      this.logger.debug(
+        `TailSampler#startTrace: Releasing room held by trace ${pendingTrace.traceId}, whose root span hasn't ended.`
+      );
+    }
+    if (this.pendingTraces.size >= this.config.maxPendingTraces) {
+      return false;
+    }
+    this.pendingTraces.set(trace, now);
+    return true;
+  }
+
+  /**
+   * Releases the room reserved for a trace, and decides whether to keep it.
+   * @param trace The trace, whose root span has ended.
+   * @param rootSpan The root span of the trace.
+   */
+  endTrace(trace: Trace, rootSpan: TraceSpan): boolean {
+    this.pendingTraces.delete(trace);
+    const latency =
+      Date.parse(rootSpan.endTime) - Date.parse(rootSpan.startTime);
+    const keep =
+      latency >= this.config.latencyThresholdMillis ||
+      (this.config.keepErrors && trace.spans.some(hasError)) ||
+      this.userShouldKeep(trace);
+    spanStats.recordTailSamplingDecision(keep);
+    return keep;
+  }
+
+  private userShouldKeep(trace: Trace): boolean {
+    if (!this.config.shouldKeep) {
+      return false;
+    }
+    try {
+      return this.config.shouldKeep(trace);
+    } catch (err) {
+      this.logger.error(
+        `TailSampler#endTrace: Error thrown by config.tailSampling.shouldKeep: ${err}`
+      );
+      return false;
+    }
+  }
+}
@@ -0,0 +1,204 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * An entry point for the unit tests of applications that use the Trace
+ * Agent. It starts the agent with an in-memory sink in place of the Trace
+ * Writer, so that the spans that an application creates can be inspected
+ * without publishing them:
+ *
+ *   const testing = require('@google-cloud/trace-agent/testing');
+ *   const tracer = testing.start();
+ *   // ... exercise the application ...
+ *   const span = testing.getOneSpan({name: 'my-span'});
+ *   testing.reset();
+ */
+
+import {Config, PluginTypes, start as startAgent} from '.';
+import {Logger} from './logger';
+import {Trace, TraceSpan} from './trace';
+import * as traceWriterModule from './trace-writer';
+import {alwaysTrace} from './tracing-policy';
+import {FORCE_NEW} from './util';
+
+export {Trace, TraceSpan};
+
+/**
+ * Criteria that captured spans are matched against. A span matches if it
+ * meets all of the given criteria.
+ */
+export interface SpanQuery {
+  /** The name of the span, or a regular expression that matches it. */
+  name?: string | RegExp;
+  /** Labels that the span has, with the given values. */
+  labels?: {[key: string]: string};
+  /** The span ID of the parent of the span. */
+  parentSpanId?: string;
+  /** The name of the parent of the span, which is in the same trace. */
+  parentName?: string;
+}
+
+// The configuration options that determine which requests are traced. These
+// can't be specified together with a trace policy.
+const tracePolicyKeys = [
+  'tracePolicy',
+  'ignoreUrls',
+  'ignoreMethods',
+  'samplingRate',
+  'samplingRules',
+  'contextHeaderBehavior',
+];
+
+const traces: Trace[] = [];
+
+/**
+ * Replaces the Trace Writer with one that captures traces as soon as they are
+ * written, and makes no network requests.
+ */
+function useInMemoryTraceWriter() {
+  // Like ./index, this file must not load modules that do I/O before the agent
+  // is started.
+  const {
+    TraceWriter,
+    traceWriter,
+  }: typeof traceWriterModule = require('./trace-writer');
+  class InMemoryTraceWriter extends TraceWriter {
+    constructor(config: traceWriterModule.TraceWriterConfig, logger: Logger) {
+      super(config, logger);
+      this.projectId = config.authOptions.projectId || '0';
+    }
+
+    async initialize(): Promise<void> {}
+
+    writeTrace(trace: Trace) {
+      traces.push({
+        traceId: trace.traceId,
+        projectId: this.projectId,
+        spans: trace.spans.filter(span => !!span.endTime),
+      });
+    }
+  }
+  traceWriter['implementation'] = InMemoryTraceWriter;
+}
+
+/**
+ * Starts the Trace Agent for testing, replacing any agent that was started
+ * before. Every request is traced unless config specifies a trace policy or
+ * the options that the default one uses, and traces are captured in memory
+ * instead of being published. As with the start function of the Trace Agent,
+ * modules to be traced must be loaded after this function is called.
+ * @param config A configuration object.
+ * @returns An object exposing functions for creating custom spans.
+ */
+export function start(config: Config = {}): PluginTypes.Tracer {
+  useInMemoryTraceWriter();
+  return startAgent(
+    Object.assign(
+      {[FORCE_NEW]: true},
+      tracePolicyKeys.some(key => key in config)
+        ? {}
+        : {tracePolicy: alwaysTrace()},
+      config
+    )
+  );
+}
+
+/**
+ * Returns the traces captured since the agent was started or last reset, in
+ * the order in which their root spans ended.
+ */
+export function getTraces(): Trace[] {
+  return traces.slice();
+}
+
+/**
+ * Returns the captured spans that match the given query.
+ * @param query The criteria to match spans against. All spans are returned
+ * if omitted.
+ */
+export function getSpans(query: SpanQuery = {}): TraceSpan[] {
+  const result: TraceSpan[] = [];
+  for (const trace of traces) {
+    for (const span of trace.spans) {
+      if (matches(trace, span, query)) {
+        result.push(span);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Returns the only captured span that matches the given query, and throws an
+ * error if there isn't exactly one.
+ * @param query The criteria to match spans against.
+ */
+export function getOneSpan(query: SpanQuery = {}): TraceSpan {
+  const spans = getSpans(query);
+  if (spans.length !== 1) {
+    throw new Error(
+      `Expected one span to match ${describeQuery(query)}, but found ${
+        spans.length
+      }.`
+    );
+  }
+  return spans[0];
+}
+
+/**
+ * Discards the captured traces.
+ */
+export function reset(): void {
+  traces.length = 0;
+}
+
+function matches(trace: Trace, span: TraceSpan, query: SpanQuery): boolean {
+  if (query.name !== undefined) {
+    if (typeof query.name === 'string') {
+      if (span.name !== query.name) {
+        return false;
+      }
+    } else if (!query.name.test(span.name)) {
+      return false;
+    }
+  }
+  if (query.labels) {
+    for (const key of Object.keys(query.labels)) {
+      if (span.labels[key] !== query.labels[key]) {
+        return false;
+      }
+    }
+  }
+  if (
+    query.parentSpanId !== undefined &&
+    span.parentSpanId !== query.parentSpanId
+  ) {
+    return false;
+  }
+  if (query.parentName !== undefined) {
+    const parent = trace.spans.find(
+      candidate => candidate.spanId === span.parentSpanId
+    );
+    if (!parent || parent.name !== query.parentName) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function describeQuery(query: SpanQuery): string {
+  return JSON.stringify(query, (key, value) =>
+    value instanceof RegExp ? `${value}` : value
+  );
+}
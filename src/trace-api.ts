@@ -17,10 +17,12 @@ import * as uuid from 'uuid';
 
 import {cls, RootContext} from './cls';
 import {OpenCensusPropagation, TracePolicy} from './config';
-import {Constants, SpanType} from './constants';
+import {Constants, SpanStatusCode, SpanType} from './constants';
+import {debugPage} from './debug-page';
 import {Logger} from './logger';
 import {
   Func,
+  LogCorrelationFields,
   Propagation,
   RootSpan,
   RootSpanOptions,
@@ -29,6 +31,7 @@ import {
   Tracer,
 } from './plugin-types';
 import {
+  ChildSpanData,
   RootSpanData,
   UNCORRELATED_CHILD_SPAN,
   UNCORRELATED_ROOT_SPAN,
@@ -36,8 +39,11 @@ import {
   DISABLED_ROOT_SPAN,
   UntracedRootSpanData,
 } from './span-data';
+import {LabelRedactor} from './redaction';
+import {AgentStats, FlushResult, spanStats} from './stats';
+import {TailSampler} from './tail-sampling';
 import {TraceLabels} from './trace-labels';
-import {traceWriter} from './trace-writer';
+import {NO_PROJECT_ID_TOKEN, traceWriter} from './trace-writer';
 import {neverTrace} from './tracing-policy';
 import * as util from './util';
 
@@ -48,8 +54,12 @@ import * as util from './util';
 export interface StackdriverTracerConfig {
   enhancedDatabaseReporting: boolean;
   rootSpanNameOverride: (path: string) => string;
+  rootSpanNameFromRoute: boolean;
   spansPerTraceSoftLimit: number;
   spansPerTraceHardLimit: number;
+  // The trace context that root spans started without incoming trace context
+  // continue, if any.
+  parentTraceContext: util.TraceContext | null;
 }
 
 /**
@@ -59,6 +69,11 @@ export interface StackdriverTracerComponents {
   logger: Logger;
   tracePolicy: TracePolicy;
   propagation: OpenCensusPropagation;
+  tailSampler?: TailSampler | null;
+  labelRedactor?: LabelRedactor | null;
+  // Disables the Trace Agent. This is called by shutdown once buffered
+  // traces have been flushed.
+  shutdown?: () => void;
 }
 
 /**
@@ -69,6 +84,7 @@ export class StackdriverTracer implements Tracer {
   readonly constants = Constants;
   readonly labels = TraceLabels;
   readonly spanTypes = SpanType;
+  readonly spanStatusCodes = SpanStatusCode;
   readonly traceContextUtils = {
     encodeAsByteArray: util.serializeTraceContext,
     decodeFromByteArray: util.deserializeTraceContext,
@@ -119,8 +135,14 @@ export class StackdriverTracer implements Tracer {
   private logger: Logger | null = null;
   private config: StackdriverTracerConfig | null = null;
   private policy: TracePolicy | null = null;
+  // Decides whether to keep unsampled traces, if tail-based sampling is on.
+  private tailSampler: TailSampler | null = null;
+  // Removes sensitive data from labels, if redaction is on.
+  private labelRedactor: LabelRedactor | null = null;
   // The underlying propagation mechanism used by this.propagation.
   private headerPropagation: OpenCensusPropagation | null = null;
+  // Disables the Trace Agent, once shutdown has flushed it.
+  private shutdownAgent: (() => void) | null = null;
 
   /**
    * Constructs a new StackdriverTracer instance.
@@ -149,7 +171,10 @@ export class StackdriverTracer implements Tracer {
     this.config = config;
     this.logger = components.logger;
     this.policy = components.tracePolicy;
+    this.tailSampler = components.tailSampler || null;
+    this.labelRedactor = components.labelRedactor || null;
     this.headerPropagation = components.propagation;
+    this.shutdownAgent = components.shutdown || null;
     this.enabled = true;
   }
 
@@ -164,6 +189,8 @@ export class StackdriverTracer implements Tracer {
     // they are already instantiated or the plugin doesn't unpatch them) to
     // short-circuit out of trace generation logic.
     this.policy = neverTrace();
+    this.tailSampler = null;
+    this.labelRedactor = null;
     this.enabled = false;
   }
 
@@ -190,18 +217,18 @@ export class StackdriverTracer implements Tracer {
 
   runInRootSpan<T>(options: RootSpanOptions, fn: (span: RootSpan) => T): T {
     if (!this.isActive()) {
-      return fn(DISABLED_ROOT_SPAN);
+      return fn(this.recordSpan(DISABLED_ROOT_SPAN));
     }
 
     options = options || {name: ''};
 
     // Don't create a root span if we are already in a root span
-    const rootSpan = cls.get().getContext();
+    const rootSpan = this.getRootOfContext(cls.get().getContext());
     if (rootSpan.type === SpanType.ROOT && !rootSpan.span.endTime) {
       this.logger!.warn(
         `TraceApi#runInRootSpan: [${this.pluginNameToLog}] Cannot create nested root spans.`
       );
-      return fn(UNCORRELATED_ROOT_SPAN);
+      return fn(this.recordSpan(UNCORRELATED_ROOT_SPAN));
     }
 
     // Ensure that the trace context, if it exists, has an options field.
@@ -220,7 +247,13 @@ export class StackdriverTracer implements Tracer {
         options: 1,
       };
     };
-    const traceContext = canonicalizeTraceContext(options.traceContext);
+    const traceContext = canonicalizeTraceContext(
+      options.traceContext || this.config!.parentTraceContext
+    );
+
+    const traceId = traceContext
+      ? traceContext.traceId
+      : uuid.v4().split('-').join('');
 
     // Consult the trace policy.
     const shouldTrace = this.policy!.shouldTrace({
@@ -228,36 +261,70 @@ export class StackdriverTracer implements Tracer {
       url: options.url || '',
       method: options.method || '',
       traceContext,
+      traceId,
       options,
     });
-
-    const traceId = traceContext
-      ? traceContext.traceId
-      : uuid.v4().split('-').join('');
+    spanStats.recordSamplingDecision(shouldTrace);
+    const traceState = options.traceContext
+      ? options.traceContext.traceState
+      : undefined;
     let rootContext: RootSpan & RootContext;
 
+    // The object holding the spans comprising the trace, if it is recorded.
+    const trace = {projectId: '', traceId, spans: []};
     // Create an "untraced" root span (one that won't be published) if the
-    // trace policy disallows it.
-    if (!shouldTrace) {
-      rootContext = new UntracedRootSpanData(traceId);
+    // trace policy disallows it, unless the trace should be recorded so that
+    // tail-based sampling can decide whether to keep it.
+    const tailSampler =
+      !shouldTrace && this.tailSampler && this.tailSampler.startTrace(trace)
+        ? this.tailSampler
+        : null;
+    if (!shouldTrace && !tailSampler) {
+      rootContext = new UntracedRootSpanData(
+        traceId,
+        traceState,
+        this.config!.rootSpanNameOverride(options.name),
+        options.method
+      );
     } else {
       // Create a new root span, and invoke fn with it.
       rootContext = new RootSpanData(
         // Trace object
-        {
-          projectId: '',
-          traceId,
-          spans: [],
-        },
+        trace,
         // Span name
         this.config!.rootSpanNameOverride(options.name),
         // Parent span ID
         traceContext ? traceContext.spanId : '0',
         // Number of stack frames to skip
-        options.skipFrames || 0
+        options.skipFrames || 0,
+        // Trace state to pass along to outgoing requests
+        traceState,
+        // Object that decides whether to keep the trace, if not sampled
+        tailSampler,
+        // Object that removes sensitive data from labels
+        this.labelRedactor,
+        // Method of the incoming request, used to name the span after its
+        // route
+        options.method
       );
+      debugPage.recordRootSpan(rootContext);
     }
+    const url = options.url || '';
+    debugPage.recordSamplingDecision({
+      time: new Date().toISOString(),
+      name: options.name,
+      // The URL is shown on the debug page, so it is redacted like a label.
+      url:
+        this.labelRedactor && debugPage.isEnabled()
+          ? this.labelRedactor.redact(TraceLabels.HTTP_URL_LABEL_KEY, url)
+          : url,
+      method: options.method || '',
+      traceId,
+      sampled: shouldTrace,
+      tailSampled: !!tailSampler,
+    });
 
+    this.recordSpan(rootContext);
     return cls.get().runWithContext(() => {
       return fn(rootContext);
     }, rootContext);
@@ -267,7 +334,44 @@ export class StackdriverTracer implements Tracer {
     if (!this.isActive()) {
       return DISABLED_ROOT_SPAN;
     }
-    return cls.get().getContext();
+    return this.getRootOfContext(cls.get().getContext());
+  }
+
+  getCurrentLogCorrelationFields(): LogCorrelationFields {
+    if (!this.isActive()) {
+      return {};
+    }
+    const context = cls.get().getContext();
+    const traceContext = context.getTraceContext();
+    const projectId = this.getWriterProjectId();
+    // The project ID is this token until it has been discovered.
+    if (!traceContext || !projectId || projectId === NO_PROJECT_ID_TOKEN) {
+      return {};
+    }
+    const fields: LogCorrelationFields = {
+      'logging.googleapis.com/trace': `projects/${projectId}/traces/${traceContext.traceId}`,
+    };
+    // Untraced root spans have span IDs that don't belong to a real span.
+    if (context.type === SpanType.ROOT || context.type === SpanType.CHILD) {
+      fields['logging.googleapis.com/spanId'] = util.spanIdToHex(
+        traceContext.spanId
+      );
+    }
+    fields['logging.googleapis.com/trace_sampled'] = !!(
+      (traceContext.options || 0) & Constants.TRACE_OPTIONS_TRACE_ENABLED
+    );
+    return fields;
+  }
+
+  setRootSpanRoute(rootSpan: RootSpan, route: string | RegExp) {
+    if (
+      this.isActive() &&
+      this.config!.rootSpanNameFromRoute &&
+      (rootSpan instanceof RootSpanData ||
+        rootSpan instanceof UntracedRootSpanData)
+    ) {
+      rootSpan.setRoute(String(route));
+    }
   }
 
   getCurrentContextId(): string | null {
@@ -297,12 +401,15 @@ export class StackdriverTracer implements Tracer {
 
   createChildSpan(options?: SpanOptions): Span {
     if (!this.isActive()) {
-      return DISABLED_CHILD_SPAN;
+      return this.recordSpan(DISABLED_CHILD_SPAN);
     }
 
     options = options || {name: ''};
-    const rootSpan = cls.get().getContext();
-    if (rootSpan.type === SpanType.ROOT) {
+    // The new span is parented under the innermost active span, but limits
+    // are enforced on the trace as a whole, which is tracked by its root.
+    const parentSpan = cls.get().getContext();
+    const rootSpan = this.getRootOfContext(parentSpan);
+    if (rootSpan.type === SpanType.ROOT || rootSpan.type === SpanType.CHILD) {
       if (rootSpan.span.endTime) {
         // A closed root span suggests that we either have context confusion or
         // some work is being done after the root request has been completed.
@@ -314,7 +421,8 @@ export class StackdriverTracer implements Tracer {
         this.logger!.warn(
           `TraceApi#createChildSpan: [${this.pluginNameToLog}] Creating phantom child span [${options.name}] because root span [${rootSpan.span.name}] was already closed.`
         );
-        return UNCORRELATED_CHILD_SPAN;
+        spanStats.recordLostContext(this.pluginNameToLog);
+        return this.recordSpan(UNCORRELATED_CHILD_SPAN);
       }
       if (rootSpan.trace.spans.length >= this.config!.spansPerTraceHardLimit) {
         // As in the previous case, a root span with a large number of child
@@ -338,7 +446,8 @@ export class StackdriverTracer implements Tracer {
             'for details and suggested actions.',
           ].join(' ')
         );
-        return UNCORRELATED_CHILD_SPAN;
+        spanStats.recordHardLimit();
+        return this.recordSpan(UNCORRELATED_CHILD_SPAN);
       }
       if (rootSpan.trace.spans.length === this.config!.spansPerTraceSoftLimit) {
         // As in the previous case, a root span with a large number of child
@@ -369,28 +478,45 @@ export class StackdriverTracer implements Tracer {
         );
       }
       // Create a new child span and return it.
-      const childContext = rootSpan.createChildSpan({
+      const childContext = parentSpan.createChildSpan({
         name: options.name,
         skipFrames: options.skipFrames ? options.skipFrames + 1 : 1,
       });
       this.logger!.info(
         `TraceApi#createChildSpan: [${this.pluginNameToLog}] Created child span [${options.name}]`
       );
-      return childContext;
+      return this.recordSpan(childContext);
     } else if (rootSpan.type === SpanType.UNSAMPLED) {
       // "Untraced" child spans don't incur a memory penalty.
-      return rootSpan.createChildSpan();
+      return this.recordSpan(rootSpan.createChildSpan({name: options.name}));
     } else if (rootSpan.type === SpanType.DISABLED) {
-      return DISABLED_CHILD_SPAN;
+      return this.recordSpan(DISABLED_CHILD_SPAN);
     } else {
       // Context was lost.
       this.logger!.warn(
         `TraceApi#createChildSpan: [${this.pluginNameToLog}] Creating phantom child span [${options.name}] because there is no root span.`
       );
-      return UNCORRELATED_CHILD_SPAN;
+      spanStats.recordLostContext(this.pluginNameToLog);
+      return this.recordSpan(UNCORRELATED_CHILD_SPAN);
     }
   }
 
+  runInChildSpan<T>(options: SpanOptions, fn: (span: Span) => T): T {
+    options = options || {name: ''};
+    const childSpan = this.createChildSpan({
+      name: options.name,
+      skipFrames: options.skipFrames ? options.skipFrames + 1 : 1,
+    });
+    if (childSpan.type !== SpanType.CHILD) {
+      // Phantom child spans can't be parents, so there is no need to change
+      // the current context.
+      return fn(childSpan);
+    }
+    return cls.get().runWithContext(() => {
+      return fn(childSpan);
+    }, childSpan as ChildSpanData);
+  }
+
   isRealSpan(span: Span): boolean {
     return span.type === SpanType.ROOT || span.type === SpanType.CHILD;
   }
@@ -409,6 +535,53 @@ export class StackdriverTracer implements Tracer {
     };
   }
 
+  /**
+   * Given the context stored in CLS, returns the root span of the trace that
+   * it belongs to. This is the context itself, unless it's a child span.
+   * @param context The current CLS context.
+   */
+  private getRootOfContext(context: RootContext) {
+    return context.type === SpanType.CHILD && context.root
+      ? context.root
+      : context;
+  }
+
+  /**
+   * Counts the creation of a span, and returns it.
+   * @param span The created span.
+   */
+  private recordSpan<T extends Span>(span: T): T {
+    spanStats.recordSpan(span.type);
+    return span;
+  }
+
+  getStats(): AgentStats {
+    return Object.assign(spanStats.getStats(), {
+      publishing: traceWriter.exists() ? traceWriter.get().getStats() : null,
+    });
+  }
+
+  flush(): Promise<FlushResult> {
+    if (!this.isActive() || !traceWriter.exists()) {
+      return Promise.resolve({sentSpans: 0, droppedSpans: 0});
+    }
+    const writer = traceWriter.get();
+    return writer.flush(writer.getConfig().flushTimeoutSeconds * 1000);
+  }
+
+  async shutdown(): Promise<FlushResult> {
+    const result = await this.flush();
+    if (this.isActive() && this.shutdownAgent) {
+      // Batches still waiting to be retried are dropped when the Trace Agent
+      // is disabled.
+      const writer = traceWriter.get();
+      const droppedSpans = writer.getNumDroppedSpans();
+      this.shutdownAgent();
+      result.droppedSpans += writer.getNumDroppedSpans() - droppedSpans;
+    }
+    return result;
+  }
+
   wrap<T>(fn: Func<T>): Func<T> {
     if (!this.isActive()) {
       return fn;
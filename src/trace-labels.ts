@@ -54,6 +54,31 @@ export const TraceLabels = {
    */
   ERROR_DETAILS_MESSAGE: '/error/message',
 
+  /**
+   * The label for the stack trace of an error recorded with
+   * Span#recordException. The value has the same structure as the value of
+   * STACK_TRACE_DETAILS_KEY.
+   */
+  ERROR_DETAILS_STACK_TRACE: '/error/stacktrace',
+
+  /**
+   * The label for the status code set with Span#setStatus. Values are
+   * SpanStatusCode members.
+   */
+  STATUS_CODE: '/status/code',
+
+  /**
+   * The label for the status message set with Span#setStatus.
+   */
+  STATUS_MESSAGE: '/status/message',
+
+  /**
+   * The prefix of labels for events added with Span#addEvent. The n-th event
+   * of a span is stored under the key "/event/<n>", starting from 0, and its
+   * value is a JSON object with "time", "name" and "attributes" fields.
+   */
+  EVENT_PREFIX: '/event/',
+
   /**
    * The well-known label for the app version on AppEngine.
    */
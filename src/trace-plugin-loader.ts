@@ -16,6 +16,7 @@ import * as builtinModules from 'builtin-modules';
 import * as path from 'path';
 import * as hook from 'require-in-the-middle';
 import * as semver from 'semver';
+import {debugPage} from './debug-page';
 import {Logger} from './logger';
 import {Intercept, Monkeypatch, Plugin} from './plugin-types';
 import {
@@ -165,6 +166,14 @@ export class ModulePluginWrapper implements PluginWrapper {
         `PluginWrapper#applyPlugin: [${logString}] Plugin has more than one patch/intercept object for this file. Applying all.`
       );
     }
+    if (supportedPatches.length > 0) {
+      debugPage.recordAppliedPlugin({
+        moduleName: this.name,
+        version,
+        file,
+        pluginPath: this.path,
+      });
+    }
 
     // Apply each patch object.
     return supportedPatches.reduce<T>((exportedValue, patch) => {
@@ -270,6 +279,21 @@ export class CorePluginWrapper implements PluginWrapper {
       moduleExports
     );
   }
+
+  /**
+   * Returns the names of the core modules that the underlying plugins patch.
+   */
+  getPatchedFiles(): string[] {
+    const files = new Set<string>();
+    this.children.forEach(child => {
+      child.getPluginExportedValue().forEach(patch => {
+        if (patch.file) {
+          files.add(patch.file);
+        }
+      });
+    });
+    return Array.from(files);
+  }
 }
 
 // States for the Plugin Loader
@@ -286,10 +310,16 @@ export enum PluginLoaderState {
 export class PluginLoader {
   // Key on which core modules are stored.
   static readonly CORE_MODULE = '[core]';
+  // Names of plugins that trace modules bundled with Node that can't be
+  // required directly, such as the undici module behind the global fetch
+  // function. These plugins patch core modules instead.
+  static readonly BUNDLED_MODULES = ['undici'];
   // A logger.
   private readonly logger: Logger;
   // The function to call to register a require hook.
   private enableRequireHook: (onRequire: hook.OnRequireFn) => void;
+  // The names of the modules that the require hook is registered for.
+  private readonly moduleNames: string[];
   // A map mapping module names to their respective plugins.
   private readonly pluginMap: Map<string, PluginWrapper> = new Map();
   // A map caching version strings for a module based on their base path.
@@ -316,7 +346,9 @@ export class PluginLoader {
       const value = config.plugins[key];
       // Core module plugins share a common key.
       const coreModule =
-        key === PluginLoader.CORE_MODULE || builtinModules.indexOf(key) !== -1;
+        key === PluginLoader.CORE_MODULE ||
+        builtinModules.indexOf(key) !== -1 ||
+        PluginLoader.BUNDLED_MODULES.indexOf(key) !== -1;
 
       if (value) {
         // Convert the given string value to a PluginConfigEntry
@@ -346,6 +378,7 @@ export class PluginLoader {
         )
       );
     }
+    this.moduleNames = nonCoreModules;
 
     // Define the function that will attach a require hook upon activate.
     // This must register the hook in the following way:
@@ -365,6 +398,21 @@ export class PluginLoader {
     return this.internalState;
   }
 
+  /**
+   * Returns the names of the modules that plugins may be applied to: those of
+   * packages with plugins, and those of the core modules that plugins patch.
+   * Used by the ES module loader to decide which imported modules to pass
+   * through the require hook.
+   */
+  getHookedModuleNames(): string[] {
+    const corePlugin = this.pluginMap.get(PluginLoader.CORE_MODULE);
+    const coreFiles =
+      corePlugin instanceof CorePluginWrapper
+        ? corePlugin.getPatchedFiles()
+        : [];
+    return this.moduleNames.concat(coreFiles);
+  }
+
   /**
    * Activates plugin loading/patching by hooking into the require method.
    */
@@ -0,0 +1,90 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Data model for Cloud Trace API v2
+// https://cloud.google.com/trace/docs/reference/v2/rest/v2/projects.traces/batchWrite
+
+export enum SpanKindV2 {
+  SPAN_KIND_UNSPECIFIED = 'SPAN_KIND_UNSPECIFIED',
+  INTERNAL = 'INTERNAL',
+  SERVER = 'SERVER',
+  CLIENT = 'CLIENT',
+  PRODUCER = 'PRODUCER',
+  CONSUMER = 'CONSUMER',
+}
+
+export interface TruncatableString {
+  value: string;
+  truncatedByteCount?: number;
+}
+
+export type AttributeValue =
+  | {stringValue: TruncatableString}
+  | {intValue: string}
+  | {boolValue: boolean};
+
+export interface Attributes {
+  attributeMap: {[key: string]: AttributeValue};
+  droppedAttributesCount?: number;
+}
+
+export interface StackFrameV2 {
+  functionName?: TruncatableString;
+  fileName?: TruncatableString;
+  lineNumber?: string;
+  columnNumber?: string;
+}
+
+export interface StackTraceV2 {
+  stackFrames: {
+    frame: StackFrameV2[];
+    droppedFramesCount?: number;
+  };
+}
+
+export interface TimeEvent {
+  time: string;
+  annotation: {
+    description: TruncatableString;
+    attributes: Attributes;
+  };
+}
+
+export interface Status {
+  code: number;
+  message?: string;
+}
+
+export interface SpanV2 {
+  name: string;
+  spanId: string;
+  parentSpanId?: string;
+  displayName: TruncatableString;
+  startTime: string;
+  endTime: string;
+  attributes: Attributes;
+  stackTrace?: StackTraceV2;
+  timeEvents?: {
+    timeEvent: TimeEvent[];
+    droppedAnnotationsCount?: number;
+  };
+  status?: Status;
+  sameProcessAsParentSpan: boolean;
+  childSpanCount: number;
+  spanKind: SpanKindV2;
+}
+
+export interface BatchWriteRequest {
+  spans: SpanV2[];
+}
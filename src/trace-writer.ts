@@ -16,12 +16,16 @@ import * as gcpMetadata from 'gcp-metadata';
 import {OutgoingHttpHeaders} from 'http';
 import * as os from 'os';
 
+import {CloudTraceExporterName, SpanExporter} from './config';
 import {Constants} from './constants';
+import {debugPage} from './debug-page';
 import {Logger} from './logger';
+import {FlushResult, PublishStats} from './stats';
 import {SpanKind, Trace} from './trace';
 import {TraceLabels} from './trace-labels';
 import {Singleton} from './util';
 import {
+  ApiError,
   DecorateRequestOptions,
   GoogleAuthOptions,
   Service,
@@ -31,7 +35,7 @@ import {
 const pjson = require('../../package.json');
 
 // TODO(kjin): This value should be exported from @g-c/c.
-const NO_PROJECT_ID_TOKEN = '{{projectId}}';
+export const NO_PROJECT_ID_TOKEN = '{{projectId}}';
 
 const onUncaughtExceptionValues = ['ignore', 'flush', 'flushAndExit'];
 
@@ -42,21 +46,77 @@ headers[Constants.TRACE_AGENT_REQUEST_HEADER] = 1;
 const SCOPES: string[] = ['https://www.googleapis.com/auth/trace.append'];
 /* The API endpoint of the Stackdriver Trace service */
 const TRACE_API_ENDPOINT = 'cloudtrace.googleapis.com';
+/* The backoff before the first retry of a failed publish */
+const INITIAL_RETRY_DELAY_MS = 1000;
+/* The upper bound on backoff between retries of a failed publish */
+const MAX_RETRY_DELAY_MS = 32000;
 
 export interface TraceWriterConfig {
   authOptions: GoogleAuthOptions;
   onUncaughtException: string;
   bufferSize: number;
   flushDelaySeconds: number;
+  maxPublishAttempts: number;
+  retryBufferSize: number;
+  retryBufferBytes: number;
+  flushTimeoutSeconds: number;
   stackTraceLimit: number;
   maximumLabelValueSize: number;
   serviceContext: {service?: string; version?: string; minorVersion?: string};
+  exporters: Array<SpanExporter | CloudTraceExporterName>;
 }
 
 export interface LabelObject {
   [key: string]: string;
 }
 
+/**
+ * A serialized batch of traces to be published to the Stackdriver Trace API.
+ */
+interface PublishBatch {
+  json: string;
+  numSpans: number;
+  numBytes: number;
+  /** The number of times that publishing this batch has been attempted. */
+  attempts: number;
+  /** The timer that schedules the next attempt, if the batch is queued. */
+  retryTimer?: NodeJS.Timer;
+}
+
+/**
+ * Returns the total number of spans in the given traces.
+ */
+function countSpans(traces: Trace[]): number {
+  return traces.reduce((numSpans, trace) => numSpans + trace.spans.length, 0);
+}
+
+/**
+ * Returns whether a publish that failed with the given status code (or
+ * undefined for errors without a response) should be retried.
+ */
+function isRetryable(statusCode?: number): boolean {
+  return !statusCode || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Converts the value of a Retry-After header, which is either a number of
+ * seconds or an HTTP date, to a delay in milliseconds.
+ */
+function parseRetryAfter(retryAfter?: string | string[]): number | null {
+  if (Array.isArray(retryAfter)) {
+    retryAfter = retryAfter[0];
+  }
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 export class TraceBuffer {
   /**
    * Buffered traces.
@@ -107,6 +167,28 @@ export class TraceWriter extends Service {
   private unhandledException?: () => void;
   /** Whether the trace writer is active */
   isActive: boolean;
+  /** Failed batches waiting to be published again, oldest first */
+  private retryQueue: PublishBatch[] = [];
+  /** Number of spans in retryQueue */
+  private numRetrySpans = 0;
+  /** Number of bytes in retryQueue */
+  private numRetryBytes = 0;
+  /**
+   * Number of publish requests that haven't completed, including calls to
+   * custom exporters and flushes waiting for a project ID
+   */
+  private numInFlightPublishes = 0;
+  /** Callbacks to invoke once there are no more batches to publish */
+  private idleListeners: Array<() => void> = [];
+  /** Number of spans that were dropped without being published */
+  private numDroppedSpans = 0;
+  /** Number of spans that were published successfully */
+  private numPublishedSpans = 0;
+  /** Counters for completed publish requests */
+  private publishSuccesses = 0;
+  private publishFailures = 0;
+  private totalPublishLatencyMillis = 0;
+  private lastPublishLatencyMillis = 0;
 
   /**
    * Constructs a new TraceWriter instance.
@@ -150,10 +232,10 @@ export class TraceWriter extends Service {
       this.unhandledException = () => {
         this.flushBuffer();
         if (onUncaughtException === 'flushAndExit') {
-          setTimeout(() => {
+          this.waitForPublishes(config.flushTimeoutSeconds * 1000).then(() => {
             // eslint-disable-next-line no-process-exit
             process.exit(1);
-          }, 2000);
+          });
         }
       };
       process.on('uncaughtException', this.unhandledException);
@@ -162,12 +244,84 @@ export class TraceWriter extends Service {
 
   stop(): void {
     this.isActive = false;
+    while (this.retryQueue.length > 0) {
+      const batch = this.dequeueRetry(this.retryQueue[0]);
+      clearTimeout(batch.retryTimer!);
+      this.dropBatch(batch, 'the trace writer was stopped');
+    }
+    this.notifyIfIdle();
   }
 
   getConfig(): TraceWriterConfig {
     return this.config;
   }
 
+  /**
+   * Gets the number of spans that were dropped without being published,
+   * either because publishing them failed or because no project ID was
+   * available.
+   */
+  getNumDroppedSpans(): number {
+    return this.numDroppedSpans;
+  }
+
+  /**
+   * Gets counters describing how traces were published. Every call to an
+   * exporter is counted as a publish.
+   */
+  getStats(): PublishStats {
+    return {
+      bufferedSpans: this.buffer.getNumSpans(),
+      retryQueueSpans: this.numRetrySpans,
+      publishSuccesses: this.publishSuccesses,
+      publishFailures: this.publishFailures,
+      totalPublishLatencyMillis: this.totalPublishLatencyMillis,
+      lastPublishLatencyMillis: this.lastPublishLatencyMillis,
+      droppedSpans: this.numDroppedSpans,
+      publishedSpans: this.numPublishedSpans,
+    };
+  }
+
+  /**
+   * Publishes the buffered traces immediately, and returns a Promise that
+   * resolves once publishing has finished as in waitForPublishes. The Promise
+   * resolves with the number of spans that were published and dropped while
+   * waiting, which may include spans flushed earlier.
+   * @param timeoutMillis The maximum amount of time to wait.
+   */
+  async flush(timeoutMillis: number): Promise<FlushResult> {
+    const publishedSpans = this.numPublishedSpans;
+    const droppedSpans = this.numDroppedSpans;
+    this.flushBuffer();
+    await this.waitForPublishes(timeoutMillis);
+    return {
+      sentSpans: this.numPublishedSpans - publishedSpans,
+      droppedSpans: this.numDroppedSpans - droppedSpans,
+    };
+  }
+
+  /**
+   * Returns a Promise that resolves once every publish request has completed
+   * and no failed batches are waiting to be retried, or once the given
+   * timeout has elapsed.
+   * @param timeoutMillis The maximum amount of time to wait.
+   */
+  waitForPublishes(timeoutMillis: number): Promise<void> {
+    if (this.numInFlightPublishes === 0 && this.retryQueue.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      // This timer is intentionally not unref'd, as it keeps the process
+      // alive while publishing finishes.
+      const timer = setTimeout(done, timeoutMillis);
+      function done() {
+        clearTimeout(timer);
+        resolve();
+      }
+      this.idleListeners.push(done);
+    });
+  }
+
   async initialize(): Promise<void> {
     // Schedule periodic flushing of the buffer, but only if we are able to get
     // the project number (potentially from the network.)
@@ -175,6 +329,16 @@ export class TraceWriter extends Service {
       try {
         await this.getProjectId();
       } catch (err) {
+        if (!this.exportsToCloudTrace()) {
+          // Only the Stackdriver Trace API requires a project ID.
+          this.logger.warn(
+            'TraceWriter#initialize: Unable to acquire the project number.',
+            `Traces will be exported without one. Original error: ${err}`
+          );
+          this.projectId = '';
+          this.scheduleFlush();
+          return;
+        }
         this.logger.error(
           'TraceWriter#initialize: Unable to acquire the project number',
           'automatically from the GCP metadata service. Please provide a',
@@ -280,11 +444,13 @@ export class TraceWriter extends Service {
       }
     });
 
-    this.buffer.add({
+    const publishableTrace = {
       traceId: trace.traceId,
       projectId: trace.projectId,
       spans: publishableSpans,
-    });
+    };
+    this.buffer.add(publishableTrace);
+    debugPage.recordTrace(publishableTrace);
     this.logger.info(
       `TraceWriter#writeTrace: number of buffered spans = ${this.buffer.getNumSpans()}`
     );
@@ -333,7 +499,7 @@ export class TraceWriter extends Service {
         'TraceWriter#flushBuffer: Flushing traces',
         flushedTraces
       );
-      this.publish(JSON.stringify({traces: flushedTraces}));
+      this.export(flushedTraces);
     };
 
     // TODO(kjin): We should always be following the 'else' path.
@@ -343,33 +509,111 @@ export class TraceWriter extends Service {
     if (this.projectId !== NO_PROJECT_ID_TOKEN) {
       afterProjectId(this.projectId);
     } else {
-      this.getProjectId().then(afterProjectId, () => {
-        // Because failing to get a project ID means that the trace agent will
-        // get disabled, there is a very small window for this code path to be
-        // taken. For this reason we don't do anything more complex than just
-        // notifying that we are dropping the current traces.
-        this.logger.info(
-          'TraceWriter#flushBuffer: No project ID, dropping traces.'
-        );
-      });
+      this.numInFlightPublishes++;
+      this.getProjectId()
+        .then(afterProjectId, () => {
+          // Because failing to get a project ID means that the trace agent
+          // will get disabled, there is a very small window for this code path
+          // to be taken. For this reason we don't do anything more complex
+          // than just notifying that we are dropping the current traces.
+          this.logger.info(
+            'TraceWriter#flushBuffer: No project ID, dropping traces.'
+          );
+          this.numDroppedSpans += countSpans(flushedTraces);
+        })
+        .then(() => {
+          this.numInFlightPublishes--;
+          this.notifyIfIdle();
+        });
     }
   }
 
+  /**
+   * Whether flushed traces are published to the Stackdriver Trace API.
+   */
+  private exportsToCloudTrace(): boolean {
+    return this.config.exporters.indexOf('cloud-trace') !== -1;
+  }
+
+  /**
+   * Passes flushed traces to each configured exporter.
+   * @param traces The flushed traces.
+   */
+  private export(traces: Trace[]) {
+    this.config.exporters.forEach(exporter => {
+      if (exporter === 'cloud-trace') {
+        this.publish(JSON.stringify({traces}), countSpans(traces));
+        return;
+      }
+      const startTime = Date.now();
+      this.numInFlightPublishes++;
+      // Exporters that throw synchronously are treated as having rejected.
+      Promise.resolve()
+        .then(() => exporter.export(traces))
+        .then(
+          () => {
+            this.recordPublish(true, startTime);
+            this.numPublishedSpans += countSpans(traces);
+            this.logger.info(
+              `TraceWriter#export: Exported ${traces.length} traces.`
+            );
+          },
+          err => {
+            this.recordPublish(false, startTime);
+            this.numDroppedSpans += countSpans(traces);
+            this.logger.error(
+              `TraceWriter#export: Received error while exporting traces: ${err}`
+            );
+          }
+        )
+        .then(() => {
+          this.numInFlightPublishes--;
+          this.notifyIfIdle();
+        });
+    });
+  }
+
   /**
    * Publishes flushed traces to the network.
    * @param json The stringified json representation of the queued traces.
+   * @param numSpans The number of spans in the queued traces. If omitted,
+   * it is counted from json.
+   */
+  protected publish(json: string, numSpans?: number) {
+    if (numSpans === undefined) {
+      numSpans = countSpans((JSON.parse(json) as {traces: Trace[]}).traces);
+    }
+    this.sendBatch({
+      json,
+      numSpans,
+      numBytes: Buffer.byteLength(json),
+      attempts: 0,
+    });
+  }
+
+  /**
+   * Sends a batch of traces to the Stackdriver Trace API, queueing it to be
+   * retried if that fails.
+   * @param batch The batch to send.
    */
-  protected publish(json: string) {
+  private sendBatch(batch: PublishBatch) {
     const hostname = 'cloudtrace.googleapis.com';
     const uri = `https://${hostname}/v1/projects/${this.projectId}/traces`;
     const options: DecorateRequestOptions = {
       method: 'PATCH',
       uri,
-      body: json,
+      body: batch.json,
       headers,
     };
+    batch.attempts++;
+    this.numInFlightPublishes++;
     this.logger.info('TraceWriter#publish: Publishing to ' + uri);
+    const startTime = Date.now();
     this.request(options, (err, body?, response?) => {
+      this.numInFlightPublishes--;
+      this.recordPublish(!err, startTime);
+      // Errors for unsuccessful responses carry the response.
+      response = response || (err && (err as ApiError).response) || undefined;
       const statusCode = response && response.statusCode;
       if (err) {
         this.logger.error(
@@ -377,13 +621,110 @@ export class TraceWriter extends Service {
             statusCode ? `with status code ${statusCode}` : ''
           } while publishing traces to ${hostname}: ${err}`
         );
+        if (!isRetryable(statusCode)) {
+          this.dropBatch(batch, `status code ${statusCode} is not retryable`);
+        } else if (batch.attempts >= this.config.maxPublishAttempts) {
+          this.dropBatch(batch, `gave up after ${batch.attempts} attempts`);
+        } else {
+          this.enqueueRetry(
+            batch,
+            parseRetryAfter(response && response.headers['retry-after'])
+          );
+        }
       } else {
+        this.numPublishedSpans += batch.numSpans;
         this.logger.info(
           `TraceWriter#publish: Published w/ status code: ${statusCode}`
         );
       }
+      this.notifyIfIdle();
     });
   }
+
+  /**
+   * Queues a failed batch to be sent again after a delay, making room for it
+   * by dropping the oldest queued batches if needed.
+   * @param batch The batch that failed to be published.
+   * @param retryAfterMillis The delay requested by the server, if any.
+   */
+  private enqueueRetry(batch: PublishBatch, retryAfterMillis: number | null) {
+    if (
+      batch.numSpans > this.config.retryBufferSize ||
+      batch.numBytes > this.config.retryBufferBytes
+    ) {
+      this.dropBatch(batch, 'the batch is larger than the retry buffer');
+      return;
+    }
+    while (
+      this.numRetrySpans + batch.numSpans > this.config.retryBufferSize ||
+      this.numRetryBytes + batch.numBytes > this.config.retryBufferBytes
+    ) {
+      const oldest = this.dequeueRetry(this.retryQueue[0]);
+      clearTimeout(oldest.retryTimer!);
+      this.dropBatch(oldest, 'the retry buffer is full');
+    }
+    let delay = retryAfterMillis;
+    if (delay === null) {
+      // Exponential backoff with full jitter.
+      const maxDelay = Math.min(
+        MAX_RETRY_DELAY_MS,
+        INITIAL_RETRY_DELAY_MS * Math.pow(2, batch.attempts - 1)
+      );
+      delay = Math.random() * maxDelay;
+    }
+    this.logger.info(
+      `TraceWriter#enqueueRetry: Retrying publish of ${batch.numSpans} spans in ${delay} ms.`
+    );
+    this.retryQueue.push(batch);
+    this.numRetrySpans += batch.numSpans;
+    this.numRetryBytes += batch.numBytes;
+    batch.retryTimer = global
+      .setTimeout(() => {
+        this.dequeueRetry(batch);
+        this.sendBatch(batch);
+      }, delay)
+      .unref();
+  }
+
+  /**
+   * Removes a batch from the retry queue.
+   * @param batch The batch to remove.
+   */
+  private dequeueRetry(batch: PublishBatch): PublishBatch {
+    this.retryQueue.splice(this.retryQueue.indexOf(batch), 1);
+    this.numRetrySpans -= batch.numSpans;
+    this.numRetryBytes -= batch.numBytes;
+    return batch;
+  }
+
+  private recordPublish(succeeded: boolean, startTime: number) {
+    const latency = Date.now() - startTime;
+    if (succeeded) {
+      this.publishSuccesses++;
+    } else {
+      this.publishFailures++;
+    }
+    this.totalPublishLatencyMillis += latency;
+    this.lastPublishLatencyMillis = latency;
+  }
+
+  private dropBatch(batch: PublishBatch, reason: string) {
+    this.numDroppedSpans += batch.numSpans;
+    this.logger.warn(
+      `TraceWriter#publish: Dropping ${batch.numSpans} spans because ${reason}.`
+    );
+  }
+
+  /**
+   * Invokes listeners waiting for publishing to finish, if it has.
+   */
+  private notifyIfIdle() {
+    if (this.numInFlightPublishes === 0 && this.retryQueue.length === 0) {
+      const listeners = this.idleListeners;
+      this.idleListeners = [];
+      listeners.forEach(listener => listener());
+    }
+  }
 }
 
 export const traceWriter = new Singleton(TraceWriter);
@@ -1,6 +1,5 @@
-import {RequestDetails, TracePolicy} from './config';
+import {RequestDetails, SamplingRule, TracePolicy} from './config';
 import {Constants} from './constants';
-import {TraceContext} from './util';
 
 // Copyright 2015 Google LLC
 //
@@ -41,7 +40,20 @@ interface TracePolicyPredicate<T> {
   shouldTrace: (value: T) => boolean;
 }
 
-class Sampler implements TracePolicyPredicate<number> {
+const NEVER: TracePolicyPredicate<RequestDetails> = {shouldTrace: () => false};
+const ALWAYS: TracePolicyPredicate<RequestDetails> = {shouldTrace: () => true};
+
+/**
+ * Returns whether a value exactly matches a string, or partially matches a
+ * regular expression (in either string or RegExp form).
+ */
+function matchesPattern(value: string, pattern: string | RegExp): boolean {
+  return (
+    (typeof pattern === 'string' && pattern === value) || !!value.match(pattern)
+  );
+}
+
+class Sampler implements TracePolicyPredicate<RequestDetails> {
   private readonly traceWindow: number;
   private nextTraceStart: number;
 
@@ -53,46 +65,88 @@ class Sampler implements TracePolicyPredicate<number> {
     this.nextTraceStart = Date.now();
   }
 
-  shouldTrace(dateMillis: number): boolean {
-    if (dateMillis < this.nextTraceStart) {
+  shouldTrace({timestamp}: RequestDetails): boolean {
+    if (timestamp < this.nextTraceStart) {
       return false;
     }
-    this.nextTraceStart = dateMillis + this.traceWindow;
+    this.nextTraceStart = timestamp + this.traceWindow;
     return true;
   }
 }
 
-class URLFilter implements TracePolicyPredicate<string> {
-  constructor(private readonly filterUrls: Array<string | RegExp>) {}
+/**
+ * Samples a fixed fraction of traces, based on the lowest 32 bits of the
+ * trace ID.
+ */
+class RatioSampler implements TracePolicyPredicate<RequestDetails> {
+  private static readonly RANGE = 0x100000000;
+  private readonly threshold: number;
 
-  shouldTrace(url: string) {
-    return !this.filterUrls.some(candidate => {
-      return (
-        (typeof candidate === 'string' && candidate === url) ||
-        !!url.match(candidate)
-      );
-    });
+  constructor(ratio: number) {
+    this.threshold = Math.max(0, Math.min(1, ratio)) * RatioSampler.RANGE;
+  }
+
+  shouldTrace({traceId, traceContext}: RequestDetails): boolean {
+    if (!traceId && traceContext) {
+      traceId = traceContext.traceId;
+    }
+    let value = traceId ? parseInt(traceId.slice(-8), 16) : NaN;
+    if (isNaN(value)) {
+      // Without a trace ID, the decision can't be consistent anyway.
+      value = Math.floor(Math.random() * RatioSampler.RANGE);
+    }
+    return value < this.threshold;
   }
 }
 
-class MethodsFilter implements TracePolicyPredicate<string> {
-  constructor(private readonly filterMethods: string[]) {}
+/**
+ * A sampling rule, with a sampler that decides whether matching requests are
+ * traced.
+ */
+interface SamplingRulePredicate {
+  matches: (requestDetails: RequestDetails) => boolean;
+  sampler: TracePolicyPredicate<RequestDetails>;
+}
 
-  shouldTrace(method: string) {
-    return !this.filterMethods.some(candidate => {
-      return candidate.toLowerCase() === method.toLowerCase();
-    });
+function createSamplingRulePredicate(
+  rule: SamplingRule
+): SamplingRulePredicate {
+  const {url, name, ratio, maxTracesPerSecond} = rule;
+  if ((ratio === undefined) === (maxTracesPerSecond === undefined)) {
+    throw new Error(
+      'Sampling rules must specify exactly one of ratio and maxTracesPerSecond.'
+    );
+  }
+  const method = rule.method && rule.method.toLowerCase();
+  let sampler: TracePolicyPredicate<RequestDetails>;
+  if (ratio !== undefined) {
+    sampler = new RatioSampler(ratio);
+  } else if (maxTracesPerSecond! > 0) {
+    sampler = new Sampler(maxTracesPerSecond!);
+  } else {
+    sampler = NEVER;
   }
+  return {
+    matches: requestDetails =>
+      (url === undefined || matchesPattern(requestDetails.url, url)) &&
+      (!method || requestDetails.method.toLowerCase() === method) &&
+      (name === undefined ||
+        matchesPattern(
+          (requestDetails.options as {name?: string}).name || '',
+          name
+        )),
+    sampler,
+  };
 }
 
 class ContextHeaderFilter
-  implements TracePolicyPredicate<Required<TraceContext> | null>
+  implements TracePolicyPredicate<RequestDetails['traceContext']>
 {
   constructor(
     private readonly contextHeaderBehavior: TraceContextHeaderBehavior
   ) {}
 
-  shouldTrace(header: Required<TraceContext> | null) {
+  shouldTrace(header: RequestDetails['traceContext']) {
     switch (this.contextHeaderBehavior) {
       case TraceContextHeaderBehavior.IGNORE: {
         return true;
@@ -120,9 +174,14 @@ class ContextHeaderFilter
  */
 export interface TracePolicyConfig {
   /**
-   * A field that controls time-based sampling.
+   * A field that controls time-based sampling of requests that don't match
+   * any sampling rule.
    */
   samplingRate: number;
+  /**
+   * An ordered list of rules that control sampling of matching requests.
+   */
+  samplingRules: SamplingRule[];
   /**
    * A field that controls a url-based filter.
    */
@@ -141,33 +200,46 @@ export interface TracePolicyConfig {
  * A class that makes decisions about whether a trace should be created.
  */
 export class BuiltinTracePolicy implements TracePolicy {
-  private readonly sampler: TracePolicyPredicate<number>;
-  private readonly urlFilter: TracePolicyPredicate<string>;
-  private readonly methodsFilter: TracePolicyPredicate<string>;
-  private readonly contextHeaderFilter: TracePolicyPredicate<Required<TraceContext> | null>;
+  private readonly rules: SamplingRulePredicate[] = [];
+  private readonly contextHeaderFilter: TracePolicyPredicate<
+    RequestDetails['traceContext']
+  >;
 
   /**
    * Constructs a new TracePolicy instance.
    * @param config Configuration for the TracePolicy instance.
    */
   constructor(config: TracePolicyConfig) {
-    if (config.samplingRate === 0) {
-      this.sampler = {shouldTrace: () => true};
-    } else if (config.samplingRate < 0) {
-      this.sampler = {shouldTrace: () => false};
-    } else {
-      this.sampler = new Sampler(config.samplingRate);
+    // Ignored URLs and methods are rules that never sample, and take
+    // precedence over all others.
+    if (config.ignoreUrls.length > 0) {
+      this.rules.push({
+        matches: ({url}) =>
+          config.ignoreUrls.some(candidate => matchesPattern(url, candidate)),
+        sampler: NEVER,
+      });
     }
-    if (config.ignoreUrls.length === 0) {
-      this.urlFilter = {shouldTrace: () => true};
-    } else {
-      this.urlFilter = new URLFilter(config.ignoreUrls);
+    if (config.ignoreMethods.length > 0) {
+      const ignoreMethods = config.ignoreMethods.map(method =>
+        method.toLowerCase()
+      );
+      this.rules.push({
+        matches: ({method}) =>
+          ignoreMethods.indexOf(method.toLowerCase()) !== -1,
+        sampler: NEVER,
+      });
     }
-    if (config.ignoreMethods.length === 0) {
-      this.methodsFilter = {shouldTrace: () => true};
+    this.rules.push(...config.samplingRules.map(createSamplingRulePredicate));
+    // The default rule matches all requests.
+    let defaultSampler: TracePolicyPredicate<RequestDetails>;
+    if (config.samplingRate === 0) {
+      defaultSampler = ALWAYS;
+    } else if (config.samplingRate < 0) {
+      defaultSampler = NEVER;
     } else {
-      this.methodsFilter = new MethodsFilter(config.ignoreMethods);
+      defaultSampler = new Sampler(config.samplingRate);
     }
+    this.rules.push({matches: () => true, sampler: defaultSampler});
     if (config.contextHeaderBehavior === TraceContextHeaderBehavior.IGNORE) {
       this.contextHeaderFilter = {shouldTrace: () => true};
     } else {
@@ -183,18 +255,19 @@ export class BuiltinTracePolicy implements TracePolicy {
    *                created.
    */
   shouldTrace(options: RequestDetails): boolean {
-    return (
-      this.urlFilter.shouldTrace(options.url) &&
-      this.methodsFilter.shouldTrace(options.method) &&
-      this.contextHeaderFilter.shouldTrace(options.traceContext) &&
-      this.sampler.shouldTrace(options.timestamp)
-    );
+    if (!this.contextHeaderFilter.shouldTrace(options.traceContext)) {
+      return false;
+    }
+    // The last rule matches all requests.
+    const rule = this.rules.find(rule => rule.matches(options))!;
+    return rule.sampler.shouldTrace(options);
   }
 }
 
 export function alwaysTrace(): BuiltinTracePolicy {
   return new BuiltinTracePolicy({
     samplingRate: 0,
+    samplingRules: [],
     ignoreUrls: [],
     ignoreMethods: [],
     contextHeaderBehavior: TraceContextHeaderBehavior.DEFAULT,
@@ -204,6 +277,7 @@ export function alwaysTrace(): BuiltinTracePolicy {
 export function neverTrace(): BuiltinTracePolicy {
   return new BuiltinTracePolicy({
     samplingRate: -1,
+    samplingRules: [],
     ignoreUrls: [],
     ignoreMethods: [],
     contextHeaderBehavior: TraceContextHeaderBehavior.DEFAULT,
@@ -12,12 +12,18 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import {StackdriverFormat} from '@opencensus/propagation-stackdriver';
+import * as builtinModules from 'builtin-modules';
 import * as path from 'path';
 
 import {cls, TraceCLSConfig} from './cls';
-import {OpenCensusPropagation, TracePolicy} from './config';
+import {OpenCensusPropagation, PropagationFormat, TracePolicy} from './config';
+import {debugPage, DebugPageConfig} from './debug-page';
 import {LEVELS, Logger} from './logger';
+import {createPropagation} from './propagation';
+import {LabelRedactor, LabelRedactorConfig} from './redaction';
+import {spanMetrics, SpanMetricsConfig} from './span-metrics';
+import {AgentStats, spanStats} from './stats';
+import {TailSampler, TailSamplerConfig} from './tail-sampling';
 import {StackdriverTracer} from './trace-api';
 import {pluginLoader, PluginLoaderConfig} from './trace-plugin-loader';
 import {traceWriter, TraceWriterConfig} from './trace-writer';
@@ -29,6 +35,16 @@ export type TopLevelConfig =
       enabled: boolean;
       logLevel: number;
       disableUntracedModulesWarning: boolean;
+      propagationFormat: PropagationFormat;
+      tailSamplerConfig: TailSamplerConfig | null;
+      labelRedactorConfig: LabelRedactorConfig | null;
+      debugPageConfig: DebugPageConfig | null;
+      spanMetricsConfig: SpanMetricsConfig | null;
+      statsConfig: {
+        intervalSeconds: number;
+        onStats?: (stats: AgentStats) => void;
+      };
+      flushOnExit: boolean;
       clsConfig: Forceable<TraceCLSConfig>;
       writerConfig: Forceable<TraceWriterConfig>;
       pluginLoaderConfig: Forceable<PluginLoaderConfig>;
@@ -50,6 +66,13 @@ export class Tracing implements Component {
   private readonly logger: Logger;
   /** The configuration object for this instance. */
   private readonly config: Forceable<TopLevelConfig>;
+  /** The timer that periodically reports stats, if any. */
+  private statsTimer: NodeJS.Timer | null = null;
+  /** Listeners added to the process by flushOnExit, if any. */
+  private exitListeners: {
+    onSigterm: () => void;
+    onBeforeExit: () => void;
+  } | null = null;
 
   /**
    * Constructs a new Tracing instance.
@@ -113,9 +136,18 @@ export class Tracing implements Component {
     }
 
     // Initialize context propagation mechanism configuration.
+    let propagation: OpenCensusPropagation;
+    let tracePolicy: TracePolicy;
     try {
       traceWriter.create(this.config.writerConfig, this.logger);
       cls.create(this.config.clsConfig, this.logger);
+      propagation =
+        this.config.overrides.propagation ||
+        createPropagation(this.config.propagationFormat);
+      // This throws if the sampling rules are invalid.
+      tracePolicy =
+        this.config.overrides.tracePolicy ||
+        new BuiltinTracePolicy(this.config.tracePolicyConfig);
     } catch (e) {
       this.logger.error(
         'StackdriverTracer#start: Disabling the Trace Agent for the',
@@ -135,14 +167,30 @@ export class Tracing implements Component {
         this.disable();
       });
     cls.get().enable();
+    spanStats.reset();
+    // The debug page is enabled before plugins are loaded, so that it records
+    // which plugins are applied.
+    if (this.config.debugPageConfig) {
+      debugPage.enable(this.config.debugPageConfig, this.logger);
+    }
+    if (this.config.spanMetricsConfig) {
+      spanMetrics.enable(this.config.spanMetricsConfig);
+    }
 
-    const tracePolicy =
-      this.config.overrides.tracePolicy ||
-      new BuiltinTracePolicy(this.config.tracePolicyConfig);
-    const propagation =
-      this.config.overrides.propagation || new StackdriverFormat();
-
-    const tracerComponents = {logger: this.logger, tracePolicy, propagation};
+    const tailSampler = this.config.tailSamplerConfig
+      ? new TailSampler(this.config.tailSamplerConfig, this.logger)
+      : null;
+    const labelRedactor = this.config.labelRedactorConfig
+      ? new LabelRedactor(this.config.labelRedactorConfig, this.logger)
+      : null;
+    const tracerComponents = {
+      logger: this.logger,
+      tracePolicy,
+      propagation,
+      tailSampler,
+      labelRedactor,
+      shutdown: () => this.disable(),
+    };
 
     this.traceAgent.enable(
       this.config.pluginLoaderConfig.tracerConfig,
@@ -153,9 +201,19 @@ export class Tracing implements Component {
       .activate();
 
     // Require http and https again, now that the plugin loader is activated.
-    // This forces them to be patched.
+    // This forces them to be patched. The same goes for diagnostics_channel,
+    // which the global fetch function uses without requiring it.
     require('http');
     require('https');
+    if (builtinModules.indexOf('diagnostics_channel') !== -1) {
+      require('diagnostics_channel');
+    }
+    // A child process receives messages from its parent without requiring
+    // child_process, so require it to patch the process object if its plugin
+    // is loaded.
+    if (this.config.pluginLoaderConfig.plugins.child_process) {
+      require('child_process');
+    }
 
     if (
       typeof this.config.writerConfig.authOptions.projectId !== 'string' &&
@@ -169,6 +227,25 @@ export class Tracing implements Component {
       return;
     }
 
+    const {intervalSeconds, onStats} = this.config.statsConfig;
+    if (onStats) {
+      this.statsTimer = global
+        .setInterval(() => {
+          try {
+            onStats(this.traceAgent.getStats());
+          } catch (err) {
+            this.logger.error(
+              `StackdriverTracer#start: Error thrown by config.onStats: ${err}`
+            );
+          }
+        }, intervalSeconds * 1000)
+        .unref();
+    }
+
+    if (this.config.flushOnExit) {
+      this.addExitListeners();
+    }
+
     // Make trace agent available globally without requiring package
     global._google_trace_agent = this.traceAgent;
 
@@ -193,6 +270,56 @@ export class Tracing implements Component {
     if (traceWriter.exists()) {
       traceWriter.get().stop();
     }
+    if (this.statsTimer) {
+      clearInterval(this.statsTimer);
+      this.statsTimer = null;
+    }
+    debugPage.disable();
+    spanMetrics.disable();
+    this.removeExitListeners();
+  }
+
+  /**
+   * Adds listeners that shut the Trace Agent down before the process exits.
+   */
+  private addExitListeners() {
+    const onShutdownError = (err: Error) => {
+      this.logger.error(
+        `StackdriverTracer#addExitListeners: Error shutting down: ${err}`
+      );
+    };
+    // Each listener removes the listeners before shutting down, so that they
+    // don't run again even if shutting down fails.
+    const onSigterm = () => {
+      this.removeExitListeners();
+      this.traceAgent
+        .shutdown()
+        .catch(onShutdownError)
+        .finally(() => {
+          // Adding a listener for SIGTERM prevents the process from being
+          // terminated by it, so the signal is raised again unless the
+          // application listens for it too.
+          if (process.listenerCount('SIGTERM') === 0) {
+            process.kill(process.pid, 'SIGTERM');
+          }
+        });
+    };
+    const onBeforeExit = () => {
+      // The process exits the next time that its event loop empties.
+      this.removeExitListeners();
+      this.traceAgent.shutdown().catch(onShutdownError);
+    };
+    process.on('SIGTERM', onSigterm);
+    process.on('beforeExit', onBeforeExit);
+    this.exitListeners = {onSigterm, onBeforeExit};
+  }
+
+  private removeExitListeners() {
+    if (this.exitListeners) {
+      process.removeListener('SIGTERM', this.exitListeners.onSigterm);
+      process.removeListener('beforeExit', this.exitListeners.onBeforeExit);
+      this.exitListeners = null;
+    }
   }
 }
 
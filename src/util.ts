@@ -156,6 +156,11 @@ export interface TraceContext {
   traceId: string;
   spanId: string;
   options?: number;
+  /**
+   * Vendor-specific trace state, as carried by the W3C tracestate header. This
+   * is passed along unchanged to outgoing requests.
+   */
+  traceState?: string;
 }
 
 /**
@@ -282,6 +287,51 @@ export function createStackTrace(
   return stackFrames;
 }
 
+// Matches frames of the form "at name (file:line:column)" or
+// "at file:line:column" in stack traces formatted by V8.
+const STACK_FRAME_REGEX = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+
+/**
+ * Creates a StackFrame object from the stack property of an Error, as
+ * formatted by V8. Lines that don't describe a source location are skipped.
+ * @param stack The stack property of an Error.
+ * @param numFrames The number of frames to retain.
+ */
+export function parseStackTrace(
+  stack: string,
+  numFrames: number
+): StackFrame[] {
+  const stackFrames: StackFrame[] = [];
+  for (const line of stack.split('\n')) {
+    if (stackFrames.length >= numFrames) {
+      break;
+    }
+    const matches = line.match(STACK_FRAME_REGEX);
+    if (!matches) {
+      continue;
+    }
+    const [, name, fileName, lineNumber, columnNumber] = matches;
+    stackFrames.push({
+      method_name: name || '<anonymous function>',
+      file_name: fileName,
+      line_number: Number(lineNumber),
+      column_number: Number(columnNumber),
+    });
+  }
+  return stackFrames;
+}
+
+/**
+ * Converts a span ID from its decimal representation to a length-16
+ * hexadecimal string.
+ * @param spanId The span ID as a decimal string.
+ */
+export function spanIdToHex(spanId: string): string {
+  // decToHex prepends its output with '0x', so we slice that off before left
+  // padding it.
+  return `0000000000000000${decToHex(spanId).slice(2)}`.slice(-16);
+}
+
 /**
  * Serialize the given trace context into a Buffer.
  * @param traceContext The trace context to serialize.
@@ -303,13 +353,7 @@ export function serializeTraceContext(traceContext: TraceContext): Buffer {
   const result = Buffer.alloc(29, 0);
   result.write(traceContext.traceId, 2, 16, 'hex');
   result.writeUInt8(1, 18);
-  // Convert Span ID from decimal to base 16 representation, then left pad into
-  // a length-16 hex string. (decToHex prepends its output with '0x', so we
-  // also slice that off.)
-  const base16SpanId = `0000000000000000${decToHex(traceContext.spanId).slice(
-    2
-  )}`.slice(-16);
-  result.write(base16SpanId, 19, 8, 'hex');
+  result.write(spanIdToHex(traceContext.spanId), 19, 8, 'hex');
   result.writeUInt8(2, 27);
   result.writeUInt8(traceContext.options || 0, 28);
   return result;
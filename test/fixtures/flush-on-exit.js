@@ -0,0 +1,56 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// Records a trace with flushOnExit on, and then either lets the event loop
+// empty, or waits to be terminated if 'SIGTERM' is passed as an argument.
+// Flushing fails if 'fail-flush' is passed as an argument. Exported spans are
+// reported on stdout.
+var agent = require('../../..').start({
+  projectId: '0',
+  samplingRate: 0,
+  logLevel: 0,
+  flushOnExit: true,
+  exporters: [
+    {
+      export: function (traces) {
+        return new Promise(function (resolve) {
+          setTimeout(function () {
+            var numSpans = traces.reduce(function (sum, trace) {
+              return sum + trace.spans.length;
+            }, 0);
+            console.log('exported ' + numSpans + ' spans');
+            resolve();
+          }, 100);
+        });
+      },
+    },
+  ],
+});
+
+if (process.argv.indexOf('fail-flush') !== -1) {
+  agent.flush = function () {
+    return Promise.reject(new Error('flush failed'));
+  };
+}
+
+agent.runInRootSpan({name: 'root'}, function (rootSpan) {
+  agent.createChildSpan({name: 'child'}).endSpan();
+  rootSpan.endSpan();
+});
+
+if (process.argv.indexOf('SIGTERM') !== -1) {
+  setInterval(function () {}, 1000);
+  console.log('ready');
+}
@@ -0,0 +1,46 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// Run as a worker thread or a forked child process. Reports the trace context
+// of a root span started on startup, and of each message from its parent.
+var agent = require('../../..').start({
+  projectId: '0',
+  samplingRate: 0,
+  logLevel: 0,
+  workerContextPropagation: true,
+});
+var workerThreads = require('worker_threads');
+
+var port = workerThreads.isMainThread ? process : workerThreads.parentPort;
+function reply(message) {
+  if (workerThreads.isMainThread) {
+    process.send(message);
+  } else {
+    workerThreads.parentPort.postMessage(message);
+  }
+}
+
+reply({
+  traceContext: agent.runInRootSpan({name: 'started'}, function (rootSpan) {
+    rootSpan.endSpan();
+    return rootSpan.getTraceContext();
+  }),
+});
+port.on('message', function (message) {
+  reply({
+    message: message,
+    traceContext: agent.getCurrentRootSpan().getTraceContext(),
+  });
+});
@@ -0,0 +1,243 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it, before, after, beforeEach} from 'mocha';
+import {Writable} from 'stream';
+
+import {PluginTypes} from '../../src';
+import {Logger} from '../../src/logger';
+import {TraceWriterConfig} from '../../src/trace-writer';
+import {spanIdToHex} from '../../src/util';
+import * as testTraceModule from '../trace';
+import {describeInterop} from '../utils';
+
+type LogRecord = {[key: string]: unknown};
+
+// The subsets of the logger types used by this test.
+interface WinstonLogger {
+  info(message: string, meta?: object): void;
+  child(meta: object): WinstonLogger;
+}
+interface Winston {
+  createLogger(options: {
+    format: unknown;
+    transports: unknown[];
+  }): WinstonLogger;
+  format: {json(): unknown};
+  transports: {Stream: new (options: {stream: Writable}) => unknown};
+}
+interface BunyanLogger {
+  info(fields: object, message: string): void;
+  info(message: string): void;
+  child(fields: object): BunyanLogger;
+}
+interface Bunyan {
+  createLogger(options: {
+    name: string;
+    streams: Array<{type: string; stream: {write(rec: LogRecord): void}}>;
+  }): BunyanLogger;
+}
+interface PinoLogger {
+  info(fields: object, message: string): void;
+  info(message: string): void;
+  child(fields: object): PinoLogger;
+}
+type Pino = (...args: unknown[]) => PinoLogger;
+
+const TRACE_FIELD = 'logging.googleapis.com/trace';
+const SPAN_ID_FIELD = 'logging.googleapis.com/spanId';
+const SAMPLED_FIELD = 'logging.googleapis.com/trace_sampled';
+
+describe('log correlation', () => {
+  // The project ID is usually discovered when the agent starts.
+  class ProjectIdTraceWriter extends testTraceModule.TestTraceWriter {
+    constructor(config: TraceWriterConfig, logger: Logger) {
+      super(config, logger);
+      this.projectId = 'project-1';
+    }
+  }
+  let tracer: PluginTypes.Tracer;
+
+  before(() => {
+    testTraceModule.setCLSForTest();
+    testTraceModule.setPluginLoaderForTest();
+    testTraceModule.setTraceWriterForTest(ProjectIdTraceWriter);
+    tracer = testTraceModule.start({logCorrelation: true});
+  });
+
+  after(() => {
+    testTraceModule.setCLSForTest(testTraceModule.TestCLS);
+    testTraceModule.setPluginLoaderForTest(testTraceModule.TestPluginLoader);
+    testTraceModule.setTraceWriterForTest(testTraceModule.TestTraceWriter);
+  });
+
+  /**
+   * Runs the given function in a root span, and returns the log correlation
+   * fields expected for records written by the function.
+   */
+  function logInRootSpan(fn: () => void): LogRecord {
+    return tracer.runInRootSpan({name: 'root'}, rootSpan => {
+      fn();
+      const traceContext = rootSpan.getTraceContext()!;
+      rootSpan.endSpan();
+      return {
+        [TRACE_FIELD]: `projects/project-1/traces/${traceContext.traceId}`,
+        [SPAN_ID_FIELD]: spanIdToHex(traceContext.spanId),
+        [SAMPLED_FIELD]: true,
+      };
+    });
+  }
+
+  function assertHasFields(record: LogRecord, fields: LogRecord) {
+    for (const key of Object.keys(fields)) {
+      assert.strictEqual(record[key], fields[key]);
+    }
+  }
+
+  function assertHasNoFields(record: LogRecord) {
+    assert.ok(!(TRACE_FIELD in record));
+    assert.ok(!(SPAN_ID_FIELD in record));
+    assert.ok(!(SAMPLED_FIELD in record));
+  }
+
+  describeInterop<Winston>('winston', fixture => {
+    let winston: Winston;
+    let records: LogRecord[];
+    let logger: WinstonLogger;
+
+    before(() => {
+      winston = fixture.require();
+    });
+
+    beforeEach(() => {
+      records = [];
+      logger = winston.createLogger({
+        format: winston.format.json(),
+        transports: [
+          new winston.transports.Stream({
+            stream: new Writable({
+              write(chunk, encoding, callback) {
+                records.push(JSON.parse(chunk.toString()));
+                callback();
+              },
+            }),
+          }),
+        ],
+      });
+    });
+
+    it('adds log correlation fields in a traced context', async () => {
+      const fields = logInRootSpan(() => {
+        logger.info('parent');
+        logger.child({}).info('child');
+      });
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(records.length, 2);
+      records.forEach(record => assertHasFields(record, fields));
+    });
+
+    it('keeps fields that a record already has', async () => {
+      logInRootSpan(() => logger.info('message', {[TRACE_FIELD]: 'mine'}));
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(records[0][TRACE_FIELD], 'mine');
+    });
+
+    it("doesn't add log correlation fields outside of a traced context", async () => {
+      logger.info('message');
+      await new Promise(resolve => setImmediate(resolve));
+      assertHasNoFields(records[0]);
+    });
+  });
+
+  describeInterop<Bunyan>('bunyan', fixture => {
+    let bunyan: Bunyan;
+    let records: LogRecord[];
+    let logger: BunyanLogger;
+
+    before(() => {
+      bunyan = fixture.require();
+    });
+
+    beforeEach(() => {
+      records = [];
+      logger = bunyan.createLogger({
+        name: 'test',
+        streams: [{type: 'raw', stream: {write: rec => records.push(rec)}}],
+      });
+    });
+
+    it('adds log correlation fields in a traced context', () => {
+      const fields = logInRootSpan(() => {
+        logger.info('parent');
+        logger.child({}).info('child');
+      });
+      assert.strictEqual(records.length, 2);
+      records.forEach(record => assertHasFields(record, fields));
+    });
+
+    it('keeps fields that a record already has', () => {
+      logInRootSpan(() => logger.info({[TRACE_FIELD]: 'mine'}, 'message'));
+      assert.strictEqual(records[0][TRACE_FIELD], 'mine');
+    });
+
+    it("doesn't add log correlation fields outside of a traced context", () => {
+      logger.info('message');
+      assertHasNoFields(records[0]);
+    });
+  });
+
+  describeInterop<Pino>('pino', fixture => {
+    let pino: Pino;
+    let records: LogRecord[];
+    let destination: {write(line: string): void};
+
+    before(() => {
+      pino = fixture.require();
+    });
+
+    beforeEach(() => {
+      records = [];
+      destination = {write: line => records.push(JSON.parse(line))};
+    });
+
+    it('adds log correlation fields in a traced context', () => {
+      const logger = pino(destination);
+      const fields = logInRootSpan(() => {
+        logger.info('parent');
+        logger.child({}).info('child');
+      });
+      assert.strictEqual(records.length, 2);
+      records.forEach(record => assertHasFields(record, fields));
+    });
+
+    it('keeps the mixin option', () => {
+      const logger = pino({mixin: () => ({mixed: true})}, destination);
+      const fields = logInRootSpan(() => logger.info('message'));
+      assertHasFields(records[0], fields);
+      assert.strictEqual(records[0].mixed, true);
+    });
+
+    it('keeps fields that a record already has', () => {
+      const logger = pino(destination);
+      logInRootSpan(() => logger.info({[TRACE_FIELD]: 'mine'}, 'message'));
+      assert.strictEqual(records[0][TRACE_FIELD], 'mine');
+    });
+
+    it("doesn't add log correlation fields outside of a traced context", () => {
+      pino(destination).info('message');
+      assertHasNoFields(records[0]);
+    });
+  });
+});
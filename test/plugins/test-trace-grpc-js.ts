@@ -0,0 +1,446 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as protoLoader from '@grpc/proto-loader';
+import * as assert from 'assert';
+import {EventEmitter} from 'events';
+import {describe, it, before, after, afterEach} from 'mocha';
+
+import {Constants} from '../../src/constants';
+import {PluginTypes} from '../../src';
+import {SpanKind, TraceSpan} from '../../src/trace';
+import {TraceLabels} from '../../src/trace-labels';
+import {deserializeTraceContext} from '../../src/util';
+import * as testTraceModule from '../trace';
+import {describeInterop} from '../utils';
+
+// The subset of @grpc/grpc-js used in this test. The module is loaded from a
+// test fixture, so its typings aren't available at compile time.
+type TestMessage = {n: number};
+type Callback = (err: Error | null, res?: TestMessage) => void;
+interface Metadata {
+  get(key: string): Array<string | Buffer>;
+  set(key: string, value: string | Buffer): void;
+}
+interface StatusObject {
+  code: number;
+  details: string;
+}
+interface WritableCall extends EventEmitter {
+  write(message: TestMessage): boolean;
+  end(): void;
+}
+interface ServerCall extends WritableCall {
+  metadata: Metadata;
+  request: TestMessage;
+}
+interface Server {
+  addService(
+    service: protoLoader.PackageDefinition[string],
+    implementation: {[methodName: string]: Function}
+  ): void;
+  bindAsync(
+    port: string,
+    creds: unknown,
+    callback: (err: Error | null, port: number) => void
+  ): void;
+  start(): void;
+  forceShutdown(): void;
+}
+interface Grpc {
+  Metadata: {new (): Metadata};
+  Server: {new (): Server};
+  ServerCredentials: {createInsecure(): unknown};
+  credentials: {createInsecure(): unknown};
+  status: {OK: number};
+  makeGenericClientConstructor(
+    service: protoLoader.PackageDefinition[string],
+    serviceName: string,
+    classOptions: {}
+  ): {new (address: string, credentials: unknown): {close(): void}};
+}
+type TesterClient = {
+  close(): void;
+  testUnary(arg: TestMessage, metadata: Metadata, cb: Callback): EventEmitter;
+  testUnary(arg: TestMessage, cb: Callback): EventEmitter;
+  testClientStream(cb: Callback): WritableCall;
+  testServerStream(arg: TestMessage): EventEmitter;
+  testBidiStream(): WritableCall;
+};
+
+// When received in the 'n' field, the server should respond with an error.
+// (For client streaming methods, this would be the total sum of all requests)
+const EMIT_ERROR = 13412;
+const SPAN_NAME_PREFIX = 'grpc:/nodetest.Tester/';
+
+describeInterop<Grpc>('@grpc/grpc-js', fixture => {
+  let grpc: Grpc;
+  let tracer: PluginTypes.Tracer;
+  let server: Server;
+  let client: TesterClient;
+  // The metadata received by the server for each call.
+  const receivedMetadata: Metadata[] = [];
+
+  function createInnerSpan() {
+    tracer.createChildSpan({name: 'inner'}).endSpan();
+  }
+
+  before(async () => {
+    testTraceModule.setCLSForTest();
+    testTraceModule.setPluginLoaderForTest();
+    tracer = testTraceModule.start({enhancedDatabaseReporting: true});
+    grpc = fixture.require();
+    const proto = await protoLoader.load(
+      `${__dirname}/../fixtures/test-grpc.proto`
+    );
+    const testerService = proto['nodetest.Tester'];
+
+    server = new grpc.Server();
+    server.addService(testerService, {
+      testUnary: (call: ServerCall, cb: Callback) => {
+        receivedMetadata.push(call.metadata);
+        createInnerSpan();
+        if (call.request.n === EMIT_ERROR) {
+          cb(new Error('test'));
+        } else {
+          cb(null, {n: call.request.n});
+        }
+      },
+      testClientStream: (call: ServerCall, cb: Callback) => {
+        receivedMetadata.push(call.metadata);
+        let sum = 0;
+        call.on('data', (data: TestMessage) => {
+          sum += data.n;
+        });
+        call.on('end', () => {
+          // The context should be propagated to stream event handlers.
+          createInnerSpan();
+          if (sum === EMIT_ERROR) {
+            cb(new Error('test'));
+          } else {
+            cb(null, {n: sum});
+          }
+        });
+      },
+      testServerStream: (call: ServerCall) => {
+        receivedMetadata.push(call.metadata);
+        createInnerSpan();
+        if (call.request.n === EMIT_ERROR) {
+          call.emit('error', new Error('test'));
+        } else {
+          for (let i = 0; i < 10; i++) {
+            call.write({n: i});
+          }
+          call.end();
+        }
+      },
+      testBidiStream: (call: ServerCall) => {
+        receivedMetadata.push(call.metadata);
+        let sum = 0;
+        call.on('data', (data: TestMessage) => {
+          sum += data.n;
+          call.write({n: data.n});
+        });
+        call.on('end', () => {
+          createInnerSpan();
+          if (sum === EMIT_ERROR) {
+            call.emit('error', new Error('test'));
+          } else {
+            call.end();
+          }
+        });
+      },
+    });
+    const port = await new Promise<number>((resolve, reject) => {
+      server.bindAsync(
+        'localhost:0',
+        grpc.ServerCredentials.createInsecure(),
+        (err, port) => (err ? reject(err) : resolve(port))
+      );
+    });
+    // Newer versions start the server on bind, and deprecate start().
+    if (fixture.parsedVersion.major === 1 && fixture.parsedVersion.minor < 10) {
+      server.start();
+    }
+
+    // TesterClient is a class.
+    // tslint:disable-next-line:variable-name
+    const TesterClient = grpc.makeGenericClientConstructor(
+      testerService,
+      'Tester',
+      {}
+    );
+    client = new TesterClient(
+      `localhost:${port}`,
+      grpc.credentials.createInsecure()
+    ) as unknown as TesterClient;
+  });
+
+  after(() => {
+    client.close();
+    server.forceShutdown();
+    testTraceModule.setCLSForTest(testTraceModule.TestCLS);
+    testTraceModule.setPluginLoaderForTest(testTraceModule.TestPluginLoader);
+  });
+
+  afterEach(() => {
+    testTraceModule.clearTraceData();
+    receivedMetadata.length = 0;
+  });
+
+  function callUnary(n: number, metadata?: Metadata) {
+    return new Promise<TestMessage>((resolve, reject) => {
+      const cb = (err: Error | null, res?: TestMessage) =>
+        err ? reject(err) : resolve(res!);
+      if (metadata) {
+        client.testUnary({n}, metadata, cb);
+      } else {
+        client.testUnary({n}, cb);
+      }
+    });
+  }
+
+  function callClientStream(values: number[]) {
+    return new Promise<TestMessage>((resolve, reject) => {
+      const stream = client.testClientStream((err, res) =>
+        err ? reject(err) : resolve(res!)
+      );
+      for (const n of values) {
+        stream.write({n});
+      }
+      stream.end();
+    });
+  }
+
+  function callServerStream(n: number) {
+    return new Promise<number>((resolve, reject) => {
+      const stream = client.testServerStream({n});
+      let sum = 0;
+      stream.on('data', (data: TestMessage) => {
+        sum += data.n;
+      });
+      stream.on('error', reject);
+      stream.on('status', (status: StatusObject) => {
+        if (status.code === grpc.status.OK) {
+          resolve(sum);
+        }
+      });
+    });
+  }
+
+  function callBidi(values: number[]) {
+    return new Promise<number>((resolve, reject) => {
+      const stream = client.testBidiStream();
+      let sum = 0;
+      stream.on('data', (data: TestMessage) => {
+        sum += data.n;
+      });
+      stream.on('error', reject);
+      stream.on('status', (status: StatusObject) => {
+        if (status.code === grpc.status.OK) {
+          resolve(sum);
+        }
+      });
+      for (const n of values) {
+        stream.write({n});
+      }
+      stream.end();
+    });
+  }
+
+  /**
+   * Returns the client span and server root span for the given method, and
+   * checks that the server span is a child of the client span.
+   */
+  function getClientAndServerSpans(methodName: string) {
+    const name = SPAN_NAME_PREFIX + methodName;
+    const clientTrace = testTraceModule.getOneTrace(trace =>
+      trace.spans.some(
+        span => span.name === name && span.kind === SpanKind.RPC_CLIENT
+      )
+    );
+    const serverTrace = testTraceModule.getOneTrace(trace =>
+      trace.spans.some(
+        span => span.name === name && span.kind === SpanKind.RPC_SERVER
+      )
+    );
+    const clientSpan = clientTrace.spans.find(span => span.name === name)!;
+    const serverSpan = serverTrace.spans.find(span => span.name === name)!;
+    assert.strictEqual(serverTrace.traceId, clientTrace.traceId);
+    assert.strictEqual(serverSpan.parentSpanId, clientSpan.spanId);
+    // The server span should be the parent of the span created in the
+    // service method implementation.
+    assert.ok(
+      serverTrace.spans.some(
+        span => span.name === 'inner' && span.parentSpanId === serverSpan.spanId
+      )
+    );
+    return {clientSpan, serverSpan};
+  }
+
+  function assertError(span: TraceSpan) {
+    assert.ok(span.labels[TraceLabels.ERROR_DETAILS_MESSAGE].includes('test'));
+  }
+
+  describe('successful calls', () => {
+    it('traces unary calls', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        assert.deepStrictEqual(await callUnary(42), {n: 42});
+        rootSpan.endSpan();
+      });
+      const {clientSpan, serverSpan} = getClientAndServerSpans('TestUnary');
+      for (const span of [clientSpan, serverSpan]) {
+        assert.strictEqual(span.labels.argument, '{"n":42}');
+        assert.strictEqual(span.labels.result, '{"n":42}');
+      }
+      assert.strictEqual(
+        serverSpan.labels[TraceLabels.HTTP_METHOD_LABEL_KEY],
+        'POST'
+      );
+    });
+
+    it('traces client streaming calls', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        assert.deepStrictEqual(await callClientStream([1, 2, 3]), {n: 6});
+        rootSpan.endSpan();
+      });
+      const {clientSpan, serverSpan} =
+        getClientAndServerSpans('TestClientStream');
+      for (const span of [clientSpan, serverSpan]) {
+        assert.strictEqual(span.labels.result, '{"n":6}');
+      }
+    });
+
+    it('traces server streaming calls', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        assert.strictEqual(await callServerStream(42), 45);
+        rootSpan.endSpan();
+      });
+      const {clientSpan, serverSpan} =
+        getClientAndServerSpans('TestServerStream');
+      for (const span of [clientSpan, serverSpan]) {
+        assert.strictEqual(span.labels.argument, '{"n":42}');
+      }
+      assert.strictEqual(JSON.parse(clientSpan.labels.status).code, 0);
+    });
+
+    it('traces bidi streaming calls', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        assert.strictEqual(await callBidi([1, 2, 3]), 6);
+        rootSpan.endSpan();
+      });
+      const {clientSpan} = getClientAndServerSpans('TestBidiStream');
+      assert.strictEqual(JSON.parse(clientSpan.labels.status).code, 0);
+    });
+  });
+
+  describe('failed calls', () => {
+    it('traces errors in unary calls', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        await assert.rejects(callUnary(EMIT_ERROR));
+        rootSpan.endSpan();
+      });
+      const {clientSpan, serverSpan} = getClientAndServerSpans('TestUnary');
+      assertError(clientSpan);
+      assertError(serverSpan);
+    });
+
+    it('traces errors in client streaming calls', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        await assert.rejects(callClientStream([EMIT_ERROR]));
+        rootSpan.endSpan();
+      });
+      const {clientSpan, serverSpan} =
+        getClientAndServerSpans('TestClientStream');
+      assertError(clientSpan);
+      assertError(serverSpan);
+    });
+
+    it('traces errors in server streaming calls', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        await assert.rejects(callServerStream(EMIT_ERROR));
+        rootSpan.endSpan();
+      });
+      const {clientSpan, serverSpan} =
+        getClientAndServerSpans('TestServerStream');
+      assertError(clientSpan);
+      assertError(serverSpan);
+    });
+
+    it('traces errors in bidi streaming calls', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        await assert.rejects(callBidi([EMIT_ERROR]));
+        rootSpan.endSpan();
+      });
+      const {clientSpan, serverSpan} =
+        getClientAndServerSpans('TestBidiStream');
+      assertError(clientSpan);
+      assertError(serverSpan);
+    });
+  });
+
+  describe('trace context propagation', () => {
+    it('adds binary trace context to existing metadata', async () => {
+      const metadata = new grpc.Metadata();
+      metadata.set('a', 'b');
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        await callUnary(1, metadata);
+        rootSpan.endSpan();
+      });
+      const {clientSpan} = getClientAndServerSpans('TestUnary');
+      assert.strictEqual(receivedMetadata.length, 1);
+      assert.deepStrictEqual(receivedMetadata[0].get('a'), ['b']);
+      const traceContext = deserializeTraceContext(
+        receivedMetadata[0].get(
+          Constants.TRACE_CONTEXT_GRPC_METADATA_NAME
+        )[0] as Buffer
+      );
+      assert.ok(traceContext);
+      assert.strictEqual(traceContext!.spanId, clientSpan.spanId);
+    });
+
+    it('continues traces from incoming binary trace context', async () => {
+      const traceId = 'ffeeddccbbaa99887766554433221100';
+      await tracer.runInRootSpan(
+        {name: 'outer', traceContext: {traceId, spanId: '0', options: 1}},
+        async rootSpan => {
+          await callUnary(1);
+          rootSpan.endSpan();
+        }
+      );
+      getClientAndServerSpans('TestUnary');
+      assert.strictEqual(testTraceModule.getTraces().length, 2);
+      for (const trace of testTraceModule.getTraces()) {
+        assert.strictEqual(trace.traceId, traceId);
+      }
+    });
+
+    it('does not create client spans outside of a root span', async () => {
+      await callUnary(1);
+      assert.strictEqual(
+        testTraceModule.getSpans(
+          span =>
+            span.kind === SpanKind.RPC_CLIENT &&
+            span.name.startsWith(SPAN_NAME_PREFIX)
+        ).length,
+        0
+      );
+      assert.strictEqual(
+        receivedMetadata[0].get(Constants.TRACE_CONTEXT_GRPC_METADATA_NAME)
+          .length,
+        0
+      );
+    });
+  });
+});
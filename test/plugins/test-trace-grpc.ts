@@ -660,7 +660,10 @@ describeInterop('grpc', fixture => {
           const trace = common.getMatchingSpan(predicate);
           assert.ok(trace);
           assert.strictEqual(trace.labels.argument, '{"n":' + EMIT_ERROR + '}');
-          assert.ok(trace.labels.error.indexOf('test') !== -1);
+          assert.ok(
+            trace.labels[TraceLabels.ERROR_DETAILS_MESSAGE].indexOf('test') !==
+              -1
+          );
         };
         assertTraceProperties(grpcClientPredicate);
         assertTraceProperties(grpcServerOuterPredicate);
@@ -679,7 +682,10 @@ describeInterop('grpc', fixture => {
         const assertTraceProperties = function (predicate) {
           const trace = common.getMatchingSpan(predicate);
           assert.ok(trace);
-          assert.ok(trace.labels.error.indexOf('test') !== -1);
+          assert.ok(
+            trace.labels[TraceLabels.ERROR_DETAILS_MESSAGE].indexOf('test') !==
+              -1
+          );
         };
         assertTraceProperties(grpcClientPredicate);
         assertTraceProperties(grpcServerOuterPredicate);
@@ -701,7 +707,10 @@ describeInterop('grpc', fixture => {
         const assertTraceProperties = function (predicate) {
           const trace = common.getMatchingSpan(predicate);
           assert.ok(trace);
-          assert.ok(trace.labels.error.indexOf('test') !== -1);
+          assert.ok(
+            trace.labels[TraceLabels.ERROR_DETAILS_MESSAGE].indexOf('test') !==
+              -1
+          );
         };
         assertTraceProperties(grpcClientPredicate);
         assertTraceProperties(grpcServerOuterPredicate);
@@ -723,7 +732,10 @@ describeInterop('grpc', fixture => {
         const assertTraceProperties = function (predicate) {
           const trace = common.getMatchingSpan(predicate);
           assert.ok(trace);
-          assert.ok(trace.labels.error.indexOf('test') !== -1);
+          assert.ok(
+            trace.labels[TraceLabels.ERROR_DETAILS_MESSAGE].indexOf('test') !==
+              -1
+          );
         };
         assertTraceProperties(grpcClientPredicate);
         assertTraceProperties(grpcServerOuterPredicate);
@@ -0,0 +1,184 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Prereqs:
+// Start docker daemon
+//   ex) docker -d
+// Run a redis image binding the redis port
+//   ex) docker run -p 6379:6379 -d redis
+
+import * as assert from 'assert';
+import {describe, it, before, after, beforeEach, afterEach} from 'mocha';
+
+import {PluginTypes} from '../../src';
+import {SpanStatusCode} from '../../src/constants';
+import {TraceLabels} from '../../src/trace-labels';
+import * as testTraceModule from '../trace';
+import {describeInterop} from '../utils';
+
+// The subset of the ioredis types used by this test.
+interface Pipeline {
+  set(key: string, value: string): Pipeline;
+  get(key: string): Pipeline;
+  exec(
+    cb?: (err: Error | null, res: Array<[Error | null, unknown]>) => void
+  ): Promise<Array<[Error | null, unknown]>>;
+}
+interface Redis {
+  get(key: string): Promise<string | null>;
+  get(key: string, cb: (err: Error | null, res: string | null) => void): void;
+  set(key: string, value: string): Promise<string>;
+  hset(key: string): Promise<number>;
+  pipeline(): Pipeline;
+  multi(): Pipeline;
+  quit(): Promise<string>;
+}
+type IORedis = new () => Redis;
+
+describe('ioredis', () => {
+  let tracer: PluginTypes.Tracer;
+
+  before(() => {
+    testTraceModule.setCLSForTest();
+    testTraceModule.setPluginLoaderForTest();
+    tracer = testTraceModule.start({enhancedDatabaseReporting: true});
+  });
+
+  after(() => {
+    testTraceModule.setCLSForTest(testTraceModule.TestCLS);
+    testTraceModule.setPluginLoaderForTest(testTraceModule.TestPluginLoader);
+  });
+
+  describeInterop<IORedis>('ioredis', fixture => {
+    let client: Redis;
+
+    before(() => {
+      // tslint:disable-next-line:variable-name (Redis is a constructor)
+      const Redis = fixture.require();
+      client = new Redis();
+    });
+
+    after(async () => {
+      await client.quit();
+    });
+
+    beforeEach(async () => {
+      await client.set('beforeEach', '42');
+      testTraceModule.clearTraceData();
+    });
+
+    afterEach(() => {
+      testTraceModule.clearTraceData();
+    });
+
+    it('creates a span for a command', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        assert.strictEqual(await client.get('beforeEach'), '42');
+        rootSpan.endSpan();
+      });
+      const span = testTraceModule.getOneSpan(
+        span => span.name === 'redis-get'
+      );
+      assert.strictEqual(span.labels.command, 'get');
+      assert.strictEqual(span.labels.arguments, '["beforeEach"]');
+      assert.strictEqual(span.labels.result, '42');
+    });
+
+    it('records errors', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        // hset requires more arguments.
+        await assert.rejects(client.hset('key'));
+        rootSpan.endSpan();
+      });
+      const span = testTraceModule.getOneSpan(
+        span => span.name === 'redis-hset'
+      );
+      assert.strictEqual(
+        span.labels[TraceLabels.STATUS_CODE],
+        SpanStatusCode.ERROR
+      );
+      assert.ok(span.labels[TraceLabels.ERROR_DETAILS_MESSAGE]);
+    });
+
+    it('propagates context to callbacks', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        await new Promise<void>((resolve, reject) => {
+          client.get('beforeEach', err => {
+            if (err) {
+              return reject(err);
+            }
+            assert.strictEqual(tracer.getCurrentRootSpan(), rootSpan);
+            resolve();
+          });
+        });
+        rootSpan.endSpan();
+      });
+    });
+
+    it('propagates context to promise continuations', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        await client.get('beforeEach');
+        assert.strictEqual(tracer.getCurrentRootSpan(), rootSpan);
+        rootSpan.endSpan();
+      });
+    });
+
+    it('creates one span for a pipeline', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        await client.pipeline().set('key', 'value').get('key').exec();
+        rootSpan.endSpan();
+      });
+      const span = testTraceModule.getOneSpan(
+        span => span.name === 'redis-pipeline'
+      );
+      assert.strictEqual(span.labels.commands, '["set","get"]');
+      assert.strictEqual(
+        testTraceModule.getSpans(span => span.name.startsWith('redis-')).length,
+        1
+      );
+    });
+
+    it('creates one span for a transaction', async () => {
+      await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+        await new Promise<void>((resolve, reject) => {
+          client
+            .multi()
+            .set('key', 'value')
+            .get('key')
+            .exec(err => {
+              if (err) {
+                return reject(err);
+              }
+              assert.strictEqual(tracer.getCurrentRootSpan(), rootSpan);
+              resolve();
+            });
+        });
+        rootSpan.endSpan();
+      });
+      const span = testTraceModule.getOneSpan(
+        span => span.name === 'redis-multi'
+      );
+      assert.strictEqual(span.labels.commands, '["multi","set","get","exec"]');
+      assert.strictEqual(
+        testTraceModule.getSpans(span => span.name.startsWith('redis-')).length,
+        1
+      );
+    });
+
+    it('does not create spans outside of a root span', async () => {
+      await client.get('beforeEach');
+      assert.strictEqual(testTraceModule.getSpans().length, 0);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import * as http from 'http';
+import {AddressInfo} from 'net';
+import {describe, it, before, after, afterEach} from 'mocha';
+
+import {Constants} from '../../src/constants';
+import {PluginTypes} from '../../src';
+import {SpanKind} from '../../src/trace';
+import {TraceLabels} from '../../src/trace-labels';
+import {parseContextFromHeader} from '../../src/util';
+import * as testTraceModule from '../trace';
+
+// Types for the global fetch function aren't available in the version of
+// @types/node we depend on.
+type Fetch = (
+  url: string,
+  init?: {headers?: {[key: string]: string}}
+) => Promise<{status: number; text(): Promise<string>}>;
+const fetch = (global as {fetch?: Fetch}).fetch;
+
+(fetch ? describe : describe.skip)('fetch/undici tracing', () => {
+  let tracer: PluginTypes.Tracer;
+  let server: http.Server;
+  let url: string;
+  // The trace context header received by the server for each request.
+  const receivedHeaders: Array<string | undefined> = [];
+
+  before(async () => {
+    testTraceModule.setCLSForTest();
+    testTraceModule.setPluginLoaderForTest();
+    tracer = testTraceModule.start();
+    server = http.createServer((req, res) => {
+      receivedHeaders.push(
+        req.headers[Constants.TRACE_CONTEXT_HEADER_NAME] as string | undefined
+      );
+      if (req.url === '/destroy') {
+        res.writeHead(200, {'content-length': 100});
+        res.write('partial');
+        setImmediate(() => res.destroy());
+      } else {
+        res.end('hello');
+      }
+    });
+    await new Promise<void>(resolve => server.listen(0, resolve));
+    url = `http://localhost:${(server.address() as AddressInfo).port}`;
+  });
+
+  after(() => {
+    server.close();
+    testTraceModule.setCLSForTest(testTraceModule.TestCLS);
+    testTraceModule.setPluginLoaderForTest(testTraceModule.TestPluginLoader);
+  });
+
+  afterEach(() => {
+    testTraceModule.clearTraceData();
+    receivedHeaders.length = 0;
+  });
+
+  it('creates a client span for fetch requests', async () => {
+    await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+      const response = await fetch!(`${url}/path?query=1`);
+      assert.strictEqual(await response.text(), 'hello');
+      rootSpan.endSpan();
+    });
+    const span = testTraceModule.getOneSpan(
+      span => span.kind === SpanKind.RPC_CLIENT
+    );
+    assert.strictEqual(span.name, 'localhost');
+    assert.strictEqual(span.labels[TraceLabels.HTTP_METHOD_LABEL_KEY], 'GET');
+    assert.strictEqual(
+      span.labels[TraceLabels.HTTP_URL_LABEL_KEY],
+      `${url}/path?query=1`
+    );
+    assert.strictEqual(
+      span.labels[TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY],
+      '200'
+    );
+    assert.strictEqual(
+      span.labels[TraceLabels.HTTP_RESPONSE_SIZE_LABEL_KEY],
+      '5'
+    );
+    // The span's context should have been sent to the server.
+    assert.strictEqual(receivedHeaders.length, 1);
+    const traceContext = parseContextFromHeader(receivedHeaders[0]!);
+    assert.ok(traceContext);
+    assert.strictEqual(traceContext!.spanId, span.spanId);
+  });
+
+  it('records errors that occur while reading the response', async () => {
+    await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+      const response = await fetch!(`${url}/destroy`);
+      await assert.rejects(response.text());
+      rootSpan.endSpan();
+    });
+    const span = testTraceModule.getOneSpan(
+      span => span.kind === SpanKind.RPC_CLIENT
+    );
+    assert.ok(span.labels[TraceLabels.ERROR_DETAILS_NAME]);
+    assert.ok(span.endTime);
+  });
+
+  it("doesn't trace requests made by the Trace Agent", async () => {
+    await tracer.runInRootSpan({name: 'outer'}, async rootSpan => {
+      await (
+        await fetch!(url, {
+          headers: {[Constants.TRACE_AGENT_REQUEST_HEADER]: '1'},
+        })
+      ).text();
+      rootSpan.endSpan();
+    });
+    assert.strictEqual(
+      testTraceModule.getSpans(span => span.kind === SpanKind.RPC_CLIENT)
+        .length,
+      0
+    );
+    assert.deepStrictEqual(receivedHeaders, [undefined]);
+  });
+
+  it("doesn't trace requests outside of a root span", async () => {
+    await (await fetch!(url)).text();
+    assert.strictEqual(testTraceModule.getSpans().length, 0);
+    assert.deepStrictEqual(receivedHeaders, [undefined]);
+  });
+});
@@ -0,0 +1,191 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+// These are imported only for types. Generated .js file should NOT load
+// 'child_process' or 'worker_threads' in this place. They are dynamically
+// loaded later, once the agent is started.
+import * as childProcessTypes from 'child_process';
+import {describe, it, before, after, afterEach} from 'mocha';
+import * as path from 'path';
+// eslint-disable-next-line node/no-unsupported-features/node-builtins
+import * as workerThreadsTypes from 'worker_threads';
+
+import {PluginTypes} from '../../src';
+import {TraceContext} from '../../src/util';
+import * as testTraceModule from '../trace';
+
+// The messages that the fixture sends to its parent.
+interface Reply {
+  message?: unknown;
+  traceContext: TraceContext | null;
+}
+
+// A worker thread or child process running the fixture.
+interface Child {
+  // Sends a message to the child.
+  send(message: object): void;
+  // Resolves with the next message from the child.
+  receive(): Promise<Reply>;
+  stop(): void;
+}
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'worker-context.js');
+
+describe('context propagation into worker threads and child processes', () => {
+  let tracer: PluginTypes.Tracer;
+  let children: Child[] = [];
+
+  /**
+   * Collects messages from the given emitter, so that they can be received
+   * one at a time.
+   */
+  function createReceiver(emitter: NodeJS.EventEmitter): () => Promise<Reply> {
+    const replies: Reply[] = [];
+    const waiting: Array<(reply: Reply) => void> = [];
+    emitter.on('message', (reply: Reply) => {
+      const resolve = waiting.shift();
+      if (resolve) {
+        resolve(reply);
+      } else {
+        replies.push(reply);
+      }
+    });
+    return () =>
+      new Promise(resolve => {
+        const reply = replies.shift();
+        if (reply) {
+          resolve(reply);
+        } else {
+          waiting.push(resolve);
+        }
+      });
+  }
+
+  const testCases: Array<{
+    name: string;
+    sendSpanName: string;
+    createSpanName: string;
+    start(): Child;
+  }> = [
+    {
+      name: 'worker_threads',
+      sendSpanName: 'worker_threads postMessage',
+      createSpanName: 'worker_threads Worker',
+      start: () => {
+        // eslint-disable-next-line node/no-unsupported-features/node-builtins
+        const {Worker}: typeof workerThreadsTypes = require('worker_threads');
+        const worker = new Worker(FIXTURE);
+        return {
+          send: message => worker.postMessage(message),
+          receive: createReceiver(worker),
+          stop: () => worker.terminate(),
+        };
+      },
+    },
+    {
+      name: 'child_process',
+      sendSpanName: 'child_process send',
+      createSpanName: 'child_process fork',
+      start: () => {
+        const {fork}: typeof childProcessTypes = require('child_process');
+        const child = fork(FIXTURE);
+        return {
+          send: message => child.send(message),
+          receive: createReceiver(child),
+          stop: () => child.kill(),
+        };
+      },
+    },
+  ];
+
+  before(() => {
+    testTraceModule.setCLSForTest();
+    testTraceModule.setPluginLoaderForTest();
+    tracer = testTraceModule.start({workerContextPropagation: true});
+  });
+
+  after(() => {
+    testTraceModule.setCLSForTest(testTraceModule.TestCLS);
+    testTraceModule.setPluginLoaderForTest(testTraceModule.TestPluginLoader);
+  });
+
+  afterEach(() => {
+    children.forEach(child => child.stop());
+    testTraceModule.clearTraceData();
+  });
+
+  for (const testCase of testCases) {
+    describe(testCase.name, function () {
+      this.timeout(10000);
+
+      /**
+       * Starts a child, and waits until it has started the Trace Agent.
+       */
+      async function startChild(): Promise<[Child, Reply]> {
+        const child = testCase.start();
+        children = [child];
+        return [child, await child.receive()];
+      }
+
+      it('continues the trace in which the child was created', async () => {
+        const [rootTraceContext, [, started]] = await tracer.runInRootSpan(
+          {name: 'outer'},
+          async rootSpan => {
+            const result = [rootSpan.getTraceContext()!, await startChild()];
+            rootSpan.endSpan();
+            return result as [TraceContext, [Child, Reply]];
+          }
+        );
+        assert.ok(started.traceContext);
+        assert.strictEqual(
+          started.traceContext!.traceId,
+          rootTraceContext.traceId
+        );
+        testTraceModule.getOneSpan(
+          span => span.name === testCase.createSpanName
+        );
+      });
+
+      it('continues the trace in which a message was sent', async () => {
+        const [child] = await startChild();
+        const rootTraceContext = tracer.runInRootSpan(
+          {name: 'outer'},
+          rootSpan => {
+            child.send({value: 'hello'});
+            rootSpan.endSpan();
+            return rootSpan.getTraceContext()!;
+          }
+        );
+        const received = await child.receive();
+        assert.deepStrictEqual(received.message, {value: 'hello'});
+        assert.ok(received.traceContext);
+        assert.strictEqual(
+          received.traceContext!.traceId,
+          rootTraceContext.traceId
+        );
+        testTraceModule.getOneSpan(span => span.name === testCase.sendSpanName);
+      });
+
+      it('passes messages sent outside of a trace through as they are', async () => {
+        const [child, started] = await startChild();
+        assert.strictEqual(started.traceContext!.traceId.length, 32);
+        child.send({value: 'hello'});
+        const received = await child.receive();
+        assert.deepStrictEqual(received.message, {value: 'hello'});
+        assert.strictEqual(received.traceContext, null);
+      });
+    });
+  }
+});
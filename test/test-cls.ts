@@ -21,6 +21,10 @@ import {inspect} from 'util';
 import {TraceCLS, TraceCLSConfig, TraceCLSMechanism} from '../src/cls';
 import {AsyncHooksCLS} from '../src/cls/async-hooks';
 import {AsyncListenerCLS} from '../src/cls/async-listener';
+import {
+  AsyncLocalStorageCLS,
+  isAsyncLocalStorageSupported,
+} from '../src/cls/async-local-storage';
 import {CLS} from '../src/cls/base';
 import {NullCLS} from '../src/cls/null';
 import {SingularCLS} from '../src/cls/singular';
@@ -36,6 +40,7 @@ interface CLSConstructor {
 
 describe('Continuation-Local Storage', () => {
   const asyncAwaitSupported = semver.satisfies(process.version, '>=8');
+  const asyncLocalStorageSupported = isAsyncLocalStorageSupported();
 
   describe('No-op implementation', () => {
     const clazz = NullCLS;
@@ -72,6 +77,9 @@ describe('Continuation-Local Storage', () => {
     const testCases: CLSConstructor[] = asyncAwaitSupported
       ? [AsyncHooksCLS, AsyncListenerCLS]
       : [AsyncListenerCLS];
+    if (asyncLocalStorageSupported) {
+      testCases.push(AsyncLocalStorageCLS);
+    }
 
     for (const testCase of testCases) {
       describe(`CLS for class ${testCase.name}`, () => {
@@ -250,6 +258,12 @@ describe('Continuation-Local Storage', () => {
         expectedDefaultType: SpanType.UNCORRELATED,
       });
     }
+    if (asyncLocalStorageSupported) {
+      validTestCases.push({
+        config: {mechanism: TraceCLSMechanism.ASYNC_LOCAL_STORAGE},
+        expectedDefaultType: SpanType.UNCORRELATED,
+      });
+    }
     for (const testCase of validTestCases) {
       describe(`with configuration ${inspect(testCase)}`, () => {
         const logger = new TestLogger();
@@ -24,12 +24,17 @@ function assertPluginPath(
   plugins: {[pluginName: string]: string},
   pluginName: string
 ) {
+  let fileName = pluginName;
   // hapi was renamed to @hapi/hapi in v18. We still use the same plugin
   // filename.
   if (pluginName === '@hapi/hapi') {
-    pluginName = 'hapi';
+    fileName = 'hapi';
   }
-  assert.ok(plugins[pluginName].includes(`plugin-${pluginName}.js`));
+  // The @grpc/grpc-js plugin filename doesn't include the scope.
+  if (pluginName === '@grpc/grpc-js') {
+    fileName = 'grpc-js';
+  }
+  assert.ok(plugins[pluginName].includes(`plugin-${fileName}.js`));
 }
 
 describe('Configuration: Plugins', () => {
@@ -14,22 +14,23 @@
 
 import * as assert from 'assert';
 import {describe, it, beforeEach, before, after} from 'mocha';
-import * as semver from 'semver';
 import * as util from 'util';
 
 import {TraceCLSConfig, TraceCLSMechanism} from '../src/cls';
+import {isAsyncLocalStorageSupported} from '../src/cls/async-local-storage';
 
 import * as testTraceModule from './trace';
 import {TopLevelConfig} from '../src/tracing';
 import {StackdriverTracer} from '../src/trace-api';
 import {Logger} from '../src/logger';
+import {AgentStats} from '../src/stats';
 import {TraceWriterConfig} from '../src/trace-writer';
+import {wait} from './utils';
 
 describe('Behavior set by config for CLS', () => {
-  const useAH = semver.satisfies(process.version, '>=8');
-  const autoMechanism = useAH
-    ? TraceCLSMechanism.ASYNC_HOOKS
-    : TraceCLSMechanism.ASYNC_LISTENER;
+  const autoMechanism = isAsyncLocalStorageSupported()
+    ? TraceCLSMechanism.ASYNC_LOCAL_STORAGE
+    : TraceCLSMechanism.ASYNC_HOOKS;
   let capturedConfig: TraceCLSConfig | null;
 
   class CaptureConfigTestCLS extends testTraceModule.TestCLS {
@@ -166,6 +167,37 @@ describe('Behavior set by config for TracePolicy', () => {
   });
 });
 
+describe('Behavior set by config for propagation', () => {
+  it('should throw when conflicting propagation options are specified', () => {
+    assert.throws(() =>
+      testTraceModule.start({
+        propagationFormat: 'w3c',
+        propagation: {extract: () => null, inject: () => {}},
+      })
+    );
+  });
+});
+
+describe('Behavior set by config for stats', () => {
+  it('should periodically call onStats with a stats snapshot', async () => {
+    const snapshots: AgentStats[] = [];
+    const tracer = testTraceModule.start({
+      onStats: stats => snapshots.push(stats),
+      statsIntervalSeconds: 0.05,
+    });
+    tracer.runInRootSpan({name: 'root'}, rootSpan => rootSpan.endSpan());
+    await wait(120);
+    assert.ok(snapshots.length >= 2);
+    assert.strictEqual(snapshots[0].spansCreated.ROOT, 1);
+    assert.ok(snapshots[0].publishing);
+    // Restarting the agent stops the timer.
+    testTraceModule.start();
+    const numSnapshots = snapshots.length;
+    await wait(120);
+    assert.strictEqual(snapshots.length, numSnapshots);
+  });
+});
+
 describe('Behavior set by config for TraceWriter', () => {
   let capturedConfig: TraceWriterConfig | null;
 
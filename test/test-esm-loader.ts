@@ -0,0 +1,167 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {execFileSync} from 'child_process';
+import * as fs from 'fs';
+import {describe, it, before, after} from 'mocha';
+import * as os from 'os';
+import * as path from 'path';
+import {pathToFileURL} from 'url';
+
+describe('ES module loader', () => {
+  const registerUrl = pathToFileURL(
+    path.join(__dirname, '..', 'src', 'register.js')
+  ).href;
+  let tmpDir: string;
+
+  function writeFile(file: string, contents: string) {
+    const filePath = path.join(tmpDir, file);
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    fs.writeFileSync(filePath, contents);
+  }
+
+  /**
+   * Runs an ES module with the agent preloaded, and returns the value that it
+   * prints as JSON.
+   */
+  function runApp(source: string) {
+    writeFile('app.mjs', `${source}\nprocess.exit(0);\n`);
+    const output = execFileSync(
+      process.execPath,
+      ['--import', registerUrl, 'app.mjs'],
+      {
+        cwd: tmpDir,
+        env: Object.assign({}, process.env, {
+          GCLOUD_TRACE_CONFIG: path.join(tmpDir, 'config.js'),
+        }),
+      }
+    );
+    return JSON.parse(output.toString());
+  }
+
+  before(function () {
+    if (!require('module').register) {
+      this.skip();
+    }
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-esm-loader-'));
+    writeFile(
+      'node_modules/counter/package.json',
+      JSON.stringify({name: 'counter', version: '1.2.3'})
+    );
+    writeFile(
+      'node_modules/counter/index.js',
+      "exports.count = 0;\nexports.base = require('./lib/base.js');\n"
+    );
+    writeFile('node_modules/counter/lib/base.js', 'module.exports = 1;\n');
+    writeFile(
+      'plugin-counter.js',
+      `module.exports = [
+        {versions: '1.x', patch: counter => { counter.count++; }},
+        {versions: '2.x', patch: counter => { counter.count = -1; }},
+        {file: 'lib/base.js', intercept: base => base * 10},
+      ];`
+    );
+    // A module that exports a function, which is also a named export.
+    writeFile(
+      'node_modules/framework/package.json',
+      JSON.stringify({name: 'framework', version: '1.0.0'})
+    );
+    writeFile(
+      'node_modules/framework/index.js',
+      "function fw() { return 'original'; }\n" +
+        'module.exports = fw;\nmodule.exports.fw = fw;\n'
+    );
+    writeFile(
+      'plugin-framework.js',
+      `module.exports = [{versions: '1.x', intercept: () => {
+        function fw() { return 'intercepted'; }
+        fw.fw = fw;
+        return fw;
+      }}];`
+    );
+    writeFile(
+      'config.js',
+      `module.exports = ${JSON.stringify({
+        projectId: '0',
+        plugins: {
+          counter: path.join(tmpDir, 'plugin-counter.js'),
+          framework: path.join(tmpDir, 'plugin-framework.js'),
+        },
+      })};`
+    );
+  });
+
+  after(() => {
+    if (tmpDir) {
+      fs.rmSync(tmpDir, {recursive: true});
+    }
+  });
+
+  it('applies plugins to imported CommonJS modules', () => {
+    const result = runApp(`
+      import {createRequire} from 'module';
+      import counter, {count} from 'counter';
+      import base from 'counter/lib/base.js';
+      const require = createRequire(import.meta.url);
+      console.log(JSON.stringify({
+        defaultCount: counter.count,
+        count,
+        base,
+        counterBase: counter.base,
+        sameAsRequired: counter === require('counter'),
+      }));
+    `);
+    assert.deepStrictEqual(result, {
+      defaultCount: 1,
+      count: 1,
+      base: 10,
+      counterBase: 10,
+      sameAsRequired: true,
+    });
+  });
+
+  it('exports the named exports of modules replaced by plugins', () => {
+    const result = runApp(`
+      import framework, {fw} from 'framework';
+      console.log(JSON.stringify({
+        defaultResult: framework(),
+        namedResult: fw(),
+        sameAsDefault: fw === framework,
+      }));
+    `);
+    assert.deepStrictEqual(result, {
+      defaultResult: 'intercepted',
+      namedResult: 'intercepted',
+      sameAsDefault: true,
+    });
+  });
+
+  it('applies plugins to imported core modules', () => {
+    const result = runApp(`
+      import http, {request} from 'http';
+      import * as https from 'node:https';
+      console.log(JSON.stringify({
+        patched: !!request.__wrapped,
+        samePatched: http.request === request,
+        patchedByPrefix: !!https.request.__wrapped,
+      }));
+    `);
+    assert.deepStrictEqual(result, {
+      patched: true,
+      samePatched: true,
+      patchedByPrefix: true,
+    });
+  });
+});
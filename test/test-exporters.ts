@@ -0,0 +1,582 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as protoLoader from '@grpc/proto-loader';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as http from 'http';
+import {describe, it, before, after, afterEach, beforeEach} from 'mocha';
+import {AddressInfo} from 'net';
+import * as nock from 'nock';
+import * as os from 'os';
+import * as path from 'path';
+
+import {Constants} from '../src/constants';
+import {
+  CloudTraceV2Exporter,
+  HttpJsonExporter,
+  NdjsonExporter,
+  OtlpHttpExporter,
+} from '../src/exporters';
+import {
+  ExportTraceServiceRequest,
+  OtlpSpanKind,
+  OtlpStatusCode,
+  toExportTraceServiceRequest,
+} from '../src/otlp';
+import {SpanKind, Trace} from '../src/trace';
+import {TraceLabels} from '../src/trace-labels';
+import {BatchWriteRequest, SpanKindV2} from '../src/trace-v2';
+
+function createDummyTrace(traceId: string): Trace {
+  const time = new Date().toISOString();
+  return {
+    projectId: '0',
+    traceId,
+    spans: [
+      {
+        labels: {},
+        startTime: time,
+        endTime: time,
+        kind: SpanKind.RPC_SERVER,
+        name: 'root',
+        spanId: '1',
+      },
+    ],
+  };
+}
+
+describe('Exporters', () => {
+  describe('NdjsonExporter', () => {
+    let tmpDir: string;
+
+    before(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-exporters-'));
+    });
+
+    after(() => {
+      fs.readdirSync(tmpDir).forEach(file =>
+        fs.unlinkSync(path.join(tmpDir, file))
+      );
+      fs.rmdirSync(tmpDir);
+    });
+
+    it('appends one line per trace to a file', async () => {
+      const file = path.join(tmpDir, 'traces.ndjson');
+      const exporter = new NdjsonExporter({path: file});
+      await exporter.export([createDummyTrace('a'), createDummyTrace('b')]);
+      await exporter.export([createDummyTrace('c')]);
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      // The file ends with a newline.
+      assert.strictEqual(lines.pop(), '');
+      assert.deepStrictEqual(
+        lines.map(line => JSON.parse(line).traceId),
+        ['a', 'b', 'c']
+      );
+    });
+
+    it('writes to stdout by default', async () => {
+      const written: string[] = [];
+      const write = process.stdout.write;
+      process.stdout.write = ((chunk: string, cb: () => void) => {
+        written.push(chunk);
+        cb();
+        return true;
+      }) as typeof process.stdout.write;
+      try {
+        await new NdjsonExporter().export([createDummyTrace('a')]);
+      } finally {
+        process.stdout.write = write;
+      }
+      assert.strictEqual(written.length, 1);
+      assert.strictEqual(JSON.parse(written[0]).traceId, 'a');
+    });
+
+    it('rejects if the file can not be written', async () => {
+      const exporter = new NdjsonExporter({
+        path: path.join(tmpDir, 'missing', 'traces.ndjson'),
+      });
+      await assert.rejects(exporter.export([createDummyTrace('a')]));
+    });
+  });
+
+  describe('HttpJsonExporter', () => {
+    before(() => {
+      nock.disableNetConnect();
+    });
+
+    after(() => {
+      nock.enableNetConnect();
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('POSTs traces as JSON to the given URL', async () => {
+      const receivedBodies: Array<{traces: Trace[]}> = [];
+      const scope = nock('http://collector.local', {
+        reqheaders: {
+          'content-type': 'application/json',
+          'x-api-key': 'secret',
+          [Constants.TRACE_AGENT_REQUEST_HEADER]: '1',
+        },
+      })
+        .post('/v1/traces', (body: {traces: Trace[]}) => {
+          receivedBodies.push(body);
+          return true;
+        })
+        .reply(202);
+      const exporter = new HttpJsonExporter({
+        url: 'http://collector.local/v1/traces',
+        headers: {'x-api-key': 'secret'},
+      });
+      await exporter.export([createDummyTrace('a')]);
+      scope.done();
+      assert.strictEqual(receivedBodies.length, 1);
+      assert.strictEqual(receivedBodies[0].traces.length, 1);
+      assert.strictEqual(receivedBodies[0].traces[0].traceId, 'a');
+    });
+
+    it('rejects on non-2xx status codes', async () => {
+      const scope = nock('https://collector.local').post('/traces').reply(500);
+      const exporter = new HttpJsonExporter({
+        url: 'https://collector.local/traces',
+      });
+      await assert.rejects(
+        exporter.export([createDummyTrace('a')]),
+        /status code 500/
+      );
+      scope.done();
+    });
+
+    it('rejects on request errors', async () => {
+      const scope = nock('http://collector.local')
+        .post('/traces')
+        .replyWithError('connection refused');
+      const exporter = new HttpJsonExporter({
+        url: 'http://collector.local/traces',
+      });
+      await assert.rejects(
+        exporter.export([createDummyTrace('a')]),
+        /connection refused/
+      );
+      scope.done();
+    });
+
+    it('throws for URLs that are not HTTP', () => {
+      assert.throws(
+        () => new HttpJsonExporter({url: 'ftp://collector.local/traces'}),
+        /must use http or https/
+      );
+    });
+  });
+
+  describe('CloudTraceV2Exporter', () => {
+    // A local stand-in for the Cloud Trace API.
+    let server: http.Server;
+    let apiEndpoint: string;
+    let statusCode: number;
+    let requests: Array<{url?: string; body: BatchWriteRequest}>;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+          requests.push({url: req.url, body: JSON.parse(body)});
+          res.statusCode = statusCode;
+          res.end('{}');
+        });
+      });
+      await new Promise<void>(resolve => server.listen(0, resolve));
+      apiEndpoint = `http://localhost:${
+        (server.address() as AddressInfo).port
+      }`;
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    beforeEach(() => {
+      statusCode = 200;
+      requests = [];
+    });
+
+    function createTrace(): Trace {
+      const time = new Date().toISOString();
+      return {
+        projectId: 'project-1',
+        traceId: '0123456789abcdef0123456789abcdef',
+        spans: [
+          {
+            labels: {
+              [TraceLabels.HTTP_METHOD_LABEL_KEY]: 'GET',
+              [TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY]: '500',
+              [TraceLabels.STACK_TRACE_DETAILS_KEY]: JSON.stringify({
+                stack_frame: [
+                  {method_name: 'handler', file_name: 'app.js', line_number: 3},
+                ],
+              }),
+              [TraceLabels.STATUS_CODE]: 'ERROR',
+              [TraceLabels.STATUS_MESSAGE]: 'oops',
+              [`${TraceLabels.EVENT_PREFIX}0`]: JSON.stringify({
+                time,
+                name: 'retry',
+                attributes: {attempt: 2},
+              }),
+            },
+            startTime: time,
+            endTime: time,
+            kind: SpanKind.RPC_SERVER,
+            name: '/users/123',
+            spanId: '255',
+            parentSpanId: '1',
+          },
+          {
+            labels: {cached: 'true'},
+            startTime: time,
+            endTime: time,
+            kind: SpanKind.RPC_CLIENT,
+            name: 'redis-get',
+            spanId: '256',
+            parentSpanId: '255',
+          },
+        ],
+      };
+    }
+
+    it('publishes spans to the batchWrite method', async () => {
+      const exporter = new CloudTraceV2Exporter({
+        apiEndpoint,
+        authenticate: false,
+      });
+      await exporter.export([createTrace()]);
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(
+        requests[0].url,
+        '/v2/projects/project-1/traces:batchWrite'
+      );
+      const [root, child] = requests[0].body.spans;
+      assert.strictEqual(
+        root.name,
+        'projects/project-1/traces/0123456789abcdef0123456789abcdef/spans/00000000000000ff'
+      );
+      assert.strictEqual(root.spanId, '00000000000000ff');
+      assert.strictEqual(root.parentSpanId, '0000000000000001');
+      assert.deepStrictEqual(root.displayName, {value: '/users/123'});
+      assert.strictEqual(root.spanKind, SpanKindV2.SERVER);
+      assert.strictEqual(root.sameProcessAsParentSpan, false);
+      assert.strictEqual(root.childSpanCount, 1);
+      assert.deepStrictEqual(root.status, {code: 2, message: 'oops'});
+      assert.deepStrictEqual(root.stackTrace, {
+        stackFrames: {
+          frame: [
+            {
+              functionName: {value: 'handler'},
+              fileName: {value: 'app.js'},
+              lineNumber: '3',
+            },
+          ],
+        },
+      });
+      assert.deepStrictEqual(root.timeEvents!.timeEvent[0].annotation, {
+        description: {value: 'retry'},
+        attributes: {attributeMap: {attempt: {intValue: '2'}}},
+      });
+      // Labels that were converted to other fields aren't attributes.
+      assert.deepStrictEqual(root.attributes, {
+        attributeMap: {
+          [TraceLabels.HTTP_METHOD_LABEL_KEY]: {stringValue: {value: 'GET'}},
+          [TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY]: {intValue: '500'},
+        },
+      });
+      assert.strictEqual(child.spanKind, SpanKindV2.CLIENT);
+      assert.strictEqual(child.sameProcessAsParentSpan, true);
+      assert.strictEqual(child.childSpanCount, 0);
+      assert.strictEqual(child.parentSpanId, '00000000000000ff');
+      assert.deepStrictEqual(child.attributes, {
+        attributeMap: {cached: {boolValue: true}},
+      });
+    });
+
+    it('truncates long values and drops excess attributes', async () => {
+      const trace = createTrace();
+      trace.spans[1].name = 'a'.repeat(200);
+      for (let i = 0; i < 40; i++) {
+        trace.spans[1].labels[`key-${i}`] = 'b'.repeat(300);
+      }
+      await new CloudTraceV2Exporter({
+        apiEndpoint,
+        authenticate: false,
+      }).export([trace]);
+      const child = requests[0].body.spans[1];
+      assert.deepStrictEqual(child.displayName, {
+        value: 'a'.repeat(128),
+        truncatedByteCount: 72,
+      });
+      assert.strictEqual(Object.keys(child.attributes.attributeMap).length, 32);
+      assert.strictEqual(child.attributes.droppedAttributesCount, 9);
+      assert.deepStrictEqual(child.attributes.attributeMap['key-0'], {
+        stringValue: {value: 'b'.repeat(256), truncatedByteCount: 44},
+      });
+    });
+
+    it('uses the configured project ID', async () => {
+      await new CloudTraceV2Exporter({
+        apiEndpoint,
+        authenticate: false,
+        projectId: 'project-2',
+      }).export([createTrace()]);
+      assert.strictEqual(
+        requests[0].url,
+        '/v2/projects/project-2/traces:batchWrite'
+      );
+      assert.ok(
+        requests[0].body.spans[0].name.startsWith('projects/project-2/')
+      );
+    });
+
+    it('rejects on non-2xx status codes', async () => {
+      statusCode = 403;
+      await assert.rejects(
+        new CloudTraceV2Exporter({
+          apiEndpoint,
+          authenticate: false,
+        }).export([createTrace()]),
+        /status code 403/
+      );
+    });
+
+    it('rejects without a project ID', async () => {
+      const trace = createTrace();
+      trace.projectId = '';
+      await assert.rejects(
+        new CloudTraceV2Exporter({
+          apiEndpoint,
+          authenticate: false,
+        }).export([trace]),
+        /No project ID/
+      );
+      assert.strictEqual(requests.length, 0);
+    });
+  });
+
+  describe('OtlpHttpExporter', () => {
+    // The parts of a decoded protobuf-encoded request that are checked.
+    interface DecodedSpan {
+      traceId: Buffer;
+      spanId: Buffer;
+      parentSpanId: Buffer;
+      name: string;
+      kind: number;
+      startTimeUnixNano: string;
+      endTimeUnixNano: string;
+      events: Array<{
+        timeUnixNano: string;
+        // With the oneofs option, value.value is the name of the set field.
+        attributes: Array<{value: {value: string}}>;
+      }>;
+      status: {code: number; message: string};
+    }
+    interface DecodedExportTraceServiceRequest {
+      resourceSpans: Array<{
+        scopeSpans: Array<{scope: {name: string}; spans: DecodedSpan[]}>;
+      }>;
+    }
+
+    // A local stand-in for an OpenTelemetry Collector.
+    let server: http.Server;
+    let url: string;
+    let requests: Array<{contentType?: string; body: Buffer}>;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        const chunks: Buffer[] = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          requests.push({
+            contentType: req.headers['content-type'],
+            body: Buffer.concat(chunks),
+          });
+          res.end();
+        });
+      });
+      await new Promise<void>(resolve => server.listen(0, resolve));
+      url = `http://localhost:${
+        (server.address() as AddressInfo).port
+      }/v1/traces`;
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    function createTrace(): Trace {
+      return {
+        projectId: '0',
+        traceId: '0123456789abcdef0123456789abcdef',
+        spans: [
+          {
+            labels: {
+              [TraceLabels.GCE_HOSTNAME]: 'host-1',
+              [TraceLabels.HTTP_METHOD_LABEL_KEY]: 'GET',
+              [TraceLabels.STATUS_CODE]: 'ERROR',
+              [TraceLabels.STATUS_MESSAGE]: 'oops',
+              [`${TraceLabels.EVENT_PREFIX}0`]: JSON.stringify({
+                time: '2026-01-01T00:00:00.001Z',
+                name: 'retry',
+                attributes: {attempt: 2, backoff: 0.5, final: true},
+              }),
+            },
+            startTime: '2026-01-01T00:00:00.000Z',
+            endTime: '2026-01-01T00:00:00.002Z',
+            kind: SpanKind.RPC_SERVER,
+            name: '/users/123',
+            spanId: '255',
+          },
+          {
+            labels: {},
+            startTime: '2026-01-01T00:00:00.000Z',
+            endTime: '2026-01-01T00:00:00.001Z',
+            kind: SpanKind.RPC_CLIENT,
+            name: 'redis-get',
+            spanId: '18446744073709551615',
+            parentSpanId: '255',
+          },
+        ],
+      };
+    }
+
+    it('converts traces to an export request', () => {
+      const request = toExportTraceServiceRequest([createTrace()], {
+        serviceContext: {service: 'service-1', version: 'v1'},
+        defaultLabels: {[TraceLabels.GCE_HOSTNAME]: 'host-1'},
+      });
+      const resourceSpans = request.resourceSpans[0];
+      assert.deepStrictEqual(resourceSpans.resource.attributes, [
+        {key: 'service.name', value: {stringValue: 'service-1'}},
+        {key: 'service.version', value: {stringValue: 'v1'}},
+        {key: 'host.name', value: {stringValue: 'host-1'}},
+      ]);
+      const [root, child] = resourceSpans.scopeSpans[0].spans;
+      assert.strictEqual(root.traceId, '0123456789abcdef0123456789abcdef');
+      assert.strictEqual(root.spanId, '00000000000000ff');
+      assert.strictEqual(root.parentSpanId, undefined);
+      assert.strictEqual(root.kind, OtlpSpanKind.SPAN_KIND_SERVER);
+      assert.strictEqual(root.startTimeUnixNano, '1767225600000000000');
+      assert.strictEqual(root.endTimeUnixNano, '1767225600002000000');
+      // Default labels, status labels and event labels aren't attributes.
+      assert.deepStrictEqual(root.attributes, [
+        {key: TraceLabels.HTTP_METHOD_LABEL_KEY, value: {stringValue: 'GET'}},
+      ]);
+      assert.deepStrictEqual(root.status, {
+        code: OtlpStatusCode.STATUS_CODE_ERROR,
+        message: 'oops',
+      });
+      assert.deepStrictEqual(root.events, [
+        {
+          timeUnixNano: '1767225600001000000',
+          name: 'retry',
+          attributes: [
+            {key: 'attempt', value: {intValue: '2'}},
+            {key: 'backoff', value: {doubleValue: 0.5}},
+            {key: 'final', value: {boolValue: true}},
+          ],
+        },
+      ]);
+      assert.strictEqual(child.spanId, 'ffffffffffffffff');
+      assert.strictEqual(child.parentSpanId, '00000000000000ff');
+      assert.strictEqual(child.kind, OtlpSpanKind.SPAN_KIND_CLIENT);
+      assert.deepStrictEqual(child.status, {
+        code: OtlpStatusCode.STATUS_CODE_UNSET,
+      });
+    });
+
+    it('sends JSON-encoded requests', async () => {
+      await new OtlpHttpExporter({url, encoding: 'json'}).export([
+        createTrace(),
+      ]);
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].contentType, 'application/json');
+      const request: ExportTraceServiceRequest = JSON.parse(
+        requests[0].body.toString()
+      );
+      const spans = request.resourceSpans[0].scopeSpans[0].spans;
+      assert.deepStrictEqual(
+        spans.map(span => span.name),
+        ['/users/123', 'redis-get']
+      );
+    });
+
+    it('sends protobuf-encoded requests', async () => {
+      await new OtlpHttpExporter({url}).export([createTrace()]);
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].contentType, 'application/x-protobuf');
+      const proto = await protoLoader.load(
+        `${__dirname}/fixtures/otlp-trace.proto`,
+        {longs: String, oneofs: true}
+      );
+      const service = proto[
+        'opentelemetry.proto.TraceService'
+      ] as protoLoader.ServiceDefinition;
+      const request = service.Export.requestDeserialize(
+        requests[0].body
+      ) as DecodedExportTraceServiceRequest;
+      const [root, child] = request.resourceSpans[0].scopeSpans[0].spans;
+      assert.strictEqual(
+        root.traceId.toString('hex'),
+        '0123456789abcdef0123456789abcdef'
+      );
+      assert.strictEqual(root.spanId.toString('hex'), '00000000000000ff');
+      assert.strictEqual(root.name, '/users/123');
+      assert.strictEqual(root.kind, OtlpSpanKind.SPAN_KIND_SERVER);
+      assert.strictEqual(root.startTimeUnixNano, '1767225600000000000');
+      assert.strictEqual(root.endTimeUnixNano, '1767225600002000000');
+      assert.deepStrictEqual(root.status, {
+        code: OtlpStatusCode.STATUS_CODE_ERROR,
+        message: 'oops',
+      });
+      assert.strictEqual(root.events[0].timeUnixNano, '1767225600001000000');
+      assert.deepStrictEqual(
+        root.events[0].attributes.map(attribute => attribute.value.value),
+        ['intValue', 'doubleValue', 'boolValue']
+      );
+      assert.strictEqual(child.spanId.toString('hex'), 'ffffffffffffffff');
+      assert.strictEqual(
+        child.parentSpanId.toString('hex'),
+        '00000000000000ff'
+      );
+      assert.strictEqual(
+        request.resourceSpans[0].scopeSpans[0].scope.name,
+        '@google-cloud/trace-agent'
+      );
+    });
+
+    it('throws for unknown encodings', () => {
+      assert.throws(
+        () =>
+          new OtlpHttpExporter({
+            encoding: 'xml' as 'json',
+          }),
+        /must be 'protobuf' or 'json'/
+      );
+    });
+  });
+});
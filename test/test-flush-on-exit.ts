@@ -0,0 +1,73 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {spawn} from 'child_process';
+import {describe, it} from 'mocha';
+import * as path from 'path';
+
+describe('flushOnExit', function () {
+  this.timeout(10000);
+
+  const FIXTURE = path.join(__dirname, 'fixtures', 'flush-on-exit.js');
+
+  /**
+   * Runs the fixture, sending it SIGTERM once it's ready if requested, and
+   * resolves with what it printed and how it exited. Flushing fails if
+   * failFlush is true.
+   */
+  function runFixture(
+    sigterm: boolean,
+    failFlush = false
+  ): Promise<{output: string; code: number | null; signal: string | null}> {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [
+        FIXTURE,
+        ...(sigterm ? ['SIGTERM'] : []),
+        ...(failFlush ? ['fail-flush'] : []),
+      ]);
+      let output = '';
+      child.stdout.on('data', data => {
+        output += data;
+        if (sigterm && output === 'ready\n') {
+          child.kill('SIGTERM');
+        }
+      });
+      child.on('error', reject);
+      child.on('exit', (code, signal) => resolve({output, code, signal}));
+    });
+  }
+
+  it('publishes buffered traces before the event loop empties', async () => {
+    const {output, code} = await runFixture(false);
+    assert.strictEqual(output, 'exported 2 spans\n');
+    assert.strictEqual(code, 0);
+  });
+
+  it('publishes buffered traces before terminating on SIGTERM', async () => {
+    const {output, signal} = await runFixture(true);
+    assert.strictEqual(output, 'ready\nexported 2 spans\n');
+    assert.strictEqual(signal, 'SIGTERM');
+  });
+
+  it('exits when the event loop empties if flushing fails', async () => {
+    const {code} = await runFixture(false, true);
+    assert.strictEqual(code, 0);
+  });
+
+  it('terminates on SIGTERM if flushing fails', async () => {
+    const {signal} = await runFixture(true, true);
+    assert.strictEqual(signal, 'SIGTERM');
+  });
+});
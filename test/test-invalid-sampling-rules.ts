@@ -0,0 +1,32 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it} from 'mocha';
+
+import {FORCE_NEW} from '../src/util';
+
+describe('index.js', () => {
+  it('should disable the agent when a sampling rule is invalid', () => {
+    const agent = require('../..').start({
+      projectId: '0',
+      samplingRules: [{url: '/', ratio: 1, maxTracesPerSecond: 1}],
+      logLevel: 0,
+      [FORCE_NEW]: true,
+    });
+    assert(!agent.isActive());
+  });
+});
+
+export default {};
@@ -16,6 +16,7 @@
 
 import * as assert from 'assert';
 import {describe, it, before, afterEach} from 'mocha';
+import {debugPage} from '../src/debug-page';
 import {
   PluginLoader,
   PluginLoaderState,
@@ -263,6 +264,34 @@ describe('Trace Plugin Loader', () => {
       loader.deactivate();
     });
 
+    it('records the plugins it applies for the debug page', () => {
+      debugPage.enable(
+        {
+          port: 0,
+          maxRecentTraces: 0,
+          maxRecentSamplingDecisions: 0,
+          maxSpanNames: 0,
+        },
+        logger
+      );
+      const loader = makePluginLoader({
+        plugins: {'my-version': 'plugin-my-version-1'},
+      }).activate();
+      require('my-version-1.0');
+      require('my-version-2.0');
+      loader.deactivate();
+      const appliedPlugins = debugPage.getSnapshot().appliedPlugins;
+      debugPage.disable();
+      assert.deepStrictEqual(
+        appliedPlugins.map(plugin => [
+          plugin.moduleName,
+          plugin.version,
+          plugin.pluginPath,
+        ]),
+        [['my-version', '1.0.0', 'plugin-my-version-1']]
+      );
+    });
+
     it('patches pre-releases, but warns', () => {
       const loader = makePluginLoader({
         plugins: {'my-version': 'plugin-my-version-1'},
@@ -0,0 +1,296 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it} from 'mocha';
+
+import {OpenCensusPropagation} from '../src/config';
+import {
+  B3Format,
+  createPropagation,
+  MultiFormat,
+  TraceContextFormat,
+} from '../src/propagation';
+
+type Headers = {[key: string]: string | string[]};
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const SPAN_ID = 'b7ad6b7169203331';
+
+function extract(propagation: OpenCensusPropagation, headers: Headers) {
+  return propagation.extract({getHeader: key => headers[key]});
+}
+
+function inject(
+  propagation: OpenCensusPropagation,
+  traceContext: Parameters<OpenCensusPropagation['inject']>[1]
+) {
+  const headers: {[key: string]: string} = {};
+  propagation.inject(
+    {setHeader: (key, value) => (headers[key] = value)},
+    traceContext
+  );
+  return headers;
+}
+
+describe('TraceContextFormat', () => {
+  const format = new TraceContextFormat();
+
+  describe('extract', () => {
+    it('extracts a sampled traceparent header', () => {
+      assert.deepStrictEqual(
+        extract(format, {traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`}),
+        {traceId: TRACE_ID, spanId: SPAN_ID, options: 1}
+      );
+    });
+
+    it('extracts an unsampled traceparent header', () => {
+      assert.deepStrictEqual(
+        extract(format, {traceparent: `00-${TRACE_ID}-${SPAN_ID}-00`}),
+        {traceId: TRACE_ID, spanId: SPAN_ID, options: 0}
+      );
+    });
+
+    it('extracts and merges tracestate headers', () => {
+      const result = extract(format, {
+        traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+        tracestate: ['a=1', 'b=2'],
+      });
+      assert.ok(result);
+      assert.strictEqual(result!.traceState, 'a=1,b=2');
+    });
+
+    it('accepts extra fields from future versions', () => {
+      const result = extract(format, {
+        traceparent: `cc-${TRACE_ID}-${SPAN_ID}-01-what-the-future-holds`,
+      });
+      assert.ok(result);
+      assert.strictEqual(result!.spanId, SPAN_ID);
+    });
+
+    const invalidHeaders: {[description: string]: string} = {
+      'a missing header': '',
+      'an invalid version': `ff-${TRACE_ID}-${SPAN_ID}-01`,
+      'extra fields in version 00': `00-${TRACE_ID}-${SPAN_ID}-01-extra`,
+      'an all-zero trace ID': `00-${'0'.repeat(32)}-${SPAN_ID}-01`,
+      'an all-zero span ID': `00-${TRACE_ID}-${'0'.repeat(16)}-01`,
+      'a short trace ID': `00-${TRACE_ID.slice(1)}-${SPAN_ID}-01`,
+      'uppercase characters': `00-${TRACE_ID.toUpperCase()}-${SPAN_ID}-01`,
+    };
+    for (const description of Object.keys(invalidHeaders)) {
+      it(`returns null for ${description}`, () => {
+        assert.strictEqual(
+          extract(format, {traceparent: invalidHeaders[description]}),
+          null
+        );
+      });
+    }
+  });
+
+  describe('inject', () => {
+    it('injects traceparent and tracestate headers', () => {
+      assert.deepStrictEqual(
+        inject(format, {
+          traceId: TRACE_ID,
+          spanId: SPAN_ID,
+          options: 1,
+          traceState: 'a=1',
+        }),
+        {traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`, tracestate: 'a=1'}
+      );
+    });
+
+    it('marks trace context without the traced bit as unsampled', () => {
+      assert.deepStrictEqual(
+        inject(format, {traceId: TRACE_ID, spanId: SPAN_ID}),
+        {traceparent: `00-${TRACE_ID}-${SPAN_ID}-00`}
+      );
+    });
+
+    it('pads short trace IDs', () => {
+      assert.deepStrictEqual(
+        inject(format, {traceId: 'ABC', spanId: SPAN_ID, options: 1}),
+        {traceparent: `00-${'0'.repeat(29)}abc-${SPAN_ID}-01`}
+      );
+    });
+  });
+});
+
+describe('B3Format', () => {
+  const format = new B3Format();
+
+  describe('extract', () => {
+    it('extracts 128-bit trace IDs from multiple headers', () => {
+      assert.deepStrictEqual(
+        extract(format, {
+          'x-b3-traceid': TRACE_ID,
+          'x-b3-spanid': SPAN_ID,
+          'x-b3-sampled': '1',
+        }),
+        {traceId: TRACE_ID, spanId: SPAN_ID, options: 1}
+      );
+    });
+
+    it('pads 64-bit trace IDs to 128 bits', () => {
+      assert.deepStrictEqual(
+        extract(format, {
+          'x-b3-traceid': SPAN_ID,
+          'x-b3-spanid': SPAN_ID,
+          'x-b3-sampled': '0',
+        }),
+        {traceId: `${'0'.repeat(16)}${SPAN_ID}`, spanId: SPAN_ID, options: 0}
+      );
+    });
+
+    it('maps sampling states onto trace options', () => {
+      const getOptions = (headers: Headers) => {
+        const result = extract(
+          format,
+          Object.assign(
+            {'x-b3-traceid': TRACE_ID, 'x-b3-spanid': SPAN_ID},
+            headers
+          )
+        );
+        assert.ok(result);
+        return result!.options;
+      };
+      assert.strictEqual(getOptions({'x-b3-sampled': 'true'}), 1);
+      assert.strictEqual(getOptions({'x-b3-sampled': 'false'}), 0);
+      assert.strictEqual(getOptions({'x-b3-flags': '1'}), 1);
+      // A deferred sampling decision leaves options unspecified.
+      assert.strictEqual(getOptions({}), undefined);
+    });
+
+    it('extracts the single b3 header', () => {
+      assert.deepStrictEqual(
+        extract(format, {b3: `${TRACE_ID}-${SPAN_ID}-d-${SPAN_ID}`}),
+        {traceId: TRACE_ID, spanId: SPAN_ID, options: 1}
+      );
+      assert.deepStrictEqual(extract(format, {b3: `${TRACE_ID}-${SPAN_ID}`}), {
+        traceId: TRACE_ID,
+        spanId: SPAN_ID,
+      });
+    });
+
+    it('prefers the single b3 header over multiple headers', () => {
+      const result = extract(format, {
+        b3: `${TRACE_ID}-${SPAN_ID}-0`,
+        'x-b3-traceid': TRACE_ID,
+        'x-b3-spanid': '1111111111111111',
+        'x-b3-sampled': '1',
+      });
+      assert.ok(result);
+      assert.strictEqual(result!.spanId, SPAN_ID);
+      assert.strictEqual(result!.options, 0);
+    });
+
+    it('honors a decision not to trace sent without IDs', () => {
+      const headersList: Headers[] = [{b3: '0'}, {'x-b3-sampled': '0'}];
+      for (const headers of headersList) {
+        const result = extract(format, headers);
+        assert.ok(result);
+        assert.ok(/^[0-9a-f]{32}$/.test(result!.traceId));
+        assert.strictEqual(result!.spanId, '0'.repeat(16));
+        assert.strictEqual(result!.options, 0);
+      }
+    });
+
+    const invalidHeaders: {[description: string]: Headers} = {
+      'missing headers': {},
+      'a missing span ID': {'x-b3-traceid': TRACE_ID},
+      'a decision to trace sent without IDs': {b3: '1'},
+      'a 96-bit trace ID': {
+        'x-b3-traceid': TRACE_ID.slice(8),
+        'x-b3-spanid': SPAN_ID,
+      },
+      'an all-zero span ID': {
+        'x-b3-traceid': TRACE_ID,
+        'x-b3-spanid': '0'.repeat(16),
+      },
+      'non-hex characters': {b3: `${TRACE_ID}-${SPAN_ID.replace('b', 'z')}`},
+    };
+    for (const description of Object.keys(invalidHeaders)) {
+      it(`returns null for ${description}`, () => {
+        assert.strictEqual(extract(format, invalidHeaders[description]), null);
+      });
+    }
+  });
+
+  describe('inject', () => {
+    it('injects multiple B3 headers', () => {
+      assert.deepStrictEqual(
+        inject(format, {traceId: TRACE_ID, spanId: SPAN_ID, options: 1}),
+        {
+          'x-b3-traceid': TRACE_ID,
+          'x-b3-spanid': SPAN_ID,
+          'x-b3-sampled': '1',
+        }
+      );
+    });
+
+    it('omits the sampling state when trace options are unspecified', () => {
+      assert.deepStrictEqual(
+        inject(format, {traceId: TRACE_ID, spanId: SPAN_ID}),
+        {'x-b3-traceid': TRACE_ID, 'x-b3-spanid': SPAN_ID}
+      );
+    });
+  });
+});
+
+describe('MultiFormat', () => {
+  const format = createPropagation('multi');
+
+  it('is a MultiFormat', () => {
+    assert.ok(format instanceof MultiFormat);
+  });
+
+  it('extracts trace context from either format', () => {
+    assert.deepStrictEqual(
+      extract(format, {'x-cloud-trace-context': `${TRACE_ID}/1;o=1`}),
+      {traceId: TRACE_ID, spanId: '0000000000000001', options: 1}
+    );
+    assert.deepStrictEqual(
+      extract(format, {traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`}),
+      {traceId: TRACE_ID, spanId: SPAN_ID, options: 1}
+    );
+  });
+
+  it('prefers traceparent when both formats are present', () => {
+    const result = extract(format, {
+      'x-cloud-trace-context': `${TRACE_ID}/1;o=1`,
+      traceparent: `00-${TRACE_ID}-${SPAN_ID}-00`,
+    });
+    assert.ok(result);
+    assert.strictEqual(result!.spanId, SPAN_ID);
+    assert.strictEqual(result!.options, 0);
+  });
+
+  it('injects trace context in both formats', () => {
+    const headers = inject(format, {
+      traceId: TRACE_ID,
+      spanId: SPAN_ID,
+      options: 1,
+    });
+    assert.strictEqual(headers.traceparent, `00-${TRACE_ID}-${SPAN_ID}-01`);
+    assert.ok(headers['x-cloud-trace-context']);
+  });
+});
+
+describe('createPropagation', () => {
+  it('throws for unrecognized formats', () => {
+    assert.throws(() =>
+      createPropagation('unknown' as Parameters<typeof createPropagation>[0])
+    );
+  });
+});
@@ -0,0 +1,167 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it, beforeEach} from 'mocha';
+
+import {LabelRedactor, LabelRedactorConfig} from '../src/redaction';
+import {TraceLabels} from '../src/trace-labels';
+
+import {TestLogger} from './logger';
+
+describe('LabelRedactor', () => {
+  const logger = new TestLogger();
+
+  function createRedactor(config: Partial<LabelRedactorConfig> = {}) {
+    return new LabelRedactor(
+      Object.assign({denyKeys: [], valuePatterns: [], scrubSql: true}, config),
+      logger
+    );
+  }
+
+  beforeEach(() => {
+    logger.clearLogs();
+  });
+
+  it('leaves labels without sensitive data alone', () => {
+    const redactor = createRedactor();
+    assert.strictEqual(redactor.redact('key', 'value'), 'value');
+    assert.strictEqual(
+      redactor.redact(TraceLabels.HTTP_URL_LABEL_KEY, 'http://host/path?a=1'),
+      'http://host/path?a=1'
+    );
+  });
+
+  it('redacts labels with denied keys', () => {
+    const redactor = createRedactor({denyKeys: ['SSN']});
+    assert.strictEqual(redactor.redact('db_password', 'hunter2'), '[REDACTED]');
+    assert.strictEqual(redactor.redact('Authorization', 'x'), '[REDACTED]');
+    assert.strictEqual(redactor.redact('user.ssn', '123'), '[REDACTED]');
+  });
+
+  it('redacts values of denied keys inside label values', () => {
+    const redactor = createRedactor();
+    assert.strictEqual(
+      redactor.redact('metadata', '{"authorization":"abc","user":"me"}'),
+      '{"authorization":"[REDACTED]","user":"me"}'
+    );
+    assert.strictEqual(
+      redactor.redact('arguments', "{ password: 'a b', id: 1 }"),
+      "{ password: '[REDACTED]', id: 1 }"
+    );
+    assert.strictEqual(
+      redactor.redact(
+        TraceLabels.HTTP_URL_LABEL_KEY,
+        'https://host/path?access_token=abc&page=2'
+      ),
+      'https://host/path?access_token=[REDACTED]&page=2'
+    );
+    assert.strictEqual(
+      redactor.redact('arguments', 'a=password=abc'),
+      'a=password=[REDACTED]'
+    );
+  });
+
+  it('redacts large values in linear time', () => {
+    const redactor = createRedactor();
+    const size = 1 << 16;
+    const values = [
+      'a'.repeat(size),
+      'a='.repeat(size / 2),
+      'password'.repeat(size / 8),
+      'password="'.repeat(size / 10),
+      `${'-'.repeat(size)}@`,
+    ];
+    for (const value of values) {
+      const start = Date.now();
+      redactor.redact('result', value);
+      const elapsed = Date.now() - start;
+      assert.ok(
+        elapsed < 500,
+        `Redacting ${value.slice(0, 10)}... took ${elapsed} ms`
+      );
+    }
+  });
+
+  it('redacts user information in URLs', () => {
+    const redactor = createRedactor();
+    assert.strictEqual(
+      redactor.redact(TraceLabels.HTTP_URL_LABEL_KEY, 'http://me:pw@host/'),
+      'http://[REDACTED]@host/'
+    );
+  });
+
+  it('redacts emails, card numbers and bearer tokens', () => {
+    const redactor = createRedactor();
+    assert.strictEqual(
+      redactor.redact('result', 'mail a.b+c@example.com now'),
+      'mail [REDACTED] now'
+    );
+    assert.strictEqual(
+      redactor.redact('values', "[ '4111 1111 1111 1111', 1234567890123 ]"),
+      "[ '[REDACTED]', 1234567890123 ]"
+    );
+    assert.strictEqual(
+      redactor.redact('header', 'Bearer abc.def-ghi=='),
+      'Bearer [REDACTED]'
+    );
+  });
+
+  it('redacts matches of user-given patterns', () => {
+    const redactor = createRedactor({
+      valuePatterns: ['\\d{3}-\\d{2}-\\d{4}', /secret-\w+/i],
+    });
+    assert.strictEqual(
+      redactor.redact('result', '123-45-6789 SECRET-a secret-b'),
+      '[REDACTED] [REDACTED] [REDACTED]'
+    );
+  });
+
+  it('scrubs literals from SQL statements', () => {
+    const redactor = createRedactor();
+    assert.strictEqual(
+      redactor.redact(
+        'query',
+        "SELECT * FROM t1 WHERE name = 'O''Brien' AND age > 42.5 AND id = $1"
+      ),
+      'SELECT * FROM t1 WHERE name = ? AND age > ? AND id = $1'
+    );
+    assert.strictEqual(
+      createRedactor({scrubSql: false}).redact('sql', 'SELECT 1'),
+      'SELECT 1'
+    );
+    // Only SQL labels are scrubbed.
+    assert.strictEqual(redactor.redact('result', "'a' 1"), "'a' 1");
+  });
+
+  it('calls the user-given redact function last', () => {
+    const redactor = createRedactor({
+      redact: (key, value) => `${key}:${value}`,
+    });
+    assert.strictEqual(
+      redactor.redact('arguments', 'token=abc'),
+      'arguments:token=[REDACTED]'
+    );
+  });
+
+  it('redacts the label if the user-given redact function throws', () => {
+    const redactor = createRedactor({
+      redact: () => {
+        throw new Error();
+      },
+    });
+    assert.strictEqual(redactor.redact('key', 'value'), '[REDACTED]');
+    assert.strictEqual(logger.getNumLogsWith('error', 'redact'), 1);
+  });
+});
@@ -15,7 +15,7 @@
 import * as assert from 'assert';
 import {describe, it, before, after, beforeEach} from 'mocha';
 
-import {Constants} from '../src/constants';
+import {Constants, SpanStatusCode} from '../src/constants';
 import {ChildSpanData, RootSpanData} from '../src/span-data';
 import {Trace} from '../src/trace';
 import {TraceLabels} from '../src/trace-labels';
@@ -197,6 +197,71 @@ describe('SpanData', () => {
       myFunction();
     });
 
+    it('adds numbered event labels', () => {
+      const spanData = new CommonSpanData(trace, 'name', '0', 0);
+      spanData.addEvent('first');
+      spanData.addEvent('second', {a: 1});
+      // Values are truncated because of maximumLabelValueSize.
+      assert.ok(spanData.span.labels['/event/0'].startsWith('{"time":'));
+      assert.ok(spanData.span.labels['/event/1'].startsWith('{"time":'));
+      assert.ok(!spanData.span.labels['/event/2']);
+    });
+
+    it('sets and replaces the status', () => {
+      const spanData = new CommonSpanData(trace, 'name', '0', 0);
+      spanData.setStatus(SpanStatusCode.ERROR, 'failed');
+      assert.strictEqual(
+        spanData.span.labels[TraceLabels.STATUS_CODE],
+        SpanStatusCode.ERROR
+      );
+      assert.strictEqual(
+        spanData.span.labels[TraceLabels.STATUS_MESSAGE],
+        'failed'
+      );
+      spanData.setStatus(SpanStatusCode.OK);
+      assert.strictEqual(
+        spanData.span.labels[TraceLabels.STATUS_CODE],
+        SpanStatusCode.OK
+      );
+      assert.ok(!(TraceLabels.STATUS_MESSAGE in spanData.span.labels));
+    });
+
+    it('records exceptions', () => {
+      function throwingFunction() {
+        throw new TypeError('bad');
+      }
+      const spanData = new CommonSpanData(trace, 'name', '0', 0);
+      try {
+        throwingFunction();
+      } catch (err) {
+        spanData.recordException(err);
+      }
+      const labels = spanData.span.labels;
+      assert.strictEqual(labels[TraceLabels.ERROR_DETAILS_NAME], 'TypeError');
+      assert.strictEqual(labels[TraceLabels.ERROR_DETAILS_MESSAGE], 'bad');
+      assert.strictEqual(labels[TraceLabels.STATUS_CODE], SpanStatusCode.ERROR);
+      assert.strictEqual(labels[TraceLabels.STATUS_MESSAGE], 'bad');
+      const frames = JSON.parse(labels[TraceLabels.ERROR_DETAILS_STACK_TRACE]);
+      assert.strictEqual(
+        frames.stack_frame.length,
+        traceWriter.get().getConfig().stackTraceLimit
+      );
+      assert.strictEqual(frames.stack_frame[0].method_name, 'throwingFunction');
+      assert.ok(frames.stack_frame[0].file_name.endsWith('test-span-data.ts'));
+    });
+
+    it('records exceptions that are not errors', () => {
+      const spanData = new CommonSpanData(trace, 'name', '0', 0);
+      spanData.setStatus(SpanStatusCode.OK);
+      spanData.recordException('oops');
+      const labels = spanData.span.labels;
+      assert.strictEqual(labels[TraceLabels.ERROR_DETAILS_NAME], 'Error');
+      assert.strictEqual(labels[TraceLabels.ERROR_DETAILS_MESSAGE], "'oops'");
+      assert.ok(!labels[TraceLabels.ERROR_DETAILS_STACK_TRACE]);
+      // An explicitly set status isn't overwritten.
+      assert.strictEqual(labels[TraceLabels.STATUS_CODE], SpanStatusCode.OK);
+    });
+
     // Dependent on ./fixtures/source-maps-test
     describe('stack traces with/without source maps', () => {
       const sourceMapTypes = [
@@ -266,6 +331,23 @@ describe('SpanData', () => {
       );
     });
 
+    it('creates grandchild spans through child spans', () => {
+      const rootSpanData = new RootSpanData(trace, 'root', '0', 0);
+      const childSpanData = rootSpanData.createChildSpan({
+        name: 'child',
+      }) as ChildSpanData;
+      const grandchildSpanData = childSpanData.createChildSpan({
+        name: 'grandchild',
+      }) as ChildSpanData;
+      assert.strictEqual(
+        grandchildSpanData.span.parentSpanId,
+        childSpanData.span.spanId
+      );
+      assert.strictEqual(grandchildSpanData.trace, trace);
+      assert.strictEqual(grandchildSpanData.root, rootSpanData);
+      assert.strictEqual(trace.spans.length, 3);
+    });
+
     it('writes to a Trace Writer when ended', () => {
       const rootSpanData = new RootSpanData(trace, 'root', '0', 0);
       rootSpanData.endSpan();
@@ -316,5 +398,33 @@ describe('SpanData', () => {
       secondChildSpanData.endSpan();
       assert.ok(!capturedTrace);
     });
+
+    it('if already ended, allows open descendant spans to publish themselves later', () => {
+      const rootSpanData = new RootSpanData(trace, 'root', '0', 0);
+      const childSpanData = rootSpanData.createChildSpan({
+        name: 'child',
+      }) as ChildSpanData;
+      const grandchildSpanData = childSpanData.createChildSpan({
+        name: 'grandchild',
+      }) as ChildSpanData;
+      // End the child span, but not its own child.
+      childSpanData.endSpan();
+      rootSpanData.endSpan();
+      assert.ok(capturedTrace);
+      capturedTrace = null;
+      // Spans created after the root span ended should also publish themselves.
+      const lateSpanData = childSpanData.createChildSpan({
+        name: 'late',
+      }) as ChildSpanData;
+      grandchildSpanData.endSpan();
+      assert.ok(capturedTrace);
+      assert.strictEqual(capturedTrace!.spans.length, 1);
+      assert.strictEqual(capturedTrace!.spans[0], grandchildSpanData.span);
+      capturedTrace = null;
+      lateSpanData.endSpan();
+      assert.ok(capturedTrace);
+      assert.strictEqual(capturedTrace!.spans.length, 1);
+      assert.strictEqual(capturedTrace!.spans[0], lateSpanData.span);
+    });
   });
 });
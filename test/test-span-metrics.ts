@@ -0,0 +1,221 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import * as http from 'http';
+import {describe, it, before, after} from 'mocha';
+import {AddressInfo} from 'net';
+
+import {Config} from '../src/config';
+import {PluginTypes} from '../src';
+import {
+  OVERFLOW_SPAN_NAME,
+  spanMetrics,
+  spanMetricsHandler,
+} from '../src/span-metrics';
+import {SpanKind} from '../src/trace';
+import {TraceLabels} from '../src/trace-labels';
+
+import * as traceTestModule from './trace';
+
+describe('span metrics', () => {
+  function start(config: Config): PluginTypes.Tracer {
+    return traceTestModule.start(
+      Object.assign({spanMetrics: {enabled: true}}, config)
+    );
+  }
+
+  /**
+   * Returns the value of the sample with the given metric name and labels.
+   */
+  function getSample(
+    metricName: string,
+    labels: {[key: string]: string}
+  ): number | undefined {
+    const labelText = Object.keys(labels)
+      .map(key => `${key}="${labels[key]}"`)
+      .join(',');
+    const prefix = `${metricName}{${labelText}} `;
+    const line = spanMetrics
+      .getPrometheusText()
+      .split('\n')
+      .find(line => line.startsWith(prefix));
+    return line === undefined ? undefined : Number(line.slice(prefix.length));
+  }
+
+  function getCount(
+    spanName: string,
+    spanKind: string,
+    statusClass: string
+  ): number | undefined {
+    return getSample('trace_agent_span_duration_seconds_count', {
+      span_name: spanName,
+      span_kind: spanKind,
+      status_class: statusClass,
+    });
+  }
+
+  before(() => {
+    traceTestModule.setCLSForTest();
+  });
+
+  after(() => {
+    spanMetrics.disable();
+    traceTestModule.setCLSForTest(traceTestModule.TestCLS);
+  });
+
+  it('is disabled by default', () => {
+    const tracer = traceTestModule.start();
+    tracer.runInRootSpan({name: 'root'}, rootSpan => rootSpan.endSpan());
+    assert.ok(!spanMetrics.isEnabled());
+    assert.strictEqual(getCount('root', 'server', 'ok'), undefined);
+  });
+
+  it('records sampled root and child spans', () => {
+    const tracer = start({});
+    tracer.runInRootSpan({name: 'root'}, rootSpan => {
+      rootSpan.addLabel(TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY, 200);
+      tracer.createChildSpan({name: 'child'}).endSpan();
+      tracer.createChildSpan({name: 'child'}).endSpan();
+      rootSpan.endSpan();
+    });
+    assert.strictEqual(getCount('root', 'server', '2xx'), 1);
+    assert.strictEqual(getCount('child', 'client', 'ok'), 2);
+  });
+
+  it('records unsampled root and child spans', () => {
+    const tracer = start({samplingRate: -1, rootSpanNameFromRoute: true});
+    tracer.runInRootSpan({name: 'root', method: 'GET'}, rootSpan => {
+      assert.ok(!tracer.isRealSpan(rootSpan));
+      tracer.setRootSpanRoute!(rootSpan, '/users/:id');
+      rootSpan.addLabel(TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY, 503);
+      const childSpan = tracer.createChildSpan({name: 'child'});
+      childSpan.recordException!(new Error('boom'));
+      childSpan.endSpan();
+      childSpan.endSpan();
+      tracer.createChildSpan({name: 'other-child'}).endSpan();
+      rootSpan.endSpan();
+    });
+    assert.strictEqual(getCount('GET /users/:id', 'server', '5xx'), 1);
+    assert.strictEqual(getCount('child', 'client', 'error'), 1);
+    assert.strictEqual(getCount('other-child', 'client', 'ok'), 1);
+    assert.strictEqual(
+      getSample('trace_agent_span_errors_total', {
+        span_name: 'child',
+        span_kind: 'client',
+        status_class: 'error',
+      }),
+      1
+    );
+  });
+
+  it('records spans with an error status', () => {
+    const tracer = start({});
+    tracer.runInRootSpan({name: 'root'}, rootSpan => {
+      rootSpan.setStatus!(tracer.spanStatusCodes!.ERROR);
+      rootSpan.endSpan();
+    });
+    assert.strictEqual(getCount('root', 'server', 'error'), 1);
+  });
+
+  it('counts spans with new names under an overflow name', () => {
+    const tracer = start({spanMetrics: {enabled: true, maxSpanNames: 2}});
+    for (const name of ['a', 'b', 'c', 'd', 'a']) {
+      tracer.runInRootSpan({name}, rootSpan => rootSpan.endSpan());
+    }
+    assert.strictEqual(getCount('a', 'server', 'ok'), 2);
+    assert.strictEqual(getCount('b', 'server', 'ok'), 1);
+    assert.strictEqual(getCount('c', 'server', 'ok'), undefined);
+    assert.strictEqual(getCount(OVERFLOW_SPAN_NAME, 'server', 'ok'), 2);
+  });
+
+  it('exports latency histograms in the Prometheus text format', () => {
+    spanMetrics.enable({maxSpanNames: 10});
+    spanMetrics.recordSpan('a"\\\n', SpanKind.SPAN_KIND_UNSPECIFIED, {}, 20);
+    spanMetrics.recordSpan('a"\\\n', SpanKind.SPAN_KIND_UNSPECIFIED, {}, 20000);
+    const labels =
+      'span_name="a\\"\\\\\\n",span_kind="internal",status_class="ok"';
+    const lines = spanMetrics.getPrometheusText().split('\n');
+    const name = 'trace_agent_span_duration_seconds';
+    assert.ok(lines.includes(`# TYPE ${name} histogram`));
+    assert.ok(lines.includes(`${name}_bucket{${labels},le="0.01"} 0`));
+    assert.ok(lines.includes(`${name}_bucket{${labels},le="0.025"} 1`));
+    assert.ok(lines.includes(`${name}_bucket{${labels},le="10"} 1`));
+    assert.ok(lines.includes(`${name}_bucket{${labels},le="+Inf"} 2`));
+    assert.ok(lines.includes(`${name}_sum{${labels}} 20.02`));
+    assert.ok(lines.includes(`${name}_count{${labels}} 2`));
+    assert.ok(lines.includes('# TYPE trace_agent_span_errors_total counter'));
+    assert.ok(lines.includes(`trace_agent_span_errors_total{${labels}} 0`));
+  });
+
+  it('discards what was recorded when the agent is restarted', () => {
+    const tracer = start({});
+    tracer.runInRootSpan({name: 'root'}, rootSpan => rootSpan.endSpan());
+    start({});
+    assert.strictEqual(getCount('root', 'server', 'ok'), undefined);
+  });
+
+  describe('spanMetricsHandler', () => {
+    let server: http.Server;
+    let port: number;
+
+    function get(): Promise<{res: http.IncomingMessage; body: string}> {
+      return new Promise((resolve, reject) => {
+        http
+          .get({host: '127.0.0.1', port, path: '/metrics'}, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => (body += chunk));
+            res.on('end', () => resolve({res, body}));
+          })
+          .on('error', reject);
+      });
+    }
+
+    before(async () => {
+      server = http.createServer(spanMetricsHandler);
+      await new Promise<void>(resolve =>
+        server.listen(0, '127.0.0.1', resolve)
+      );
+      port = (server.address() as AddressInfo).port;
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    it('responds with 404 if span metrics are not enabled', async () => {
+      traceTestModule.start();
+      const {res} = await get();
+      assert.strictEqual(res.statusCode, 404);
+    });
+
+    it('serves metrics in the Prometheus text format', async () => {
+      const tracer = start({});
+      tracer.runInRootSpan({name: 'root'}, rootSpan => rootSpan.endSpan());
+      const {res, body} = await get();
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(
+        res.headers['content-type'],
+        'text/plain; version=0.0.4; charset=utf-8'
+      );
+      assert.strictEqual(body, spanMetrics.getPrometheusText());
+      assert.ok(
+        body.includes(
+          'trace_agent_span_duration_seconds_count{span_name="root",span_kind="server",status_class="ok"} 1'
+        )
+      );
+    });
+  });
+});
@@ -0,0 +1,165 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it, beforeEach} from 'mocha';
+
+import {SpanStatusCode} from '../src/constants';
+import {spanStats} from '../src/stats';
+import {TailSampler, TailSamplerConfig} from '../src/tail-sampling';
+import {SpanKind, Trace, TraceSpan} from '../src/trace';
+import {TraceLabels} from '../src/trace-labels';
+
+import {TestLogger} from './logger';
+import {wait} from './utils';
+
+function createSpan(durationMillis: number, labels = {}): TraceSpan {
+  const start = Date.now();
+  return {
+    labels,
+    startTime: new Date(start).toISOString(),
+    endTime: new Date(start + durationMillis).toISOString(),
+    kind: SpanKind.RPC_SERVER,
+    name: 'span',
+    spanId: '1',
+  };
+}
+
+function createTrace(...spans: TraceSpan[]): Trace {
+  return {projectId: '0', traceId: '1', spans};
+}
+
+describe('TailSampler', () => {
+  const logger = new TestLogger();
+
+  function createTailSampler(config: Partial<TailSamplerConfig>) {
+    return new TailSampler(
+      Object.assign(
+        {
+          latencyThresholdMillis: 1000,
+          keepErrors: true,
+          maxPendingTraces: 10,
+          pendingTraceTimeoutMillis: 60000,
+        },
+        config
+      ),
+      logger
+    );
+  }
+
+  /**
+   * Starts and ends a trace with the given sampler, returning whether it was
+   * kept.
+   */
+  function keeps(sampler: TailSampler, trace: Trace) {
+    assert.ok(sampler.startTrace(trace));
+    return sampler.endTrace(trace, trace.spans[0]);
+  }
+
+  beforeEach(() => {
+    logger.clearLogs();
+    spanStats.reset();
+  });
+
+  it('keeps slow traces', () => {
+    const sampler = createTailSampler({latencyThresholdMillis: 500});
+    assert.ok(!keeps(sampler, createTrace(createSpan(499))));
+    assert.ok(keeps(sampler, createTrace(createSpan(500))));
+  });
+
+  it('keeps traces with server errors', () => {
+    const sampler = createTailSampler({});
+    const ok = {[TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY]: '404'};
+    const serverError = {[TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY]: '503'};
+    assert.ok(!keeps(sampler, createTrace(createSpan(0, ok))));
+    assert.ok(
+      keeps(sampler, createTrace(createSpan(0, ok), createSpan(0, serverError)))
+    );
+  });
+
+  it('keeps traces with error names', () => {
+    const sampler = createTailSampler({});
+    const error = {[TraceLabels.ERROR_DETAILS_NAME]: 'TypeError'};
+    assert.ok(keeps(sampler, createTrace(createSpan(0), createSpan(0, error))));
+  });
+
+  it('keeps traces with an error status', () => {
+    const sampler = createTailSampler({});
+    const ok = {[TraceLabels.STATUS_CODE]: SpanStatusCode.OK};
+    const error = {[TraceLabels.STATUS_CODE]: SpanStatusCode.ERROR};
+    assert.ok(!keeps(sampler, createTrace(createSpan(0, ok))));
+    assert.ok(keeps(sampler, createTrace(createSpan(0), createSpan(0, error))));
+  });
+
+  it("doesn't keep errors if keepErrors is false", () => {
+    const sampler = createTailSampler({keepErrors: false});
+    const error = {[TraceLabels.ERROR_DETAILS_NAME]: 'TypeError'};
+    assert.ok(!keeps(sampler, createTrace(createSpan(0, error))));
+  });
+
+  it('keeps traces accepted by shouldKeep', () => {
+    const sampler = createTailSampler({
+      shouldKeep: trace => trace.spans.length > 1,
+    });
+    assert.ok(!keeps(sampler, createTrace(createSpan(0))));
+    assert.ok(keeps(sampler, createTrace(createSpan(0), createSpan(0))));
+  });
+
+  it("logs errors thrown by shouldKeep and doesn't keep the trace", () => {
+    const sampler = createTailSampler({
+      shouldKeep: () => {
+        throw new Error();
+      },
+    });
+    assert.ok(!keeps(sampler, createTrace(createSpan(0))));
+    assert.strictEqual(logger.getNumLogsWith('error', 'shouldKeep'), 1);
+  });
+
+  it('limits the number of pending traces', () => {
+    const sampler = createTailSampler({maxPendingTraces: 2});
+    const traces = [0, 1, 2].map(() => createTrace(createSpan(0)));
+    assert.ok(sampler.startTrace(traces[0]));
+    assert.ok(sampler.startTrace(traces[1]));
+    assert.ok(!sampler.startTrace(traces[2]));
+    sampler.endTrace(traces[0], traces[0].spans[0]);
+    assert.ok(sampler.startTrace(traces[2]));
+  });
+
+  it('releases room held by traces whose root span never ends', async () => {
+    const sampler = createTailSampler({
+      maxPendingTraces: 1,
+      pendingTraceTimeoutMillis: 50,
+    });
+    const neverEnding = createTrace(createSpan(0));
+    const trace = createTrace(createSpan(0));
+    assert.ok(sampler.startTrace(neverEnding));
+    assert.ok(!sampler.startTrace(trace));
+    await wait(100);
+    assert.ok(sampler.startTrace(trace));
+    // A trace that ends after its room was released is still decided on, and
+    // doesn't release room held by other traces.
+    assert.ok(!sampler.endTrace(neverEnding, neverEnding.spans[0]));
+    assert.ok(!sampler.startTrace(createTrace(createSpan(0))));
+  });
+
+  it('counts decisions in stats', () => {
+    const sampler = createTailSampler({});
+    keeps(sampler, createTrace(createSpan(0)));
+    keeps(sampler, createTrace(createSpan(2000)));
+    keeps(sampler, createTrace(createSpan(2000)));
+    const stats = spanStats.getStats();
+    assert.strictEqual(stats.tracesKeptByTailSampling, 2);
+    assert.strictEqual(stats.tracesDroppedByTailSampling, 1);
+  });
+});
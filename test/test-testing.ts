@@ -0,0 +1,125 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it, beforeEach, afterEach} from 'mocha';
+
+import {PluginTypes} from '../src';
+import * as testing from '../src/testing';
+import {neverTrace} from '../src/tracing-policy';
+
+describe('testing entry point', () => {
+  let tracer: PluginTypes.Tracer;
+
+  beforeEach(() => {
+    tracer = testing.start({logLevel: 0});
+  });
+
+  afterEach(() => {
+    testing.reset();
+  });
+
+  /**
+   * Records a trace with a root span, two child spans of it, and a child span
+   * of the first of those.
+   */
+  function recordTrace(rootName: string) {
+    tracer.runInRootSpan({name: rootName}, rootSpan => {
+      tracer.runInChildSpan!({name: 'db.query'}, querySpan => {
+        querySpan.addLabel('table', 'users');
+        tracer.createChildSpan({name: 'db.connect'}).endSpan();
+        querySpan.endSpan();
+      });
+      const renderSpan = tracer.createChildSpan({name: 'render'});
+      renderSpan.addLabel('table', 'none');
+      renderSpan.endSpan();
+      rootSpan.endSpan();
+    });
+  }
+
+  it('captures traces as soon as their root span ends', () => {
+    recordTrace('request');
+    const traces = testing.getTraces();
+    assert.strictEqual(traces.length, 1);
+    assert.strictEqual(traces[0].projectId, '0');
+    assert.deepStrictEqual(traces[0].spans.map(span => span.name).sort(), [
+      'db.connect',
+      'db.query',
+      'render',
+      'request',
+    ]);
+  });
+
+  it('traces every request by default', () => {
+    for (let i = 0; i < 20; i++) {
+      recordTrace(`request-${i}`);
+    }
+    tracer.runInRootSpan({name: 'health', url: '/_ah/health'}, rootSpan =>
+      rootSpan.endSpan()
+    );
+    assert.strictEqual(testing.getTraces().length, 21);
+  });
+
+  it('uses the trace policy in the given configuration', () => {
+    tracer = testing.start({logLevel: 0, tracePolicy: neverTrace()});
+    recordTrace('request');
+    assert.deepStrictEqual(testing.getTraces(), []);
+  });
+
+  it('queries spans by name, labels and parent', () => {
+    recordTrace('first');
+    recordTrace('second');
+    assert.strictEqual(testing.getSpans().length, 8);
+    assert.strictEqual(testing.getSpans({name: 'db.query'}).length, 2);
+    assert.strictEqual(testing.getSpans({name: /^db\./}).length, 4);
+    assert.strictEqual(testing.getSpans({labels: {table: 'users'}}).length, 2);
+    const root = testing.getOneSpan({name: 'first'});
+    assert.deepStrictEqual(
+      testing
+        .getSpans({parentSpanId: root.spanId})
+        .map(span => span.name)
+        .sort(),
+      ['db.query', 'render']
+    );
+    assert.strictEqual(
+      testing.getSpans({name: 'db.query', parentName: 'second'}).length,
+      1
+    );
+    assert.strictEqual(
+      testing.getSpans({labels: {table: 'users'}, parentName: 'db.query'})
+        .length,
+      0
+    );
+  });
+
+  it('throws if not exactly one span matches a query for one span', () => {
+    recordTrace('first');
+    recordTrace('second');
+    assert.throws(
+      () => testing.getOneSpan({name: 'db.query'}),
+      /Expected one span to match {"name":"db.query"}, but found 2/
+    );
+    assert.throws(
+      () => testing.getOneSpan({name: /missing/}),
+      /Expected one span to match {"name":"\/missing\/"}, but found 0/
+    );
+  });
+
+  it('discards captured traces when reset', () => {
+    recordTrace('request');
+    testing.reset();
+    assert.deepStrictEqual(testing.getTraces(), []);
+    assert.deepStrictEqual(testing.getSpans(), []);
+  });
+});
@@ -24,14 +24,19 @@ import {
   SetHeaderFunction as HeaderSetter,
 } from '../src/config';
 import {SpanType} from '../src/constants';
+import {B3Format} from '../src/propagation';
+import {LabelRedactor} from '../src/redaction';
+import {spanStats} from '../src/stats';
+import {TailSampler} from '../src/tail-sampling';
 import {
   StackdriverTracer,
   StackdriverTracerComponents,
   StackdriverTracerConfig,
 } from '../src/trace-api';
+import {TraceLabels} from '../src/trace-labels';
 import {traceWriter} from '../src/trace-writer';
 import {alwaysTrace, neverTrace} from '../src/tracing-policy';
-import {FORCE_NEW, TraceContext} from '../src/util';
+import {FORCE_NEW, spanIdToHex, TraceContext} from '../src/util';
 
 import {TestLogger} from './logger';
 import * as testTraceModule from './trace';
@@ -140,6 +145,34 @@ describe('Trace Interface', () => {
       assert.strictEqual(rootSpanData.labels.key, 'val');
     });
 
+    it('should name root spans after routes when configured to', () => {
+      const traceAPI = createTraceAgent({rootSpanNameFromRoute: true});
+      traceAPI.runInRootSpan({name: '/users/123', method: 'GET'}, rootSpan => {
+        traceAPI.setRootSpanRoute(rootSpan, '/users/:id');
+        rootSpan.endSpan();
+      });
+      traceAPI.runInRootSpan({name: '/missing', method: 'GET'}, rootSpan => {
+        rootSpan.endSpan();
+      });
+      traceAPI.runInRootSpan({name: '/users/456'}, rootSpan => {
+        traceAPI.setRootSpanRoute(rootSpan, /^\/users\/\d+$/);
+        rootSpan.endSpan();
+      });
+      assert.deepStrictEqual(
+        testTraceModule.getSpans().map(span => span.name),
+        ['GET /users/:id', '/missing', '/^\\/users\\/\\d+$/']
+      );
+    });
+
+    it('should not name root spans after routes by default', () => {
+      const traceAPI = createTraceAgent();
+      traceAPI.runInRootSpan({name: '/users/123', method: 'GET'}, rootSpan => {
+        traceAPI.setRootSpanRoute(rootSpan, '/users/:id');
+        rootSpan.endSpan();
+      });
+      testTraceModule.getOneSpan(span => span.name === '/users/123');
+    });
+
     it('should allow sequential root spans', () => {
       const traceAPI = createTraceAgent();
       traceAPI.runInRootSpan({name: 'root1'}, rootSpan => {
@@ -176,6 +209,107 @@ describe('Trace Interface', () => {
       });
     });
 
+    it('should nest child spans under the span passed to runInChildSpan', () => {
+      const traceAPI = createTraceAgent();
+      traceAPI.runInRootSpan({name: 'root'}, rootSpan => {
+        const result = traceAPI.runInChildSpan({name: 'outer'}, outerSpan => {
+          assert.strictEqual(outerSpan.type, SpanType.CHILD);
+          // The current root span is unaffected by the active child span.
+          assert.strictEqual(traceAPI.getCurrentRootSpan(), rootSpan);
+          traceAPI.createChildSpan({name: 'inner'}).endSpan();
+          outerSpan.endSpan();
+          return 'result';
+        });
+        assert.strictEqual(result, 'result');
+        traceAPI.createChildSpan({name: 'sibling'}).endSpan();
+        rootSpan.endSpan();
+      });
+      const rootSpanData = testTraceModule.getOneSpan(
+        span => span.name === 'root'
+      );
+      const outerSpanData = testTraceModule.getOneSpan(
+        span => span.name === 'outer'
+      );
+      const innerSpanData = testTraceModule.getOneSpan(
+        span => span.name === 'inner'
+      );
+      const siblingSpanData = testTraceModule.getOneSpan(
+        span => span.name === 'sibling'
+      );
+      assert.strictEqual(outerSpanData.parentSpanId, rootSpanData.spanId);
+      assert.strictEqual(innerSpanData.parentSpanId, outerSpanData.spanId);
+      assert.strictEqual(siblingSpanData.parentSpanId, rootSpanData.spanId);
+    });
+
+    it('should propagate the active child span across async boundaries', done => {
+      const traceAPI = createTraceAgent();
+      traceAPI.runInRootSpan({name: 'root'}, rootSpan => {
+        traceAPI.runInChildSpan({name: 'outer'}, outerSpan => {
+          setImmediate(() => {
+            traceAPI.createChildSpan({name: 'inner'}).endSpan();
+            outerSpan.endSpan();
+            rootSpan.endSpan();
+            const outerSpanData = testTraceModule.getOneSpan(
+              span => span.name === 'outer'
+            );
+            const innerSpanData = testTraceModule.getOneSpan(
+              span => span.name === 'inner'
+            );
+            assert.strictEqual(
+              innerSpanData.parentSpanId,
+              outerSpanData.spanId
+            );
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not allow root spans to be created within child spans', () => {
+      const traceAPI = createTraceAgent();
+      traceAPI.runInRootSpan({name: 'root1'}, rootSpan => {
+        traceAPI.runInChildSpan({name: 'child'}, childSpan => {
+          traceAPI.runInRootSpan({name: 'root2'}, notRootSpan => {
+            assert.strictEqual(notRootSpan.type, SpanType.UNCORRELATED);
+          });
+          childSpan.endSpan();
+        });
+        rootSpan.endSpan();
+      });
+      assert.strictEqual(testTraceModule.getTraces().length, 1);
+    });
+
+    it('should run in phantom child spans when there is no root span', () => {
+      const traceAPI = createTraceAgent();
+      const result = traceAPI.runInChildSpan({name: 'child'}, childSpan => {
+        assert.strictEqual(childSpan.type, SpanType.UNCORRELATED);
+        assert.strictEqual(
+          traceAPI.getCurrentRootSpan().type,
+          SpanType.UNCORRELATED
+        );
+        return 'result';
+      });
+      assert.strictEqual(result, 'result');
+    });
+
+    it('should enforce span limits across nested child spans', () => {
+      const tracer = createTraceAgent({
+        spansPerTraceSoftLimit: 5,
+        spansPerTraceHardLimit: 10,
+      });
+      tracer.runInRootSpan({name: 'root'}, rootSpan => {
+        tracer.runInChildSpan({name: 'outer'}, outerSpan => {
+          for (let i = 0; i < 8; i++) {
+            tracer.createChildSpan({name: `span-${i}`}).endSpan();
+          }
+          const child = tracer.createChildSpan({name: 'span-8'});
+          assert.ok(!tracer.isRealSpan(child));
+          outerSpan.endSpan();
+        });
+        rootSpan.endSpan();
+      });
+    });
+
     it('should warn when the spans per trace soft limit has been exceeded', () => {
       const tracer = createTraceAgent({
         spansPerTraceSoftLimit: 10,
@@ -196,6 +330,54 @@ describe('Trace Interface', () => {
       });
     });
 
+    it('should count created spans in stats', () => {
+      spanStats.reset();
+      const tracer = createTraceAgent({spansPerTraceHardLimit: 2});
+      tracer.runInRootSpan({name: 'root'}, rootSpan => {
+        tracer.createChildSpan({name: 'child'}).endSpan();
+        // This exceeds the hard limit.
+        tracer.createChildSpan({name: 'child'}).endSpan();
+        rootSpan.endSpan();
+      });
+      // There is no root span in context.
+      tracer.createChildSpan({name: 'lost'}).endSpan();
+      const unsampledTracer = createTraceAgent({}, {tracePolicy: neverTrace()});
+      unsampledTracer.runInRootSpan({name: 'root'}, rootSpan => {
+        unsampledTracer.createChildSpan({name: 'child'}).endSpan();
+        rootSpan.endSpan();
+      });
+      const stats = tracer.getStats();
+      assert.deepStrictEqual(stats.spansCreated, {
+        [SpanType.UNCORRELATED]: 2,
+        [SpanType.DISABLED]: 0,
+        [SpanType.UNSAMPLED]: 2,
+        [SpanType.ROOT]: 1,
+        [SpanType.CHILD]: 1,
+      });
+      assert.strictEqual(stats.tracesSampled, 1);
+      assert.strictEqual(stats.tracesUnsampled, 1);
+      assert.strictEqual(stats.spansOverHardLimit, 1);
+      assert.deepStrictEqual(stats.lostContext, {test: 1});
+      assert.ok(stats.publishing);
+      // Stats are shared between tracers.
+      assert.deepStrictEqual(unsampledTracer.getStats(), stats);
+    });
+
+    it('should shut down the Trace Agent once it has been flushed', async () => {
+      let numShutdowns = 0;
+      const tracer = createTraceAgent({}, {shutdown: () => numShutdowns++});
+      assert.deepStrictEqual(await tracer.flush(), {
+        sentSpans: 0,
+        droppedSpans: 0,
+      });
+      assert.strictEqual(numShutdowns, 0);
+      assert.deepStrictEqual(await tracer.shutdown(), {
+        sentSpans: 0,
+        droppedSpans: 0,
+      });
+      assert.strictEqual(numShutdowns, 1);
+    });
+
     it('should return null context ID when one does not exist', () => {
       const traceAPI = createTraceAgent();
       assert.strictEqual(traceAPI.getCurrentContextId(), null);
@@ -238,6 +420,51 @@ describe('Trace Interface', () => {
       assert.strictEqual(traceApi.getWriterProjectId(), 'project-1');
     });
 
+    it('should return log correlation fields for the active span', () => {
+      const traceAPI = createTraceAgent();
+      assert.deepStrictEqual(traceAPI.getCurrentLogCorrelationFields(), {});
+      traceAPI.runInRootSpan({name: 'root'}, rootSpan => {
+        const traceId = rootSpan.getTraceContext()!.traceId;
+        assert.deepStrictEqual(traceAPI.getCurrentLogCorrelationFields(), {
+          'logging.googleapis.com/trace': `projects/project-1/traces/${traceId}`,
+          'logging.googleapis.com/spanId': spanIdToHex(
+            rootSpan.getTraceContext()!.spanId
+          ),
+          'logging.googleapis.com/trace_sampled': true,
+        });
+        traceAPI.runInChildSpan({name: 'child'}, childSpan => {
+          assert.strictEqual(
+            traceAPI.getCurrentLogCorrelationFields()[
+              'logging.googleapis.com/spanId'
+            ],
+            spanIdToHex(childSpan.getTraceContext()!.spanId)
+          );
+          childSpan.endSpan();
+        });
+        rootSpan.endSpan();
+      });
+    });
+
+    it('should return log correlation fields without a span ID for unsampled requests', () => {
+      const traceAPI = createTraceAgent({}, {tracePolicy: neverTrace()});
+      traceAPI.runInRootSpan({name: 'root'}, rootSpan => {
+        const traceId = rootSpan.getTraceContext()!.traceId;
+        assert.deepStrictEqual(traceAPI.getCurrentLogCorrelationFields(), {
+          'logging.googleapis.com/trace': `projects/project-1/traces/${traceId}`,
+          'logging.googleapis.com/trace_sampled': false,
+        });
+      });
+    });
+
+    it('should not return log correlation fields when disabled', () => {
+      const traceAPI = createTraceAgent();
+      traceAPI.runInRootSpan({name: 'root'}, rootSpan => {
+        traceAPI.disable();
+        assert.deepStrictEqual(traceAPI.getCurrentLogCorrelationFields(), {});
+        rootSpan.endSpan();
+      });
+    });
+
     it('should pass relevant fields to the trace policy', () => {
       class CaptureOptionsTracePolicy {
         capturedShouldTraceParam: RequestDetails | null = null;
@@ -321,6 +548,154 @@ describe('Trace Interface', () => {
       assert.ok(setHeaderCalled);
     });
 
+    it('should honor sampling decisions from B3 headers', () => {
+      const tracer = createTraceAgent({}, {propagation: new B3Format()});
+      const headers: {[key: string]: string} = {
+        'x-b3-traceid': '0123456789abcdef',
+        'x-b3-spanid': '0000000000000010',
+        'x-b3-sampled': '0',
+      };
+      const traceContext = tracer.propagation.extract(key => headers[key]);
+      assert.deepStrictEqual(traceContext, {
+        traceId: '00000000000000000123456789abcdef',
+        spanId: '16',
+        options: 0,
+      });
+      tracer.runInRootSpan({name: 'root', traceContext}, rootSpan => {
+        assert.strictEqual(rootSpan.type, SpanType.UNSAMPLED);
+      });
+    });
+
+    it('should pass incoming trace state along to child spans', () => {
+      const traceAPI = createTraceAgent();
+      const traceContext = {
+        traceId: '0123456789abcdef0123456789abcdef',
+        spanId: '1',
+        options: 1,
+        traceState: 'vendor=value',
+      };
+      traceAPI.runInRootSpan({name: 'root', traceContext}, rootSpan => {
+        assert.strictEqual(
+          rootSpan.getTraceContext()!.traceState,
+          'vendor=value'
+        );
+        const childSpan = traceAPI.createChildSpan({name: 'child'});
+        assert.strictEqual(
+          childSpan.getTraceContext()!.traceState,
+          'vendor=value'
+        );
+        childSpan.endSpan();
+        rootSpan.endSpan();
+      });
+      const untracedAPI = createTraceAgent({}, {tracePolicy: neverTrace()});
+      untracedAPI.runInRootSpan({name: 'root', traceContext}, rootSpan => {
+        assert.strictEqual(rootSpan.type, SpanType.UNSAMPLED);
+        assert.strictEqual(
+          untracedAPI.createChildSpan({name: 'child'}).getTraceContext()!
+            .traceState,
+          'vendor=value'
+        );
+      });
+    });
+
+    it('should record events, status and exceptions as labels', () => {
+      const tracer = createTraceAgent();
+      tracer.runInRootSpan({name: 'root'}, rootSpan => {
+        rootSpan.addEvent!('cache miss', {key: 'foo'});
+        rootSpan.recordException!(new Error('failed'));
+        rootSpan.endSpan();
+      });
+      const labels = testTraceModule.getOneSpan(
+        span => span.name === 'root'
+      ).labels;
+      const event = JSON.parse(labels[`${TraceLabels.EVENT_PREFIX}0`]);
+      assert.ok(!isNaN(Date.parse(event.time)));
+      assert.strictEqual(event.name, 'cache miss');
+      assert.deepStrictEqual(event.attributes, {key: 'foo'});
+      assert.strictEqual(labels[TraceLabels.ERROR_DETAILS_NAME], 'Error');
+      assert.strictEqual(labels[TraceLabels.ERROR_DETAILS_MESSAGE], 'failed');
+      assert.ok(labels[TraceLabels.ERROR_DETAILS_STACK_TRACE]);
+      assert.strictEqual(
+        labels[TraceLabels.STATUS_CODE],
+        tracer.spanStatusCodes!.ERROR
+      );
+    });
+
+    it('should redact labels when a label redactor is provided', () => {
+      const labelRedactor = new LabelRedactor(
+        {denyKeys: [], valuePatterns: [], scrubSql: true},
+        logger
+      );
+      const tracer = createTraceAgent({}, {labelRedactor});
+      tracer.runInRootSpan({name: 'root'}, rootSpan => {
+        rootSpan.addLabel('password', 'hunter2');
+        const childSpan = tracer.createChildSpan({name: 'child'});
+        childSpan.addLabel('query', "SELECT * FROM users WHERE name = 'me'");
+        childSpan.endSpan();
+        rootSpan.endSpan();
+      });
+      assert.strictEqual(
+        testTraceModule.getOneSpan(span => span.name === 'root').labels
+          .password,
+        '[REDACTED]'
+      );
+      assert.strictEqual(
+        testTraceModule.getOneSpan(span => span.name === 'child').labels.query,
+        'SELECT * FROM users WHERE name = ?'
+      );
+    });
+
+    it('should record unsampled traces for tail-based sampling', () => {
+      const tailSampler = new TailSampler(
+        {
+          latencyThresholdMillis: 1000,
+          keepErrors: true,
+          maxPendingTraces: 1,
+          pendingTraceTimeoutMillis: 60000,
+        },
+        logger
+      );
+      const tracer = createTraceAgent(
+        {},
+        {tracePolicy: neverTrace(), tailSampler}
+      );
+      tracer.runInRootSpan({name: 'dropped'}, rootSpan => {
+        assert.strictEqual(rootSpan.type, SpanType.ROOT);
+        // Downstream services are told that the trace isn't sampled.
+        assert.strictEqual(rootSpan.getTraceContext()!.options, 0);
+        const childSpan = tracer.createChildSpan({name: 'dropped-child'});
+        assert.strictEqual(childSpan.getTraceContext()!.options, 0);
+        rootSpan.endSpan();
+        // Children that outlive a dropped trace aren't published either.
+        childSpan.endSpan();
+      });
+      tracer.runInRootSpan({name: 'kept'}, rootSpan => {
+        const childSpan = tracer.createChildSpan({name: 'kept-child'});
+        childSpan.addLabel(TraceLabels.HTTP_RESPONSE_CODE_LABEL_KEY, 500);
+        childSpan.endSpan();
+        rootSpan.endSpan();
+      });
+      tracer.runInRootSpan({name: 'pending'}, pendingSpan => {
+        // Only one pending trace is allowed at a time.
+        cls.get().runWithContext(() => {
+          tracer.runInRootSpan({name: 'over-limit'}, overLimitSpan => {
+            assert.strictEqual(overLimitSpan.type, SpanType.UNSAMPLED);
+          });
+        }, TraceCLS.UNCORRELATED);
+        pendingSpan.endSpan();
+      });
+      assert.strictEqual(testTraceModule.getTraces().length, 1);
+      assert.strictEqual(
+        testTraceModule.getSpans(span => span.name.startsWith('kept')).length,
+        2
+      );
+      assert.strictEqual(
+        testTraceModule.getSpans(span => span.name.startsWith('dropped'))
+          .length,
+        0
+      );
+    });
+
     it('should respect enhancedDatabaseReporting options field', () => {
       [true, false].forEach(enhancedDatabaseReporting => {
         const traceAPI = createTraceAgent({
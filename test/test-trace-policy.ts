@@ -41,6 +41,7 @@ class TracePolicyForTest extends BuiltinTracePolicy {
       Object.assign(
         {
           samplingRate: 0,
+          samplingRules: [],
           ignoreUrls: [],
           ignoreMethods: [],
           contextHeaderBehavior: TraceContextHeaderBehavior.DEFAULT,
@@ -235,4 +236,121 @@ describe('TracePolicy', () => {
       assert.strictEqual(numSamples, 0);
     });
   });
+
+  describe('Sampling Rules', () => {
+    it('should sample according to the first matching rule', () => {
+      const policy = new TracePolicyForTest({
+        samplingRate: -1,
+        samplingRules: [
+          {url: /^\/checkout/, ratio: 1},
+          {method: 'post', maxTracesPerSecond: 0},
+          {name: 'grpc-method', ratio: 1},
+          {method: 'POST', ratio: 1},
+        ],
+      });
+      assert.ok(policy.shouldTraceForTest({url: '/checkout/cart'}));
+      assert.ok(
+        policy.shouldTraceForTest({url: '/checkout/cart', method: 'POST'})
+      );
+      assert.ok(!policy.shouldTraceForTest({url: '/cart', method: 'POST'}));
+      assert.ok(policy.shouldTraceForTest({options: {name: 'grpc-method'}}));
+      // Requests that don't match any rule fall back to samplingRate.
+      assert.ok(!policy.shouldTraceForTest({url: '/cart', method: 'GET'}));
+    });
+
+    it('should require all criteria of a rule to match', () => {
+      const policy = new TracePolicyForTest({
+        samplingRate: -1,
+        samplingRules: [{url: '/cart', method: 'GET', ratio: 1}],
+      });
+      assert.ok(policy.shouldTraceForTest({url: '/cart', method: 'GET'}));
+      assert.ok(!policy.shouldTraceForTest({url: '/cart', method: 'PUT'}));
+      assert.ok(!policy.shouldTraceForTest({url: '/', method: 'GET'}));
+    });
+
+    it('should give ignoreUrls and ignoreMethods precedence over rules', () => {
+      const policy = new TracePolicyForTest({
+        ignoreUrls: ['/_ah/health'],
+        ignoreMethods: ['options'],
+        samplingRules: [{url: '/', ratio: 1}],
+      });
+      assert.ok(!policy.shouldTraceForTest({url: '/_ah/health'}));
+      assert.ok(!policy.shouldTraceForTest({url: '/', method: 'OPTIONS'}));
+      assert.ok(policy.shouldTraceForTest({url: '/'}));
+    });
+
+    it('should sample a consistent fraction of trace IDs for ratio rules', () => {
+      const policy = new TracePolicyForTest({
+        samplingRules: [{ratio: 0.25}],
+      });
+      let numSamples = 0;
+      for (let i = 0; i < 1000; i++) {
+        const traceId = i.toString(16).padStart(8, '0').repeat(4);
+        const shouldTrace = policy.shouldTraceForTest({traceId});
+        // The decision only depends on the trace ID.
+        assert.strictEqual(policy.shouldTraceForTest({traceId}), shouldTrace);
+        if (shouldTrace) {
+          numSamples++;
+        }
+      }
+      // The trace IDs above are all in the lowest quarter of the range.
+      assert.strictEqual(numSamples, 1000);
+      assert.ok(
+        !policy.shouldTraceForTest({traceId: '0'.repeat(24) + 'ffffffff'})
+      );
+      assert.ok(
+        policy.shouldTraceForTest({
+          traceId: undefined,
+          traceContext: {traceId: '0'.repeat(32), spanId: '1', options: 1},
+        })
+      );
+    });
+
+    it('should approximate the ratio for random trace IDs', () => {
+      const policy = new TracePolicyForTest({
+        samplingRules: [{ratio: 0.5}],
+      });
+      let numSamples = 0;
+      for (let i = 0; i < 1000; i++) {
+        const traceId = Math.floor(Math.random() * 0x100000000)
+          .toString(16)
+          .padStart(32, '0');
+        if (policy.shouldTraceForTest({traceId})) {
+          numSamples++;
+        }
+      }
+      assert.ok(numSamples > 400 && numSamples < 600);
+    });
+
+    it('should rate limit each rule independently', () => {
+      const policy = new TracePolicyForTest({
+        samplingRate: -1,
+        samplingRules: [
+          {url: '/a', maxTracesPerSecond: 1},
+          {url: '/b', maxTracesPerSecond: 1},
+        ],
+      });
+      const timestamp = Date.now();
+      assert.ok(policy.shouldTraceForTest({url: '/a', timestamp}));
+      assert.ok(!policy.shouldTraceForTest({url: '/a', timestamp}));
+      assert.ok(policy.shouldTraceForTest({url: '/b', timestamp}));
+      assert.ok(
+        policy.shouldTraceForTest({url: '/a', timestamp: timestamp + 1000})
+      );
+    });
+
+    it('should throw unless exactly one sampler is specified', () => {
+      assert.throws(
+        () => new TracePolicyForTest({samplingRules: [{url: '/'}]}),
+        /exactly one of ratio and maxTracesPerSecond/
+      );
+      assert.throws(
+        () =>
+          new TracePolicyForTest({
+            samplingRules: [{ratio: 1, maxTracesPerSecond: 1}],
+          }),
+        /exactly one of ratio and maxTracesPerSecond/
+      );
+    });
+  });
 });
@@ -31,6 +31,7 @@ import {
 import {WebFramework, WebFrameworkConstructor} from './web-frameworks/base';
 import {Connect3} from './web-frameworks/connect';
 import {Express4} from './web-frameworks/express';
+import {Fastify3, Fastify4, Fastify5} from './web-frameworks/fastify';
 import {Hapi18, Hapi19} from './web-frameworks/hapi17';
 import {Hapi16} from './web-frameworks/hapi8_16';
 import {Koa1} from './web-frameworks/koa1';
@@ -56,6 +57,9 @@ const ABORTED_SPAN_RETRIES = 5;
 const FRAMEWORKS: WebFrameworkConstructor[] = [
   Connect3,
   Express4,
+  Fastify3,
+  Fastify4,
+  Fastify5,
   // Hapi8,
   // Hapi12,
   // Hapi15,
@@ -101,6 +105,12 @@ describe('Web framework tracing', () => {
     (skip ? describe.skip : describe)(`Tracing ${commonName}`, () => {
       let webFramework: WebFramework;
       let port: number;
+      // The test wrappers for connect and koa don't use a router.
+      const hasRouter = !/^(connect|koa)@/.test(commonName);
+      // A route with a parameter, in the syntax of the framework's router.
+      const userRoute = /^hapi@/.test(commonName)
+        ? '/users/{id}'
+        : '/users/:id';
 
       before(async () => {
         webFramework = new webFrameworkConstructor();
@@ -151,6 +161,13 @@ describe('Web framework tracing', () => {
             throw new Error('[restrained whimpering]');
           },
         });
+        webFramework.addHandler({
+          path: userRoute,
+          hasResponse: true,
+          fn: async () => {
+            return {statusCode: 200, message: '[friendly tail wagging]'};
+          },
+        });
         webFramework.addHandler({
           path: '/ignore-me',
           hasResponse: true,
@@ -411,6 +428,49 @@ describe('Web framework tracing', () => {
             oldSpanNameOverride;
         }
       });
+
+      describe('route names', () => {
+        let oldRootSpanNameFromRoute: boolean;
+
+        beforeEach(() => {
+          const config = testTraceModule.get().getConfig();
+          oldRootSpanNameFromRoute = config.rootSpanNameFromRoute;
+          config.rootSpanNameFromRoute = true;
+        });
+
+        afterEach(() => {
+          testTraceModule.get().getConfig().rootSpanNameFromRoute =
+            oldRootSpanNameFromRoute;
+        });
+
+        async function getServerSpanName(path: string) {
+          await testTraceModule
+            .get()
+            .runInRootSpan({name: 'outer'}, async span => {
+              assert.ok(testTraceModule.get().isRealSpan(span));
+              await axios.get(`http://localhost:${port}${path}`, {
+                validateStatus: () => true,
+              });
+              span!.endSpan();
+            });
+          return testTraceModule.getOneSpan(isServerSpan).name;
+        }
+
+        it('uses the route name option', async () => {
+          // Without a router, no route is matched and the path is used.
+          assert.strictEqual(
+            await getServerSpanName('/users/1'),
+            hasRouter ? `GET ${userRoute}` : '/users/1'
+          );
+        });
+
+        it('uses the path for requests that match no route', async () => {
+          assert.strictEqual(
+            await getServerSpanName('/no-such-route'),
+            '/no-such-route'
+          );
+        });
+      });
     });
   });
 });
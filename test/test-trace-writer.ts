@@ -77,9 +77,14 @@ describe('Trace Writer', () => {
     onUncaughtException: 'ignore',
     bufferSize: Infinity,
     flushDelaySeconds: 3600,
+    maxPublishAttempts: 1,
+    retryBufferSize: Infinity,
+    retryBufferBytes: Infinity,
+    flushTimeoutSeconds: 10,
     stackTraceLimit: 10,
     maximumLabelValueSize: 1 << 16,
     serviceContext: {},
+    exporters: ['cloud-trace'],
   };
   const logger = new TestLogger();
   // By default, this is always assigned so that a project ID of '0' is yielded.
@@ -249,6 +254,24 @@ describe('Trace Writer', () => {
       assert.fail('initialize should have thrown.');
     });
 
+    it("doesn't error without a project ID when not exporting to Cloud Trace", async () => {
+      const writer = new TraceWriter(
+        Object.assign({}, DEFAULT_CONFIG, {
+          exporters: [{export: () => Promise.resolve()}],
+        }),
+        logger
+      );
+      getProjectIdOverride = () => Promise.reject(new Error());
+      await writer.initialize();
+      metadataScopes.cancel();
+      assert.strictEqual(writer.projectId, '');
+      assert.strictEqual(
+        logger.getNumLogsWith('warn', 'Unable to acquire the project number'),
+        1
+      );
+      writer.stop();
+    });
+
     it('assigns default labels based on metadata', async () => {
       const writer = new TraceWriter(DEFAULT_CONFIG, logger);
       // Just for this scenario, use real metadata endpoints
@@ -473,6 +496,162 @@ describe('Trace Writer', () => {
       });
     });
 
+    it('passes traces to every exporter', async () => {
+      const exportedTraces: Trace[][] = [];
+      const exporter = {
+        export: (traces: Trace[]) => {
+          exportedTraces.push(traces);
+          return Promise.resolve();
+        },
+      };
+      const writer = new MockedRequestTraceWriter(
+        Object.assign({}, DEFAULT_CONFIG, {
+          bufferSize: 1,
+          exporters: ['cloud-trace', exporter, exporter],
+        }),
+        logger
+      );
+      await writer.initialize();
+      writer.writeTrace(createDummyTrace(1));
+      await wait(200);
+      assert.ok(capturedRequestOptions);
+      assert.strictEqual(exportedTraces.length, 2);
+      assert.strictEqual(exportedTraces[0].length, 1);
+      assert.strictEqual(exportedTraces[0][0].projectId, '0');
+      assert.strictEqual(exportedTraces[0], exportedTraces[1]);
+      writer.stop();
+    });
+
+    it("doesn't publish to Cloud Trace when it isn't an exporter", async () => {
+      const exportedTraces: Trace[][] = [];
+      const writer = new MockedRequestTraceWriter(
+        Object.assign({}, DEFAULT_CONFIG, {
+          bufferSize: 1,
+          exporters: [
+            {
+              export: (traces: Trace[]) => {
+                exportedTraces.push(traces);
+                return Promise.resolve();
+              },
+            },
+          ],
+        }),
+        logger
+      );
+      await writer.initialize();
+      writer.writeTrace(createDummyTrace(1));
+      await wait(200);
+      assert.ok(!capturedRequestOptions);
+      assert.strictEqual(exportedTraces.length, 1);
+      writer.stop();
+    });
+
+    it('emits an error if an exporter fails', async () => {
+      const writer = new MockedRequestTraceWriter(
+        Object.assign({}, DEFAULT_CONFIG, {
+          bufferSize: 1,
+          exporters: [
+            {export: () => Promise.reject(new Error())},
+            {
+              export: () => {
+                throw new Error();
+              },
+            },
+          ],
+        }),
+        logger
+      );
+      await writer.initialize();
+      writer.writeTrace(createDummyTrace(1));
+      await wait(200);
+      assert.strictEqual(
+        logger.getNumLogsWith('error', 'TraceWriter#export'),
+        2
+      );
+      writer.stop();
+    });
+
+    it('counts publishes in stats', async () => {
+      const writer = new MockedRequestTraceWriter(
+        Object.assign({}, DEFAULT_CONFIG, {
+          bufferSize: 2,
+          exporters: [
+            'cloud-trace',
+            {export: () => Promise.reject(new Error())},
+          ],
+        }),
+        logger
+      );
+      await writer.initialize();
+      writer.writeTrace(createDummyTrace(1));
+      assert.strictEqual(writer.getStats().bufferedSpans, 1);
+      writer.writeTrace(createDummyTrace(1));
+      await wait(200);
+      const stats = writer.getStats();
+      assert.strictEqual(stats.bufferedSpans, 0);
+      assert.strictEqual(stats.publishSuccesses, 1);
+      assert.strictEqual(stats.publishFailures, 1);
+      assert.ok(
+        stats.totalPublishLatencyMillis >= stats.lastPublishLatencyMillis
+      );
+      // Spans that an exporter failed to export were dropped.
+      assert.strictEqual(stats.droppedSpans, 2);
+      assert.strictEqual(stats.publishedSpans, 2);
+      writer.stop();
+    });
+
+    it('counts spans for subclasses that publish without a span count', async () => {
+      class PublishOverridingTraceWriter extends MockedRequestTraceWriter {
+        protected publish(json: string) {
+          super.publish(json);
+        }
+      }
+      const writer = new PublishOverridingTraceWriter(
+        Object.assign({}, DEFAULT_CONFIG, {bufferSize: 1}),
+        logger
+      );
+      await writer.initialize();
+      writer.writeTrace(createDummyTrace(2));
+      await wait(200);
+      assert.strictEqual(writer.getStats().publishedSpans, 2);
+      writer.stop();
+    });
+
+    it('publishes buffered traces when flushed', async () => {
+      let exported = false;
+      const writer = new MockedRequestTraceWriter(
+        Object.assign({}, DEFAULT_CONFIG, {
+          exporters: [
+            'cloud-trace',
+            {
+              export: async () => {
+                await wait(100);
+                exported = true;
+              },
+            },
+            {export: () => Promise.reject(new Error())},
+          ],
+        }),
+        logger
+      );
+      await writer.initialize();
+      writer.writeTrace(createDummyTrace(1));
+      writer.writeTrace(createDummyTrace(2));
+      assert.deepStrictEqual(await writer.flush(5000), {
+        sentSpans: 6,
+        droppedSpans: 3,
+      });
+      assert.ok(capturedRequestOptions);
+      // Flushing waits for custom exporters too.
+      assert.ok(exported);
+      assert.strictEqual(writer.getStats().bufferedSpans, 0);
+      assert.deepStrictEqual(await writer.flush(5000), {
+        sentSpans: 0,
+        droppedSpans: 0,
+      });
+      writer.stop();
+    });
+
     it('emits an error if there was an error publishing', async () => {
       overrideRequestResponse = () => Promise.reject(new Error());
       const writer = new MockedRequestTraceWriter(
@@ -488,5 +667,222 @@ describe('Trace Writer', () => {
       );
       writer.stop();
     });
+
+    describe('retries', () => {
+      let numRequests: number;
+
+      /**
+       * Makes the next requests fail with the given status codes, in order,
+       * and subsequent requests succeed.
+       */
+      function failRequestsWith(
+        statusCodes: number[],
+        headers: {[key: string]: string} = {'retry-after': '0'}
+      ) {
+        numRequests = 0;
+        overrideRequestResponse = () => {
+          const statusCode = statusCodes[numRequests++];
+          if (statusCode === undefined) {
+            return Promise.resolve({statusCode: 200});
+          }
+          const err = Object.assign(new Error(`${statusCode}`), {
+            code: statusCode,
+            response: {statusCode, headers},
+          });
+          return Promise.reject(err);
+        };
+      }
+
+      it('retries publishes that failed with retryable errors', async () => {
+        failRequestsWith([503, 429]);
+        const writer = new MockedRequestTraceWriter(
+          Object.assign({}, DEFAULT_CONFIG, {
+            maxPublishAttempts: 5,
+            bufferSize: 1,
+          }),
+          logger
+        );
+        await writer.initialize();
+        writer.writeTrace(createDummyTrace(1));
+        await wait(200);
+        assert.strictEqual(numRequests, 3);
+        assert.strictEqual(writer.getNumDroppedSpans(), 0);
+        const publishedTraces: Trace[] = JSON.parse(
+          capturedRequestOptions!.body as string
+        ).traces;
+        assert.strictEqual(publishedTraces.length, 1);
+        writer.stop();
+      });
+
+      it("doesn't retry publishes that failed with other errors", async () => {
+        failRequestsWith([400]);
+        const writer = new MockedRequestTraceWriter(
+          Object.assign({}, DEFAULT_CONFIG, {
+            maxPublishAttempts: 5,
+            bufferSize: 1,
+          }),
+          logger
+        );
+        await writer.initialize();
+        writer.writeTrace(createDummyTrace(2));
+        await wait(200);
+        assert.strictEqual(numRequests, 1);
+        assert.strictEqual(writer.getNumDroppedSpans(), 2);
+        writer.stop();
+      });
+
+      it('gives up after maxPublishAttempts attempts', async () => {
+        failRequestsWith([500, 500, 500]);
+        const writer = new MockedRequestTraceWriter(
+          Object.assign({}, DEFAULT_CONFIG, {
+            bufferSize: 1,
+            maxPublishAttempts: 2,
+          }),
+          logger
+        );
+        await writer.initialize();
+        writer.writeTrace(createDummyTrace(1));
+        await wait(200);
+        assert.strictEqual(numRequests, 2);
+        assert.strictEqual(writer.getNumDroppedSpans(), 1);
+        writer.stop();
+      });
+
+      it('honors Retry-After', async () => {
+        failRequestsWith([503], {'retry-after': '1'});
+        const writer = new MockedRequestTraceWriter(
+          Object.assign({}, DEFAULT_CONFIG, {
+            maxPublishAttempts: 5,
+            bufferSize: 1,
+          }),
+          logger
+        );
+        await writer.initialize();
+        writer.writeTrace(createDummyTrace(1));
+        await wait(500);
+        assert.strictEqual(numRequests, 1);
+        await wait(700);
+        assert.strictEqual(numRequests, 2);
+        writer.stop();
+      });
+
+      it('drops the oldest batches when the retry buffer is full', async () => {
+        failRequestsWith([503, 503, 503, 503], {'retry-after': '3600'});
+        const writer = new MockedRequestTraceWriter(
+          Object.assign({}, DEFAULT_CONFIG, {
+            maxPublishAttempts: 5,
+            bufferSize: 1,
+            retryBufferSize: 3,
+          }),
+          logger
+        );
+        await writer.initialize();
+        writer.writeTrace(createDummyTrace(2));
+        await wait(100);
+        writer.writeTrace(createDummyTrace(1));
+        await wait(100);
+        assert.strictEqual(writer.getNumDroppedSpans(), 0);
+        // Queueing this batch requires dropping the first one.
+        writer.writeTrace(createDummyTrace(1));
+        await wait(100);
+        assert.strictEqual(writer.getNumDroppedSpans(), 2);
+        // This batch doesn't fit in the retry buffer at all.
+        writer.writeTrace(createDummyTrace(4));
+        await wait(100);
+        assert.strictEqual(numRequests, 4);
+        assert.strictEqual(writer.getNumDroppedSpans(), 6);
+        writer.stop();
+      });
+
+      it('waits for retries to finish before resolving waitForPublishes', async () => {
+        failRequestsWith([503], {'retry-after': '0.2'});
+        const writer = new MockedRequestTraceWriter(
+          Object.assign({}, DEFAULT_CONFIG, {
+            maxPublishAttempts: 5,
+            bufferSize: 1,
+          }),
+          logger
+        );
+        await writer.initialize();
+        writer.writeTrace(createDummyTrace(1));
+        await wait(50);
+        assert.strictEqual(numRequests, 1);
+        await writer.waitForPublishes(5000);
+        assert.strictEqual(numRequests, 2);
+        writer.stop();
+      });
+
+      it('stops waiting for retries after a timeout', async () => {
+        failRequestsWith([503], {'retry-after': '3600'});
+        const writer = new MockedRequestTraceWriter(
+          Object.assign({}, DEFAULT_CONFIG, {
+            maxPublishAttempts: 5,
+            bufferSize: 1,
+          }),
+          logger
+        );
+        await writer.initialize();
+        writer.writeTrace(createDummyTrace(1));
+        await wait(50);
+        await writer.waitForPublishes(100);
+        assert.strictEqual(numRequests, 1);
+        writer.stop();
+        // Stopping the writer drops batches waiting to be retried.
+        assert.strictEqual(writer.getNumDroppedSpans(), 1);
+      });
+
+      it('waits for retries when flushed', async () => {
+        failRequestsWith([503], {'retry-after': '0.2'});
+        const writer = new MockedRequestTraceWriter(
+          Object.assign({}, DEFAULT_CONFIG, {maxPublishAttempts: 5}),
+          logger
+        );
+        await writer.initialize();
+        writer.writeTrace(createDummyTrace(1));
+        assert.deepStrictEqual(await writer.flush(5000), {
+          sentSpans: 1,
+          droppedSpans: 0,
+        });
+        assert.strictEqual(numRequests, 2);
+        writer.stop();
+      });
+
+      it("exits once retries finish for the 'flushAndExit' option", async () => {
+        failRequestsWith([503], {'retry-after': '0.2'});
+        const writer = new MockedRequestTraceWriter(
+          Object.assign({}, DEFAULT_CONFIG, {
+            maxPublishAttempts: 5,
+            onUncaughtException: 'flushAndExit',
+          }),
+          logger
+        );
+        const listeners = process.listeners('uncaughtException');
+        const onUncaughtException = listeners[listeners.length - 1];
+        process.removeListener('uncaughtException', onUncaughtException);
+        const exitCodes: number[] = [];
+        shimmer.wrap(
+          process,
+          'exit',
+          () =>
+            ((code: number) => {
+              exitCodes.push(code);
+            }) as typeof process.exit
+        );
+        try {
+          await writer.initialize();
+          writer.writeTrace(createDummyTrace(1));
+          onUncaughtException(new Error(), 'uncaughtException');
+          await wait(100);
+          assert.strictEqual(numRequests, 1);
+          assert.deepStrictEqual(exitCodes, []);
+          await wait(300);
+          assert.strictEqual(numRequests, 2);
+          assert.deepStrictEqual(exitCodes, [1]);
+        } finally {
+          shimmer.unwrap(process, 'exit');
+          writer.stop();
+        }
+      });
+    });
   });
 });
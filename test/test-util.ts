@@ -115,6 +115,53 @@ describe('util.truncate', () => {
   });
 });
 
+describe('util.parseStackTrace', () => {
+  const stack = [
+    'Error: message',
+    '    at namedFunction (/path/to/file.js:10:5)',
+    '    at Object.<anonymous> (/path/to/other.js:20:15)',
+    '    at /path/to/anonymous.js:30:25',
+    '    at new Promise (<anonymous>)',
+    '    at async Foo.bar [as baz] (node:internal/foo:40:35)',
+  ].join('\n');
+
+  it('parses frames with source locations', () => {
+    assert.deepStrictEqual(util.parseStackTrace(stack, 10), [
+      {
+        method_name: 'namedFunction',
+        file_name: '/path/to/file.js',
+        line_number: 10,
+        column_number: 5,
+      },
+      {
+        method_name: 'Object.<anonymous>',
+        file_name: '/path/to/other.js',
+        line_number: 20,
+        column_number: 15,
+      },
+      {
+        method_name: '<anonymous function>',
+        file_name: '/path/to/anonymous.js',
+        line_number: 30,
+        column_number: 25,
+      },
+      {
+        method_name: 'async Foo.bar [as baz]',
+        file_name: 'node:internal/foo',
+        line_number: 40,
+        column_number: 35,
+      },
+    ]);
+  });
+
+  it('retains at most numFrames frames', () => {
+    assert.deepStrictEqual(
+      util.parseStackTrace(stack, 1).map(frame => frame.method_name),
+      ['namedFunction']
+    );
+  });
+});
+
 describe('util.parseContextFromHeader', () => {
   describe('valid inputs', () => {
     it('should return expected values: 123456/667;o=1', () => {
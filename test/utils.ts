@@ -57,8 +57,10 @@ export function getBaseConfig(): StackdriverTracerConfig {
   return {
     enhancedDatabaseReporting: false,
     rootSpanNameOverride: (name: string) => name,
+    rootSpanNameFromRoute: false,
     spansPerTraceSoftLimit: Infinity,
     spansPerTraceHardLimit: Infinity,
+    parentTraceContext: null,
   };
 }
 
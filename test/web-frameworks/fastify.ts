@@ -0,0 +1,96 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {IncomingHttpHeaders, Server} from 'http';
+import {AddressInfo} from 'net';
+
+import {WebFramework, WebFrameworkAddHandlerOptions} from './base';
+
+// The subset of the fastify types used by this wrapper.
+interface FastifyInstance {
+  server: Server;
+  get(
+    path: string,
+    handler: (
+      request: {headers: IncomingHttpHeaders},
+      reply: {status(statusCode: number): void; callNotFound(): void}
+    ) => Promise<string | void>
+  ): void;
+  listen(options: {port: number}): Promise<string>;
+  close(): Promise<void>;
+}
+
+class Fastify implements WebFramework {
+  app: FastifyInstance;
+  // We can't add two routes on the same path.
+  // So instead of adding a new route per handler, add a route the first time
+  // -- passing a function that will iterate through a list of handlers keyed
+  // under the path.
+  routes = new Map<string, WebFrameworkAddHandlerOptions[]>();
+
+  constructor(path: string) {
+    const fastify = require(path) as () => FastifyInstance;
+    this.app = fastify();
+  }
+
+  addHandler(options: WebFrameworkAddHandlerOptions): void {
+    if (!options.hasResponse && !options.blocking) {
+      throw new Error(
+        `${this.constructor.name} wrapper for testing doesn't support non-blocking handlers.`
+      );
+    }
+    if (this.routes.has(options.path)) {
+      this.routes.get(options.path)!.push(options);
+      return;
+    }
+    this.routes.set(options.path, [options]);
+    this.app.get(options.path, async (request, reply) => {
+      for (const localOptions of this.routes.get(options.path)!) {
+        const response = await localOptions.fn(request.headers);
+        if (response) {
+          reply.status(response.statusCode);
+          return response.message;
+        }
+      }
+      reply.callNotFound();
+      return;
+    });
+  }
+
+  async listen(port: number): Promise<number> {
+    await this.app.listen({port});
+    return (this.app.server.address() as AddressInfo).port;
+  }
+
+  shutdown(): void {
+    this.app.close();
+  }
+}
+
+const makeFastifyClass = (version: number, nodeVersionRange: string) =>
+  class extends Fastify {
+    static commonName = `fastify@${version}`;
+    static expectedTopStackFrame = 'onRequestTrace';
+    static versionRange = nodeVersionRange;
+
+    constructor() {
+      super(`../plugins/fixtures/fastify${version}`);
+    }
+  };
+
+// tslint:disable:variable-name (Fastify* are class names)
+export const Fastify3 = makeFastifyClass(3, '>=10');
+export const Fastify4 = makeFastifyClass(4, '>=14.6');
+export const Fastify5 = makeFastifyClass(5, '>=20');
+// tslint:enable:variable-name